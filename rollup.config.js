@@ -2,6 +2,7 @@
 import babel from '@rollup/plugin-babel';
 import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
+import replace from '@rollup/plugin-replace';
 import { terser } from 'rollup-plugin-terser';
 import packageJson from './package.json' assert { type: 'json' };
 
@@ -35,6 +36,94 @@ export default [
       resolve(),
       commonjs(),
     ],
+    external: ['react', 'use-sync-external-store/shim'],
+  },
+  // Framework-agnostic validation core, without React (e.g. for servers)
+  {
+    input: 'src/core.js',
+    output: [
+      {
+        file: 'dist/core.cjs',
+        format: 'cjs',
+        sourcemap: true,
+        exports: 'named',
+      },
+      {
+        file: 'dist/core.js',
+        format: 'esm',
+        sourcemap: true,
+        exports: 'named',
+      },
+    ],
+    plugins: [
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+        presets: [
+          '@babel/preset-env',
+        ],
+      }),
+      resolve(),
+      commonjs(),
+    ],
+  },
+  // Built-in validators as named exports, so bundlers keep only those used
+  {
+    input: 'src/validators.js',
+    output: [
+      {
+        file: 'dist/validators.cjs',
+        format: 'cjs',
+        sourcemap: true,
+        exports: 'named',
+      },
+      {
+        file: 'dist/validators.js',
+        format: 'esm',
+        sourcemap: true,
+        exports: 'named',
+      },
+    ],
+    plugins: [
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+        presets: [
+          '@babel/preset-env',
+        ],
+      }),
+      resolve(),
+      commonjs(),
+    ],
+  },
+  // Helpers for testing forms built on the hook
+  {
+    input: 'src/testing.js',
+    output: [
+      {
+        file: 'dist/testing.cjs',
+        format: 'cjs',
+        sourcemap: true,
+        exports: 'named',
+      },
+      {
+        file: 'dist/testing.js',
+        format: 'esm',
+        sourcemap: true,
+        exports: 'named',
+      },
+    ],
+    plugins: [
+      babel({
+        babelHelpers: 'bundled',
+        exclude: 'node_modules/**',
+        presets: [
+          '@babel/preset-env',
+        ],
+      }),
+      resolve(),
+      commonjs(),
+    ],
     external: ['react'],
   },
   // Minified UMD build (for browsers)
@@ -60,6 +149,11 @@ export default [
       }),
       resolve(),
       commonjs(),
+      // The bundled useSyncExternalStore shim picks its build from NODE_ENV
+      replace({
+        preventAssignment: true,
+        'process.env.NODE_ENV': JSON.stringify('production'),
+      }),
       terser(),
     ],
     external: ['react'],
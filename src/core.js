@@ -0,0 +1,239 @@
+// src/core.js
+import { builtInValidators } from './validators';
+import {
+  getIn,
+  setIn,
+  normalizePath,
+  isPlainObject,
+  isEqual,
+  getLeafPaths,
+  matchPath,
+  expandPath,
+} from './paths';
+import {
+  collectErrors,
+  getRuleDependencies,
+  isConditionalRule,
+  isFieldConfig,
+  toFieldConfig,
+} from './rules';
+import { toNestedErrors, setFieldErrors } from './errors';
+import { localizeError } from './messages';
+
+/**
+ * Framework-agnostic validation engine. It has no React dependency, so the
+ * same schema and messages can be used on the server.
+ */
+
+/**
+ * Checks whether a schema entry is a nested schema rather than rules or a
+ * field config
+ */
+const isNestedSchema = (entry) => (
+  isPlainObject(entry) && !('validator' in entry) && !isConditionalRule(entry) && !isFieldConfig(entry)
+);
+
+/**
+ * Flattens a validation schema into a map of dot paths to rules or field
+ * configs `{ rules, ...options }`. Keys may use dot/bracket notation, and
+ * plain objects without a `validator` key are treated as nested schemas.
+ * A conditional block whose branches are nested schemas is pushed down to
+ * each field of those branches.
+ */
+export const flattenSchema = (schema, prefix = '') => Object.keys(schema).reduce((acc, key) => {
+  const rules = schema[key];
+  const path = normalizePath(prefix ? `${prefix}.${key}` : key);
+
+  if (isNestedSchema(rules)) {
+    return { ...acc, ...flattenSchema(rules, path) };
+  }
+
+  if (isConditionalRule(rules) && (isNestedSchema(rules.then) || isNestedSchema(rules.otherwise))) {
+    const { then: thenSchema = {}, otherwise: otherwiseSchema = {}, ...condition } = rules;
+    const thenRules = flattenSchema(thenSchema, path);
+    const otherwiseRules = flattenSchema(otherwiseSchema, path);
+    const fields = new Set([...Object.keys(thenRules), ...Object.keys(otherwiseRules)]);
+
+    return [...fields].reduce((fieldAcc, field) => ({
+      ...fieldAcc,
+      [field]: { ...condition, then: thenRules[field], otherwise: otherwiseRules[field] },
+    }), acc);
+  }
+  return { ...acc, [path]: rules };
+}, {});
+
+/**
+ * Finds the field config `{ rules, ...options }` for a field path, falling
+ * back to wildcard schema keys such as `items.*.qty`
+ */
+export const findFieldConfig = (fieldSchema, name) => {
+  const path = normalizePath(name);
+  if (fieldSchema[path]) return toFieldConfig(fieldSchema[path]);
+
+  const pattern = Object.keys(fieldSchema).find((key) => matchPath(key, path));
+  return pattern ? toFieldConfig(fieldSchema[pattern]) : undefined;
+};
+
+/**
+ * Lists the concrete field paths covered by the schema for the given values,
+ * shallowest first so item errors take precedence over array-level errors
+ */
+export const expandSchemaPaths = (fieldSchema, values) => {
+  const paths = Object.keys(fieldSchema).reduce((acc, key) => acc.concat(expandPath(key, values)), []);
+  return [...new Set(paths)].sort((a, b) => a.split('.').length - b.split('.').length);
+};
+
+/**
+ * Returns the `parse` and `format` functions of a field: those of its field
+ * config, falling back to the form-wide ones
+ */
+export const getFieldTransforms = (fieldSchema, name, { parse, format } = {}) => {
+  const config = findFieldConfig(fieldSchema, name) || {};
+  return { parse: config.parse || parse, format: config.format || format };
+};
+
+/**
+ * Applies the `parse` functions to every field of `values` before they are
+ * validated: field configs with `parse` apply to their field, and a
+ * form-wide `parse` to every other leaf value. Returns `values` itself when
+ * nothing changed.
+ */
+export const parseValues = (fieldSchema, values, { parse } = {}) => {
+  const fieldPaths = expandSchemaPaths(fieldSchema, values).filter((path) => {
+    const config = findFieldConfig(fieldSchema, path);
+    return config && config.parse && getIn(values, path) !== undefined;
+  });
+  const leafPaths = parse
+    ? getLeafPaths(values).filter((path) => !fieldPaths.some((field) => (
+      path === field || path.startsWith(`${field}.`)
+    )))
+    : [];
+
+  const parsed = [...leafPaths, ...fieldPaths].reduce((acc, path) => {
+    const transforms = getFieldTransforms(fieldSchema, path, { parse });
+    return setIn(acc, path, transforms.parse(getIn(values, path), { name: path, values, phase: 'validate' }));
+  }, values);
+
+  return isEqual(parsed, values) ? values : parsed;
+};
+
+/**
+ * Maps each schema path to the fields its rules depend on
+ */
+export const getSchemaDependencies = (fieldSchema) => Object.keys(fieldSchema).reduce((acc, key) => {
+  const deps = getRuleDependencies(fieldSchema[key]).map(normalizePath);
+  return deps.length ? { ...acc, [key]: deps } : acc;
+}, {});
+
+/**
+ * Validates one field of `values` against a flattened schema and resolves
+ * to its list of stored errors `{ rule, code, message, meta, template }`
+ */
+export const validateSchemaField = async (fieldSchema, name, values, {
+  customValidators = {},
+  abortEarly = true,
+  locale = 'en',
+  messages = {},
+  signal,
+} = {}) => {
+  const config = findFieldConfig(fieldSchema, name);
+  if (!config) return [];
+
+  return collectErrors(config.rules, getIn(values, name), {
+    name,
+    values,
+    validators: { ...builtInValidators, ...customValidators },
+    signal,
+    abortEarly: config.abortEarly !== undefined ? config.abortEarly : abortEarly,
+    locale,
+    messages,
+    label: config.label,
+  });
+};
+
+/**
+ * Validates every field of the schema and resolves to the error map
+ * (field path -> list of stored errors)
+ */
+export const validateSchema = async (fieldSchema, values, options = {}) => {
+  const fields = expandSchemaPaths(fieldSchema, values);
+  const results = await Promise.all(
+    fields.map((field) => validateSchemaField(fieldSchema, field, values, options))
+  );
+
+  return results.reduce((acc, fieldErrors, index) => setFieldErrors(acc, fields[index], fieldErrors), {});
+};
+
+/**
+ * Resolves the message of a stored error in a locale, using the label of
+ * its field
+ */
+export const localizeFieldError = (fieldSchema, error, path, { locale = 'en', messages = {} } = {}) => {
+  const config = findFieldConfig(fieldSchema, path);
+  return localizeError(error, { locale, messages, field: path, label: config && config.label });
+};
+
+/**
+ * Turns an error map into the public shapes: `errors` with the first message
+ * of each field and `allErrors` with every `{ rule, code, message, meta }`,
+ * both nested like the values
+ */
+export const formatErrorMap = (fieldSchema, errorMap, options = {}) => {
+  const localize = (error, path) => localizeFieldError(fieldSchema, error, path, options);
+
+  return {
+    errors: toNestedErrors(errorMap, (list, path) => localize(list[0], path)),
+    allErrors: toNestedErrors(errorMap, (list, path) => list.map((error) => ({
+      rule: error.rule,
+      code: error.code,
+      message: localize(error, path),
+      meta: error.meta,
+    }))),
+  };
+};
+
+/**
+ * Validates a single field of `values` against a schema and resolves to its
+ * list of errors `{ rule, code, message, meta }`
+ *
+ * @param {string} name - Field path
+ * @param {Object} values - All form values
+ * @param {Object} schema - Validation schema
+ * @param {Object} options - `customValidators`, `abortEarly`, `locale`, `messages`, `parse`, `signal`
+ * @returns {Promise<Array<Object>>} Errors of the field
+ */
+export const validateField = async (name, values, schema, options = {}) => {
+  const fieldSchema = flattenSchema(schema);
+  const path = normalizePath(name);
+  const parsedValues = parseValues(fieldSchema, values, options);
+  const fieldErrors = await validateSchemaField(fieldSchema, path, parsedValues, options);
+  const { allErrors } = formatErrorMap(fieldSchema, setFieldErrors({}, path, fieldErrors), options);
+
+  return getIn(allErrors, path, []);
+};
+
+/**
+ * Validates values against a schema, with the same rules and messages as
+ * `useFormValidator`
+ *
+ * @param {Object} values - Values to validate
+ * @param {Object} schema - Validation schema
+ * @param {Object} options - `customValidators`, `abortEarly`, `locale`, `messages`, `parse`, `signal`
+ * @returns {Promise<{ valid: boolean, values: Object, errors: Object, allErrors: Object }>} Validation
+ *   result, with the values after `parse`
+ */
+export const validate = async (values, schema, options = {}) => {
+  const fieldSchema = flattenSchema(schema);
+  const parsedValues = parseValues(fieldSchema, values, options);
+  const errorMap = await validateSchema(fieldSchema, parsedValues, options);
+
+  return {
+    valid: Object.keys(errorMap).length === 0,
+    values: parsedValues,
+    ...formatErrorMap(fieldSchema, errorMap, options),
+  };
+};
+
+export { builtInValidators, createValidator } from './validators';
+export { defaultMessages, formatMessage, localizeError } from './messages';
+export { parsers } from './parsers';
\ No newline at end of file
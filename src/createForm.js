@@ -0,0 +1,1419 @@
+// src/createForm.js
+import {
+  getIn,
+  setIn,
+  unsetIn,
+  normalizePath,
+  getLeafPaths,
+  isEqual,
+  getChangedPaths,
+  matchPath,
+  expandPath,
+  toPath,
+} from './paths';
+import { fieldArrayOperations, createItemKey, alignLength } from './fieldArray';
+import { ANY_FIELD } from './rules';
+import {
+  fromNestedErrors,
+  fromApiErrors,
+  fromFormErrors,
+  setFieldErrors as setErrorsOf,
+  remapArrayErrors,
+} from './errors';
+import {
+  expandSchemaPaths,
+  findFieldConfig,
+  flattenSchema,
+  getFieldTransforms,
+  getSchemaDependencies,
+  parseValues,
+  validateSchemaField,
+  localizeFieldError,
+  formatErrorMap,
+} from './core';
+import { createStore, memoizeLast } from './store';
+import {
+  isChangeEvent,
+  readInputValue,
+  readInputsValue,
+  writeInputValue,
+  buildFieldProps,
+  toFieldId,
+  buildAriaProps,
+  focusFirstInvalid,
+} from './inputs';
+import { mergeDraft } from './persist';
+
+/**
+ * Returns a copy of an object without the given key
+ */
+const omitKey = (obj, key) => {
+  if (!(key in obj)) return obj;
+
+  const rest = { ...obj };
+  delete rest[key];
+  return rest;
+};
+
+/**
+ * Marks fields as touched, leaving nested touched state of object and
+ * array fields as it is
+ */
+const touchFields = (touched, fields) => fields.reduce((acc, field) => (
+  typeof getIn(acc, field) === 'object' ? acc : setIn(acc, field, true)
+), touched);
+
+/**
+ * Whether a field path, or one of its ancestors, matches a schema key
+ */
+const isUnderSchemaKey = (key, path) => {
+  const segments = toPath(path);
+  return segments.some((_, index) => matchPath(key, segments.slice(0, index + 1).join('.')));
+};
+
+/**
+ * Whether a field path, or one of its ancestors, is a key of the schema
+ */
+const isSchemaPath = (fieldSchema, path) => (
+  Object.keys(fieldSchema).some((key) => isUnderSchemaKey(key, path))
+);
+
+/**
+ * Events that validate a field in each validation mode. `touched` only
+ * validates the changes of touched fields.
+ */
+const modeTriggers = {
+  onSubmit: { change: false, blur: false },
+  onBlur: { change: false, blur: true },
+  onChange: { change: true, blur: false },
+  onTouched: { change: 'touched', blur: true },
+  all: { change: true, blur: true },
+};
+
+/**
+ * Resolves the events that validate a field: those of `mode` until the
+ * form is submitted, then those of `reValidateMode` (`onChange` by default),
+ * except that `all` always validates. Without a mode, `validateOnChange`
+ * validates the changes of touched fields and `validateOnBlur` blurs.
+ */
+const resolveTriggers = ({
+  mode,
+  reValidateMode = modeTriggers[mode] ? 'onChange' : undefined,
+  validateOnChange,
+  validateOnBlur,
+}, isSubmitted) => {
+  if (mode === 'all') return modeTriggers.all;
+  if (isSubmitted && modeTriggers[reValidateMode]) return modeTriggers[reValidateMode];
+  if (modeTriggers[mode]) return modeTriggers[mode];
+  return { change: validateOnChange && 'touched', blur: validateOnBlur };
+};
+
+/**
+ * Options used until `configure` is first called
+ */
+const defaultConfig = {
+  fieldSchema: {},
+  dependencies: {},
+  validateOnChange: true,
+  validateOnBlur: true,
+  validateOnSubmit: true,
+  mode: undefined,
+  reValidateMode: undefined,
+  customValidators: {},
+  debounce: 0,
+  abortEarly: true,
+  locale: 'en',
+  messages: {},
+  keepDirtyOnReinitialize: false,
+  parse: undefined,
+  format: undefined,
+  draft: null,
+  focusOnError: true,
+  steps: null,
+  validate: undefined,
+  validateFormOnChange: false,
+  idPrefix: '',
+  history: null,
+};
+
+/**
+ * Undo history with nothing to undo or redo
+ */
+const emptyHistory = { past: [], future: [] };
+
+/**
+ * Creates the form controller behind `useFormValidator`. Form state lives in
+ * an external store so components can subscribe to the parts they read, and
+ * every handler reads the latest state from the store, so handler
+ * identities never change.
+ *
+ * @param {Object} initialValues - Initial form values
+ * @returns {Object} Store, configuration, state selectors and handlers
+ */
+export const createForm = (initialValues = {}) => {
+  const store = createStore({
+    // Values the form was initialised or last reset with
+    baseValues: initialValues,
+    values: initialValues,
+    touched: {},
+    // Field path -> list of errors
+    errorMap: {},
+    isSubmitting: false,
+    submitCount: 0,
+    submitError: null,
+    submitSucceeded: false,
+    // Form-level errors, e.g. from the server
+    rootErrors: [],
+    // Field and form-level errors returned by the `validate` option
+    formErrorMap: {},
+    formRootErrors: [],
+    // Fields with a pending (debounced or in-flight) validation
+    validatingFields: {},
+    // Whether the `validate` option is pending
+    isValidatingForm: false,
+    // Index of the current wizard step
+    step: 0,
+    // Values before each recorded change, and after each undone one
+    history: emptyHistory,
+    // Locale and messages of the errors once changed, so that subscribers
+    // reading errors re-render
+    locale: null,
+    messages: null,
+  });
+
+  // Pending validation runs keyed by field path: { controller, timer }
+  const pendingRuns = {};
+
+  // Stable item keys of field arrays, keyed by array path
+  const arrayKeys = {};
+
+  // Change and blur handlers bound to each field, keyed by field path
+  const fieldHandlers = {};
+
+  // Uncontrolled inputs attached with `register`, keyed by field path:
+  // { elements, listeners, ref }
+  const registeredFields = {};
+
+  // Pending run of the `validate` option: { controller, timer }
+  let formRun = null;
+
+  // Field and time of the last change recorded in the history, so rapid
+  // changes of the same field share one undo step
+  let lastChange = null;
+
+  let config = defaultConfig;
+
+  // Schema and dependencies passed to `configure`, and the rules declared
+  // with `register`, keyed by field path
+  let baseSchema = { fieldSchema: defaultConfig.fieldSchema, dependencies: defaultConfig.dependencies };
+  let registeredSchema = {};
+
+  // Whether stored values are written to the registered inputs
+  let isWatchingRegistered = false;
+
+  /**
+   * Adds the rules declared with `register` to the schema, replacing the
+   * schema rules of their field
+   */
+  const mergeRegisteredSchema = memoizeLast((fieldSchema, dependencies, registered) => {
+    if (Object.keys(registered).length === 0) return { fieldSchema, dependencies };
+
+    const merged = { ...fieldSchema, ...registered };
+    return { fieldSchema: merged, dependencies: getSchemaDependencies(merged) };
+  });
+
+  /**
+   * Updates the schema and options; called on every render of the hook
+   */
+  const configure = (nextConfig) => {
+    const { fieldSchema = baseSchema.fieldSchema, dependencies = baseSchema.dependencies } = nextConfig;
+    baseSchema = { fieldSchema, dependencies };
+    config = { ...config, ...nextConfig, ...mergeRegisteredSchema(fieldSchema, dependencies, registeredSchema) };
+  };
+
+  /**
+   * Notifies subscribers of new `locale` or `messages` options, since
+   * errors are localised when read
+   */
+  const syncLocale = () => {
+    const { locale, messages } = config;
+    store.setState({ locale, messages });
+  };
+
+  const mergeErrorMaps = memoizeLast((errorMap, formErrorMap) => (
+    Object.keys(formErrorMap).reduce((acc, path) => ({
+      ...acc,
+      [path]: [...(acc[path] || []), ...formErrorMap[path]],
+    }), errorMap)
+  ));
+
+  /**
+   * Errors of each field path: those of the field rules, then those of the
+   * form-level `validate` option
+   */
+  const getErrorMap = () => {
+    const { errorMap, formErrorMap } = store.getState();
+    return mergeErrorMaps(errorMap, formErrorMap);
+  };
+
+  const formatErrors = memoizeLast((fieldSchema, errorMap, locale, messages) => (
+    formatErrorMap(fieldSchema, errorMap, { locale, messages })
+  ));
+
+  /**
+   * First error message and every error `{ rule, code, message, meta }` of
+   * each field, nested like the values
+   */
+  const getErrorState = () => {
+    const { fieldSchema, locale, messages } = config;
+    return formatErrors(fieldSchema, getErrorMap(), locale, messages);
+  };
+
+  const formatRootErrors = memoizeLast((fieldSchema, formRootErrors, rootErrors, locale, messages) => (
+    [...formRootErrors, ...rootErrors].map((error) => ({
+      rule: error.rule,
+      code: error.code,
+      message: localizeFieldError(fieldSchema, error, '', { locale, messages }),
+      meta: error.meta,
+    }))
+  ));
+
+  /**
+   * Form-level errors `{ rule, code, message, meta }` in the current locale:
+   * those of the `validate` option, then those set by the application
+   */
+  const getRootErrors = () => {
+    const { fieldSchema, locale, messages } = config;
+    const { formRootErrors, rootErrors } = store.getState();
+    return formatRootErrors(fieldSchema, formRootErrors, rootErrors, locale, messages);
+  };
+
+  /**
+   * Whether any field or form-level error is set
+   */
+  const hasErrors = () => {
+    const { errorMap, rootErrors, formErrorMap, formRootErrors } = store.getState();
+    return [errorMap, formErrorMap].some((map) => Object.keys(map).length > 0)
+      || rootErrors.length > 0
+      || formRootErrors.length > 0;
+  };
+
+  /**
+   * Whether a field validation or the `validate` option is pending
+   */
+  const getIsValidating = () => {
+    const { validatingFields, isValidatingForm } = store.getState();
+    return isValidatingForm || Object.keys(validatingFields).length > 0;
+  };
+
+  const computeDirty = memoizeLast((values, baseValues) => (
+    getChangedPaths(values, baseValues).reduce((acc, path) => setIn(acc, path, true), {})
+  ));
+
+  /**
+   * Leaf fields whose value differs from the initial values, nested like
+   * the values
+   */
+  const getDirty = () => {
+    const { values, baseValues } = store.getState();
+    return computeDirty(values, baseValues);
+  };
+
+  /**
+   * Whether any value differs from the initial values
+   */
+  const getIsDirty = () => {
+    const { values, baseValues } = store.getState();
+    return !isEqual(values, baseValues);
+  };
+
+  /**
+   * Resolves the message of a stored error in the current locale, so
+   * existing errors follow locale changes without re-validating
+   */
+  const localize = (error, path) => {
+    const { fieldSchema, locale, messages } = config;
+    return localizeFieldError(fieldSchema, error, path, { locale, messages });
+  };
+
+  /**
+   * Converts an input value to the value stored for a field
+   */
+  const parseValue = (name, value) => {
+    const { parse } = getFieldTransforms(config.fieldSchema, name, config);
+    return parse ? parse(value, { name, values: store.getState().values, phase: 'change' }) : value;
+  };
+
+  /**
+   * Converts the stored value of a field to the value displayed by its input
+   */
+  const formatValue = (name, value) => {
+    const { format } = getFieldTransforms(config.fieldSchema, name, config);
+    return format ? format(value, { name, values: store.getState().values }) : value;
+  };
+
+  /**
+   * Removes the listeners of a registered input and forgets it
+   */
+  const detachElement = (field, element) => {
+    Object.keys(field.listeners).forEach((type) => element.removeEventListener(type, field.listeners[type]));
+    field.elements = field.elements.filter((item) => item !== element);
+  };
+
+  /**
+   * Registered inputs still in the document. Those that left it are
+   * detached.
+   */
+  const getRegisteredElements = (path) => {
+    const field = registeredFields[path];
+    field.elements
+      .filter((element) => element.isConnected === false)
+      .forEach((element) => detachElement(field, element));
+    return field.elements;
+  };
+
+  /**
+   * Sets the values of the given registered fields, or of every one, to
+   * those of their inputs after the `parse` functions. Returns `values`
+   * itself when no input changed.
+   */
+  const readRegisteredValues = (values, paths = Object.keys(registeredFields)) => paths.reduce((acc, path) => {
+    const elements = getRegisteredElements(path);
+    if (elements.length === 0) return acc;
+
+    const value = parseValue(path, readInputsValue(elements, getIn(values, path)));
+    return isEqual(getIn(acc, path), value) ? acc : setIn(acc, path, value);
+  }, values);
+
+  /**
+   * Current form values, including those typed in registered inputs and
+   * not stored yet, or the value of a single field
+   */
+  const getValues = (name) => {
+    const values = readRegisteredValues(store.getState().values);
+    return name === undefined ? values : getIn(values, name);
+  };
+
+  /**
+   * Applies the `parse` functions to the stored values, e.g. to the initial
+   * values before validating them, after storing those of the registered
+   * inputs
+   */
+  const parseStoredValues = () => {
+    const { values } = store.getState();
+    const parsedValues = parseValues(config.fieldSchema, readRegisteredValues(values), config);
+    if (parsedValues !== values) store.setState({ values: parsedValues });
+    return parsedValues;
+  };
+
+  /**
+   * Validates a single field against the given form values and resolves to
+   * its list of errors. Rules may return a Promise; they are awaited in order
+   * and, unless `abortEarly` is off for the field, validation stops at the
+   * first error. Every rule receives the context `{ name, values, signal }`.
+   */
+  const validateField = (name, { values = store.getState().values, signal } = {}) => {
+    const { fieldSchema, customValidators, abortEarly, locale, messages } = config;
+
+    return validateSchemaField(fieldSchema, name, values, {
+      customValidators,
+      abortEarly,
+      locale,
+      messages,
+      signal,
+    });
+  };
+
+  /**
+   * Lists the concrete fields whose rules depend on the given field
+   */
+  const getDependentFields = (name, formValues) => {
+    const { dependencies } = config;
+    const path = normalizePath(name);
+
+    return Object.keys(dependencies)
+      .filter((key) => dependencies[key].some((dep) => dep === ANY_FIELD || matchPath(dep, path)))
+      .reduce((acc, key) => acc.concat(expandPath(key, formValues)), [])
+      .filter((field) => field !== path);
+  };
+
+  /**
+   * Cancels the debounced or in-flight validation of a field, if any
+   */
+  const cancelValidation = (name) => {
+    const run = pendingRuns[name];
+    if (!run) return;
+
+    clearTimeout(run.timer);
+    run.controller.abort();
+    delete pendingRuns[name];
+  };
+
+  /**
+   * Cancels the debounced or in-flight run of the `validate` option, if any
+   */
+  const cancelFormValidation = () => {
+    if (!formRun) return;
+
+    clearTimeout(formRun.timer);
+    formRun.controller.abort();
+    formRun = null;
+  };
+
+  /**
+   * Cancels every pending validation
+   */
+  const cancelAllValidations = () => {
+    Object.keys(pendingRuns).forEach(cancelValidation);
+    cancelFormValidation();
+  };
+
+  /**
+   * Errors of a field whose rules threw, e.g. on a network error: a
+   * `validationFailed` error with the thrown error in its `meta`, so the
+   * failure shows instead of leaving the field silently invalid
+   */
+  const toFailedErrors = (name, error) => [{
+    rule: 'custom',
+    code: 'validationFailed',
+    message: localize({ code: 'validationFailed', meta: {} }, name),
+    meta: { error },
+  }];
+
+  /**
+   * Validates a field against the given form values after `wait`
+   * milliseconds, superseding any earlier run for the same field. Results of
+   * superseded runs are discarded.
+   */
+  const runValidation = (field, formValues, wait = 0) => {
+    const name = normalizePath(field);
+    cancelValidation(name);
+
+    const run = { controller: new AbortController(), timer: null };
+    pendingRuns[name] = run;
+    store.setState((prev) => ({ validatingFields: { ...prev.validatingFields, [name]: true } }));
+
+    const execute = async () => {
+      let fieldErrors;
+      try {
+        fieldErrors = await validateField(name, {
+          values: formValues,
+          signal: run.controller.signal,
+        });
+      } catch (err) {
+        if (!run.controller.signal.aborted) {
+          console.error('Field validation error:', err);
+          fieldErrors = toFailedErrors(name, err);
+        }
+      }
+
+      // A newer run (or a cancellation) has taken over this field
+      if (pendingRuns[name] !== run) return;
+
+      delete pendingRuns[name];
+      store.setState((prev) => ({
+        validatingFields: omitKey(prev.validatingFields, name),
+        errorMap: fieldErrors ? setErrorsOf(prev.errorMap, name, fieldErrors) : prev.errorMap,
+      }));
+    };
+
+    if (wait > 0) {
+      run.timer = setTimeout(execute, wait);
+      return undefined;
+    }
+    return execute();
+  };
+
+  /**
+   * Validates the given fields together, superseding their pending runs,
+   * and resolves to whether they are all valid. With `replace` the errors
+   * of these fields replace every error; otherwise other fields keep theirs.
+   * A field whose rules throw gets a `validationFailed` error.
+   */
+  const validateFields = async (fields, values, { replace = false } = {}) => {
+    const runs = fields.map((field) => {
+      cancelValidation(field);
+      const run = { controller: new AbortController(), timer: null };
+      pendingRuns[field] = run;
+      return run;
+    });
+    store.setState((prev) => ({
+      validatingFields: fields.reduce((acc, key) => ({ ...acc, [key]: true }), replace ? {} : prev.validatingFields),
+    }));
+
+    let results = [];
+    try {
+      results = await Promise.all(fields.map(async (field, index) => {
+        const { signal } = runs[index].controller;
+        try {
+          return await validateField(field, { values, signal });
+        } catch (err) {
+          if (signal.aborted) return undefined;
+
+          console.error('Field validation error:', err);
+          return toFailedErrors(field, err);
+        }
+      }));
+    } finally {
+      fields.forEach((field, index) => {
+        if (pendingRuns[field] === runs[index]) delete pendingRuns[field];
+      });
+
+      store.setState((prev) => ({
+        validatingFields: replace ? {} : fields.reduce((acc, key) => omitKey(acc, key), prev.validatingFields),
+        errorMap: fields.reduce((acc, field, index) => (
+          setErrorsOf(acc, field, results[index] || prev.errorMap[field] || [])
+        ), replace ? {} : prev.errorMap),
+      }));
+    }
+    return results.every((fieldErrors) => fieldErrors && fieldErrors.length === 0);
+  };
+
+  /**
+   * Runs the form-level `validate` option against the given values after
+   * `wait` milliseconds, superseding any earlier run, and resolves to
+   * whether it reported no errors. It receives the values and the context
+   * `{ signal }`, and may return a Promise. Results of superseded runs are
+   * discarded; if it throws, the previous errors are kept.
+   */
+  const runFormValidation = (values, wait = 0) => {
+    if (!config.validate) return Promise.resolve(true);
+    cancelFormValidation();
+
+    const run = { controller: new AbortController(), timer: null };
+    formRun = run;
+    store.setState({ isValidatingForm: true });
+
+    const execute = async () => {
+      let result;
+      let failed = false;
+      try {
+        result = await config.validate(values, { signal: run.controller.signal });
+      } catch (err) {
+        failed = true;
+        if (!run.controller.signal.aborted) {
+          console.error('Form validation error:', err);
+        }
+      }
+
+      const { fieldErrors, rootErrors } = fromFormErrors(result);
+      // Unless a newer run (or a cancellation) has taken over
+      if (formRun === run) {
+        formRun = null;
+        store.setState(failed
+          ? { isValidatingForm: false }
+          : { isValidatingForm: false, formErrorMap: fieldErrors, formRootErrors: rootErrors });
+      }
+      return !failed && Object.keys(fieldErrors).length === 0 && rootErrors.length === 0;
+    };
+
+    if (wait > 0) {
+      run.timer = setTimeout(execute, wait);
+      return undefined;
+    }
+    return execute();
+  };
+
+  /**
+   * Validates all form fields and runs the form-level `validate` option,
+   * waiting for async rules to settle
+   */
+  const validateForm = async () => {
+    cancelAllValidations();
+
+    const values = parseStoredValues();
+    const results = await Promise.all([
+      validateFields(expandSchemaPaths(config.fieldSchema, values), values, { replace: true }),
+      runFormValidation(values),
+    ]);
+    return results.every(Boolean);
+  };
+
+  /**
+   * Flattened schema of each wizard step. A form without steps is a single
+   * step with the whole schema.
+   */
+  const getStepSchemas = () => config.steps || [config.fieldSchema];
+
+  const pickStepErrors = memoizeLast((stepSchema, errorMap) => (
+    Object.keys(errorMap).reduce((acc, path) => (
+      isSchemaPath(stepSchema, path) ? { ...acc, [path]: errorMap[path] } : acc
+    ), {})
+  ));
+
+  const formatStepErrors = memoizeLast((fieldSchema, stepErrorMap, locale, messages) => (
+    formatErrorMap(fieldSchema, stepErrorMap, { locale, messages })
+  ));
+
+  const pickStepTouched = memoizeLast((stepSchema, touched) => (
+    getLeafPaths(touched)
+      .filter((path) => isSchemaPath(stepSchema, path))
+      .reduce((acc, path) => setIn(acc, path, getIn(touched, path)), {})
+  ));
+
+  /**
+   * Errors and touched state of the fields of the current step, and whether
+   * they are valid
+   */
+  const getStepState = () => {
+    const { fieldSchema, locale, messages } = config;
+    const { step, touched } = store.getState();
+    const stepSchema = getStepSchemas()[step] || {};
+    const stepErrorMap = pickStepErrors(stepSchema, getErrorMap());
+
+    return {
+      ...formatStepErrors(fieldSchema, stepErrorMap, locale, messages),
+      touched: pickStepTouched(stepSchema, touched),
+      isValid: Object.keys(stepErrorMap).length === 0,
+    };
+  };
+
+  /**
+   * Index of the first step with an invalid field, or -1
+   */
+  const findInvalidStep = () => {
+    const errorMap = getErrorMap();
+    return getStepSchemas().findIndex((stepSchema) => (
+      Object.keys(errorMap).some((path) => isSchemaPath(stepSchema, path))
+    ));
+  };
+
+  /**
+   * Events that validate a field, from its field config's `mode` and
+   * `reValidateMode` or else the form's, or the form's alone without a name
+   */
+  const getValidationTriggers = (name) => {
+    const fieldConfig = (name !== undefined && findFieldConfig(config.fieldSchema, name)) || {};
+
+    return resolveTriggers({
+      ...config,
+      mode: fieldConfig.mode || config.mode,
+      reValidateMode: fieldConfig.reValidateMode || config.reValidateMode,
+    }, store.getState().submitCount > 0);
+  };
+
+  /**
+   * Whether the mode of a field validates its changes now
+   */
+  const validatesChanges = (field) => {
+    const { change } = getValidationTriggers(field);
+    return change === true || (Boolean(change) && Boolean(getIn(store.getState().touched, field)));
+  };
+
+  /**
+   * Re-validates a changed field when its mode validates changes, and the
+   * fields depending on it when they have an error, so errors of rules
+   * that no longer apply are cleared, or when they are touched and their
+   * mode validates changes. With `validateFormOnChange` the form-level
+   * `validate` option runs too.
+   */
+  const validateAfterChange = (name, nextValues) => {
+    const { touched, errorMap } = store.getState();
+    const field = normalizePath(name);
+
+    if (validatesChanges(field)) {
+      runValidation(field, nextValues, config.debounce);
+    }
+    getDependentFields(name, nextValues)
+      .filter((dependent) => errorMap[dependent] || (getIn(touched, dependent) && validatesChanges(dependent)))
+      .forEach((dependent) => runValidation(dependent, nextValues, config.debounce));
+
+    if (config.validateFormOnChange && getValidationTriggers().change) {
+      runFormValidation(nextValues, config.debounce);
+    }
+  };
+
+  /**
+   * `limit` and `coalesce` window of the `history` option, or `null` when
+   * history is off
+   */
+  const getHistoryOptions = () => {
+    if (!config.history) return null;
+
+    const { limit = 100, coalesce = 500 } = config.history === true ? {} : config.history;
+    return { limit, coalesce };
+  };
+
+  /**
+   * Returns the store patch recording `values` as an undo step before a
+   * change of `name`. With `coalesce`, changes of the same field less than
+   * `coalesce` milliseconds apart share one step. The oldest steps are
+   * dropped beyond `limit`, and a new step clears the redo steps.
+   */
+  const recordHistory = (name, values, { coalesce = true } = {}) => {
+    const options = getHistoryOptions();
+    if (!options) return {};
+
+    const path = normalizePath(name);
+    const now = Date.now();
+    const isCoalesced = coalesce && lastChange !== null
+      && lastChange.path === path && now - lastChange.time < options.coalesce;
+    lastChange = coalesce ? { path, time: now } : null;
+    if (isCoalesced) return {};
+
+    const past = [...store.getState().history.past, values];
+    return {
+      history: {
+        past: past.length > options.limit ? past.slice(past.length - options.limit) : past,
+        future: [],
+      },
+    };
+  };
+
+  /**
+   * Sets a specific field value, after its `parse` function
+   */
+  const setValue = (name, value) => {
+    const { values } = store.getState();
+    const parsedValue = parseValue(name, value);
+    const nextValues = setIn(values, name, parsedValue);
+    const isChanged = !Object.is(getIn(values, name), parsedValue);
+
+    store.setState({ values: nextValues, ...(isChanged ? recordHistory(name, values) : {}) });
+    validateAfterChange(name, nextValues);
+  };
+
+  /**
+   * Sets a field from a change event, reading the value according to the
+   * input type, or from a value passed by a custom component
+   */
+  const changeField = (name, eventOrValue) => {
+    const value = isChangeEvent(eventOrValue)
+      ? readInputValue(eventOrValue.target, getIn(store.getState().values, name))
+      : eventOrValue;
+    setValue(name, value);
+  };
+
+  /**
+   * Marks a field as touched and validates it when its mode validates blurs
+   */
+  const touchField = (name) => {
+    store.setState((prev) => ({ touched: setIn(prev.touched, name, true) }));
+
+    if (getValidationTriggers(name).blur) {
+      runValidation(name, store.getState().values);
+    }
+  };
+
+  /**
+   * Handles input change
+   */
+  const handleChange = (e) => changeField(e.target.name, e);
+
+  /**
+   * Handles input blur
+   */
+  const handleBlur = (e) => touchField(e.target.name);
+
+  /**
+   * Returns the `onChange` and `onBlur` handlers bound to a field. They are
+   * created once per field, and `onChange` accepts an event or a value.
+   */
+  const getFieldHandlers = (name) => {
+    if (!fieldHandlers[name]) {
+      fieldHandlers[name] = {
+        onChange: (eventOrValue) => changeField(name, eventOrValue),
+        onBlur: () => touchField(name),
+      };
+    }
+    return fieldHandlers[name];
+  };
+
+  /**
+   * Stores the value of the registered inputs of a field
+   */
+  const commitRegisteredField = (name) => {
+    const { values } = store.getState();
+    const nextValues = readRegisteredValues(values, [normalizePath(name)]);
+    if (nextValues !== values) store.setState({ values: nextValues, ...recordHistory(name, values) });
+  };
+
+  /**
+   * Writes the stored values that change, e.g. on reset, undo or
+   * `setValue`, to the registered inputs
+   */
+  const watchRegisteredFields = () => {
+    let last = store.getState().values;
+
+    store.subscribe(() => {
+      const { values } = store.getState();
+      if (values === last) return;
+
+      const previous = last;
+      last = values;
+      Object.keys(registeredFields)
+        .filter((path) => !Object.is(getIn(values, path), getIn(previous, path)))
+        .forEach((path) => {
+          const value = formatValue(path, getIn(values, path));
+          getRegisteredElements(path).forEach((element) => writeInputValue(element, value));
+        });
+    });
+  };
+
+  /**
+   * Declares the rules of a registered field, keeping the schema as is
+   * while they don't change
+   */
+  const registerRules = (name, rules) => {
+    const entries = flattenSchema({ [name]: rules });
+    const isDeclared = Object.keys(entries).every((path) => isEqual(registeredSchema[path], entries[path]));
+    if (isDeclared) return;
+
+    registeredSchema = { ...registeredSchema, ...entries };
+    configure({});
+  };
+
+  /**
+   * Registers an uncontrolled input, or each input of a radio or checkbox
+   * group, and returns its `name` and `ref` props. Values stay in the DOM
+   * while typing: inputs are validated as their mode says, against the
+   * values read from the DOM, and their value is stored on `change`, on
+   * blur and on submit. Inputs are detached when they unmount. `rules`
+   * are added to the schema of the field.
+   */
+  const register = (name, rules) => {
+    const path = normalizePath(name);
+    if (rules !== undefined) registerRules(name, rules);
+    if (registeredFields[path]) return { name, ref: registeredFields[path].ref };
+
+    const field = {
+      elements: [],
+      listeners: {
+        input: () => validateAfterChange(name, getValues()),
+        change: () => commitRegisteredField(name),
+        blur: () => {
+          commitRegisteredField(name);
+          touchField(name);
+        },
+      },
+      // React 19 calls the returned cleanup when an input unmounts. React 18
+      // passes `null` instead, before the input is removed, so inputs that
+      // left the document are detached once the commit is done.
+      ref: (element) => {
+        if (!element) {
+          Promise.resolve().then(() => getRegisteredElements(path));
+          return undefined;
+        }
+        if (field.elements.includes(element)) return undefined;
+
+        field.elements = [...getRegisteredElements(path), element];
+        writeInputValue(element, formatValue(path, getIn(store.getState().values, path)));
+        Object.keys(field.listeners).forEach((type) => element.addEventListener(type, field.listeners[type]));
+        return () => detachElement(field, element);
+      },
+    };
+    registeredFields[path] = field;
+    if (!isWatchingRegistered) {
+      watchRegisteredFields();
+      isWatchingRegistered = true;
+    }
+
+    return { name, ref: field.ref };
+  };
+
+  /**
+   * Resets the form to its initial values, or to new values which then
+   * become the initial values
+   */
+  const resetForm = (newValues) => {
+    const nextValues = newValues || store.getState().baseValues;
+
+    cancelAllValidations();
+    if (config.draft) config.draft.clear();
+    store.setState({
+      baseValues: nextValues,
+      values: nextValues,
+      touched: {},
+      errorMap: {},
+      formErrorMap: {},
+      formRootErrors: [],
+      validatingFields: {},
+      isValidatingForm: false,
+      isSubmitting: false,
+      submitCount: 0,
+      submitError: null,
+      submitSucceeded: false,
+      rootErrors: [],
+      step: 0,
+      history: emptyHistory,
+    });
+    lastChange = null;
+  };
+
+  /**
+   * Replaces the initial values. With `keepDirtyOnReinitialize` the fields
+   * edited by the user keep their value, touched state and errors;
+   * otherwise the form is reset to the new values.
+   */
+  const reinitialize = (nextInitialValues) => {
+    if (!config.keepDirtyOnReinitialize) {
+      resetForm(nextInitialValues);
+      return;
+    }
+
+    const { values, baseValues, touched, errorMap } = store.getState();
+    const dirtyPaths = getChangedPaths(values, baseValues);
+    const isRelated = (path) => dirtyPaths.some((dirtyPath) => (
+      path === dirtyPath || path.startsWith(`${dirtyPath}.`) || dirtyPath.startsWith(`${path}.`)
+    ));
+
+    cancelAllValidations();
+    store.setState({
+      baseValues: nextInitialValues,
+      values: dirtyPaths.reduce((acc, path) => setIn(acc, path, getIn(values, path)), nextInitialValues),
+      touched: dirtyPaths.reduce((acc, path) => (
+        getIn(touched, path) ? setIn(acc, path, getIn(touched, path)) : acc
+      ), {}),
+      errorMap: Object.keys(errorMap).reduce((acc, path) => (
+        isRelated(path) ? { ...acc, [path]: errorMap[path] } : acc
+      ), {}),
+      formErrorMap: {},
+      formRootErrors: [],
+      validatingFields: {},
+      isValidatingForm: false,
+      history: emptyHistory,
+    });
+    lastChange = null;
+  };
+
+  /**
+   * Replaces all field errors, including those of the `validate` option,
+   * with a nested object of error messages
+   */
+  const setErrors = (nextErrors) => {
+    store.setState({ errorMap: fromNestedErrors(nextErrors), formErrorMap: {} });
+  };
+
+  /**
+   * Sets errors returned by an API: maps of fields to messages, arrays of
+   * `{ path, message }` or RFC 7807 problem details. Fields in the payload
+   * replace their errors; errors without a field become form-level errors.
+   */
+  const setApiErrors = (payload) => {
+    const { fieldErrors, rootErrors } = fromApiErrors(payload);
+
+    store.setState((prev) => ({
+      errorMap: { ...prev.errorMap, ...fieldErrors },
+      rootErrors: rootErrors.length ? rootErrors : prev.rootErrors,
+    }));
+  };
+
+  /**
+   * Sets a form-level error message, or clears form-level errors with `null`
+   */
+  const setRootError = (message) => {
+    store.setState({ rootErrors: message ? fromApiErrors([message]).rootErrors : [] });
+  };
+
+  /**
+   * Focuses and scrolls to the first invalid input within `container`,
+   * when `focusOnError` is on
+   */
+  const focusInvalid = (container) => {
+    if (config.focusOnError) focusFirstInvalid(container, Object.keys(getErrorMap()));
+  };
+
+  /**
+   * Moves to the first step with an invalid field, unless the current step
+   * has one, and focuses the first invalid input once that step rendered
+   */
+  const showInvalidStep = (container) => {
+    const invalidStep = findInvalidStep();
+
+    if (invalidStep === -1 || !getStepState().isValid) {
+      focusInvalid(container);
+      return;
+    }
+    store.setState({ step: invalidStep });
+    setTimeout(() => focusInvalid(container), 0);
+  };
+
+  /**
+   * Marks the fields of the current step as touched and validates them, then
+   * moves to the next step if they are valid. Resolves to whether they are.
+   */
+  const next = async () => {
+    const { step } = store.getState();
+    const values = parseStoredValues();
+    const fields = expandSchemaPaths(getStepSchemas()[step] || {}, values);
+
+    store.setState((prev) => ({ touched: touchFields(prev.touched, fields) }));
+    const isValid = await validateFields(fields, values);
+
+    if (!isValid) {
+      focusInvalid();
+      return false;
+    }
+    // The user may have moved to another step in the meantime
+    if (store.getState().step === step) {
+      store.setState({ step: Math.min(step + 1, getStepSchemas().length - 1) });
+    }
+    return true;
+  };
+
+  /**
+   * Moves to the previous step without validating
+   */
+  const prev = () => {
+    store.setState((state) => ({ step: Math.max(state.step - 1, 0) }));
+  };
+
+  /**
+   * Handles form submission. Every leaf value and schema field is marked as
+   * touched, pending async validations are superseded by a full validation
+   * pass, and `onSubmit` only runs once every rule settled. When the form
+   * is invalid, `onInvalid` receives the errors and the first invalid input
+   * is focused, on the first invalid step of a wizard unless the current
+   * step is invalid. Errors thrown by `onSubmit` are stored as `submitError`.
+   */
+  const handleSubmit = (onSubmit, onInvalid) => async (e) => {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    // React clears `currentTarget` once the event has been dispatched
+    const container = e && e.currentTarget;
+
+    const values = parseStoredValues();
+    const fields = new Set([...getLeafPaths(values), ...expandSchemaPaths(config.fieldSchema, values)]);
+    store.setState((prev) => ({
+      touched: touchFields({}, [...fields]),
+      isSubmitting: true,
+      submitCount: prev.submitCount + 1,
+      submitError: null,
+      submitSucceeded: false,
+      rootErrors: [],
+    }));
+
+    try {
+      let isValid = true;
+      if (config.validateOnSubmit) {
+        isValid = await validateForm();
+      }
+
+      if (!isValid) {
+        showInvalidStep(container);
+        if (onInvalid) await onInvalid(getErrorState().errors);
+        return;
+      }
+
+      if (onSubmit) {
+        await onSubmit(store.getState().values, { setErrors, setFieldErrors: setApiErrors, setRootError, resetForm });
+      }
+
+      if (hasErrors()) {
+        focusInvalid(container);
+      } else {
+        store.setState({ submitSucceeded: true });
+        if (config.draft) config.draft.clear();
+      }
+    } catch (err) {
+      store.setState({ submitError: err });
+    } finally {
+      store.setState({ isSubmitting: false });
+    }
+  };
+
+  /**
+   * Restores a saved draft `{ values, touched }` over the current state
+   */
+  const restoreDraft = ({ values, touched }) => {
+    store.setState((prev) => ({
+      values: mergeDraft(prev.values, values),
+      touched: touched ? mergeDraft(prev.touched, touched) : prev.touched,
+    }));
+  };
+
+  /**
+   * Saves a draft whenever the values (or touched state) change, and
+   * removes it once the values are back to the initial values. Returns a
+   * function that stops watching.
+   */
+  const watchDraft = (draft) => {
+    let last = store.getState();
+
+    return store.subscribe(() => {
+      const state = store.getState();
+      const changed = state.values !== last.values || (draft.persistTouched && state.touched !== last.touched);
+      last = state;
+      if (!changed) return;
+
+      if (isEqual(state.values, state.baseValues)) {
+        draft.clear();
+      } else {
+        draft.save(state);
+      }
+    });
+  };
+
+  /**
+   * Id of the input bound to a field, for the input `type` and `value`
+   * given in `options`
+   */
+  const getFieldId = (name, options) => toFieldId(config.idPrefix, name, options);
+
+  /**
+   * Id of the error message of a field
+   */
+  const getErrorId = (name) => `${getFieldId(name)}-error`;
+
+  /**
+   * Whether a field has an error of its own
+   */
+  const isFieldInvalid = (name) => normalizePath(name) in getErrorMap();
+
+  /**
+   * Returns the props of an input bound to a field, for the input type
+   * given in `options` (`type`, `value`, `multiple`). The value is passed
+   * through the `format` function of the field, and ARIA props follow its
+   * error state.
+   */
+  const getFieldProps = (name, options) => ({
+    ...buildFieldProps(name, formatValue(name, getIn(store.getState().values, name)), options, getFieldHandlers(name)),
+    ...buildAriaProps(getFieldId(name, options), getErrorId(name), isFieldInvalid(name)),
+  });
+
+  /**
+   * Returns the props of the error message of a field, matching the
+   * `aria-describedby` of its input
+   */
+  const getErrorProps = (name) => ({ id: getErrorId(name) });
+
+  /**
+   * Returns the props of the label of an input, for the same `options` as
+   * `getFieldProps`
+   */
+  const getLabelProps = (name, options) => {
+    const id = getFieldId(name, options);
+    return { id: `${id}-label`, htmlFor: id };
+  };
+
+  /**
+   * Focuses and scrolls to the input bound to a field, or to the first
+   * input below it
+   */
+  const focusField = (name) => focusFirstInvalid(undefined, [normalizePath(name)]);
+
+  /**
+   * Orders field paths like the schema, then by array index
+   */
+  const compareFieldPaths = (fieldSchema) => {
+    const schemaKeys = Object.keys(fieldSchema);
+    const position = (path) => {
+      const index = schemaKeys.findIndex((key) => isUnderSchemaKey(key, path));
+      return index === -1 ? schemaKeys.length : index;
+    };
+
+    return (a, b) => {
+      if (position(a) !== position(b)) return position(a) - position(b);
+
+      const [pathA, pathB] = [toPath(a), toPath(b)];
+      const index = pathA.findIndex((segment, i) => segment !== pathB[i]);
+      if (index === -1) return pathA.length - pathB.length;
+
+      const [segmentA, segmentB] = [pathA[index], pathB[index]];
+      return /^\d+$/.test(segmentA) && /^\d+$/.test(segmentB)
+        ? Number(segmentA) - Number(segmentB)
+        : segmentA.localeCompare(segmentB || '');
+    };
+  };
+
+  const buildErrorSummary = memoizeLast((fieldSchema, errorMap, rootErrors, locale, messages) => [
+    ...rootErrors.map(({ message }) => ({ name: 'root', message })),
+    ...Object.keys(errorMap).sort(compareFieldPaths(fieldSchema)).map((path) => ({
+      name: path,
+      message: localizeFieldError(fieldSchema, errorMap[path][0], path, { locale, messages }),
+      href: `#${getFieldId(path)}`,
+      onClick: (e) => {
+        if (e && typeof e.preventDefault === 'function') e.preventDefault();
+        focusField(path);
+      },
+    })),
+  ]);
+
+  /**
+   * Every current error for an error summary: form-level errors (named
+   * `root`) first, then the first error of each field in schema order.
+   * Field items link to their input with `href`, and `onClick` focuses it.
+   */
+  const getErrorSummary = () => {
+    const { fieldSchema, locale, messages } = config;
+    return buildErrorSummary(fieldSchema, getErrorMap(), getRootErrors(), locale, messages);
+  };
+
+  /**
+   * Returns the item keys of a field array, padded or truncated to match
+   * its current length
+   */
+  const getArrayKeys = (name, length) => {
+    const keys = alignLength(arrayKeys[name] || [], length, createItemKey);
+    arrayKeys[name] = keys;
+    return keys;
+  };
+
+  /**
+   * Applies a field array operation to the array values and, index by index,
+   * to its item keys, errors and touched state
+   */
+  const updateFieldArray = (name, operation) => {
+    const { values, touched, errorMap, formErrorMap, validatingFields } = store.getState();
+    const list = getIn(values, name, []);
+    const nextValues = setIn(values, name, operation(list, (item) => item));
+
+    const updateTouched = () => {
+      const current = getIn(touched, name);
+      if (!Array.isArray(current)) return touched;
+
+      const next = operation(alignLength(current, list.length), () => undefined);
+      return next.every((item) => item === undefined) ? unsetIn(touched, name) : setIn(touched, name, next);
+    };
+
+    arrayKeys[name] = operation(getArrayKeys(name, list.length), createItemKey);
+    Object.keys(pendingRuns)
+      .filter((field) => field.startsWith(`${name}.`))
+      .forEach(cancelValidation);
+
+    store.setState({
+      values: nextValues,
+      ...recordHistory(name, values, { coalesce: false }),
+      errorMap: remapArrayErrors(errorMap, name, operation, list.length),
+      formErrorMap: remapArrayErrors(formErrorMap, name, operation, list.length),
+      touched: updateTouched(),
+      validatingFields: Object.keys(validatingFields).reduce((acc, field) => (
+        field.startsWith(`${name}.`) ? acc : { ...acc, [field]: validatingFields[field] }
+      ), {}),
+    });
+
+    validateAfterChange(name, nextValues);
+  };
+
+  /**
+   * Returns the items and helpers of a field array. Each item carries a
+   * stable `key` for rendering and the `name` prefix of its fields.
+   */
+  const getFieldArray = (field) => {
+    const name = normalizePath(field);
+    const { values } = store.getState();
+    const errorMap = getErrorMap();
+    const list = getIn(values, name, []);
+    const keys = getArrayKeys(name, list.length);
+    const { insert, remove, move, swap, replace } = fieldArrayOperations;
+
+    return {
+      fields: list.map((value, index) => ({
+        key: keys[index],
+        name: `${name}[${index}]`,
+        index,
+        value,
+      })),
+      error: errorMap[name] ? localize(errorMap[name][0], name) : '',
+      append: (item) => updateFieldArray(name, insert(Infinity, item)),
+      prepend: (item) => updateFieldArray(name, insert(0, item)),
+      insert: (index, item) => updateFieldArray(name, insert(index, item)),
+      remove: (index) => updateFieldArray(name, remove(index)),
+      move: (from, to) => updateFieldArray(name, move(from, to)),
+      swap: (indexA, indexB) => updateFieldArray(name, swap(indexA, indexB)),
+      replace: (items) => updateFieldArray(name, replace(items)),
+    };
+  };
+
+  /**
+   * Re-validates the fields whose value differs between `previous` and
+   * `restored`, and the fields depending on them, when they are touched or
+   * have an error. Errors of fields that no longer exist are removed.
+   */
+  const revalidateRestored = (previous, restored) => {
+    const changedPaths = getChangedPaths(previous, restored);
+    const isRelated = (field) => changedPaths.some((path) => (
+      path === field || path.startsWith(`${field}.`) || field.startsWith(`${path}.`)
+    ));
+
+    const fields = new Set([
+      ...expandSchemaPaths(config.fieldSchema, restored).filter(isRelated),
+      ...changedPaths.reduce((acc, path) => acc.concat(getDependentFields(path, restored)), []),
+    ]);
+    const { touched, errorMap } = store.getState();
+    const removed = Object.keys(errorMap).filter((path) => (
+      !fields.has(path) && isRelated(path) && getIn(restored, path) === undefined
+    ));
+
+    removed.forEach(cancelValidation);
+    if (removed.length) {
+      store.setState((prev) => ({ errorMap: removed.reduce((acc, path) => setErrorsOf(acc, path, []), prev.errorMap) }));
+    }
+    [...fields]
+      .filter((field) => getIn(touched, field) || errorMap[field])
+      .forEach((field) => runValidation(field, restored));
+    if (config.validateFormOnChange) runFormValidation(restored);
+  };
+
+  /**
+   * Moves one step back (`past` to `future`) or forward (`future` to
+   * `past`) in the history, then re-validates the restored fields
+   */
+  const moveInHistory = (from, to) => {
+    const { values, history } = store.getState();
+    if (!history[from].length) return;
+
+    const restored = history[from][history[from].length - 1];
+    lastChange = null;
+    store.setState({
+      values: restored,
+      history: {
+        [from]: history[from].slice(0, -1),
+        [to]: [...history[to], values],
+      },
+    });
+    revalidateRestored(values, restored);
+  };
+
+  /**
+   * Restores the values before the last recorded change
+   */
+  const undo = () => moveInHistory('past', 'future');
+
+  /**
+   * Restores the values of the last undone change
+   */
+  const redo = () => moveInHistory('future', 'past');
+
+  return {
+    store,
+    configure,
+    syncLocale,
+    getErrorState,
+    getRootErrors,
+    hasErrors,
+    getIsValidating,
+    getDirty,
+    getIsDirty,
+    getStepSchemas,
+    getStepState,
+    cancelAllValidations,
+    validateForm,
+    next,
+    prev,
+    undo,
+    redo,
+    setValue,
+    getValues,
+    register,
+    handleChange,
+    handleBlur,
+    resetForm,
+    reinitialize,
+    setErrors,
+    setFieldErrors: setApiErrors,
+    setRootError,
+    handleSubmit,
+    restoreDraft,
+    watchDraft,
+    formatValue,
+    getFieldHandlers,
+    getFieldId,
+    getErrorId,
+    isFieldInvalid,
+    getFieldProps,
+    getErrorProps,
+    getLabelProps,
+    getErrorSummary,
+    getFieldArray,
+  };
+};
\ No newline at end of file
@@ -0,0 +1,197 @@
+// src/errors.js
+import { setIn, getLeafPaths, getIn, normalizePath } from './paths';
+
+/**
+ * Field errors are stored as a flat map of normalised field paths to the
+ * list of errors `{ rule, code, message, meta, template }` of that field.
+ * Only fields with at least one error have an entry.
+ */
+
+const byDepth = (a, b) => a.split('.').length - b.split('.').length;
+
+/**
+ * Builds a nested object mirroring the form values from an error map,
+ * e.g. `{ 'address.city': [...] }` becomes `{ address: { city: ... } }`.
+ * Deeper paths are applied last, so item errors take precedence over the
+ * error of their array.
+ */
+export const toNestedErrors = (errorMap, pick = (list) => list[0].message) => (
+  Object.keys(errorMap)
+    .sort(byDepth)
+    .reduce((acc, path) => setIn(acc, path, pick(errorMap[path], path)), {})
+);
+
+/**
+ * Builds an error map from a nested object of error messages
+ */
+export const fromNestedErrors = (errors = {}) => getLeafPaths(errors).reduce((acc, path) => {
+  const message = getIn(errors, path);
+  if (!message || typeof message !== 'string') return acc;
+
+  return { ...acc, [path]: [{ rule: 'custom', code: 'custom', message, meta: {}, template: message }] };
+}, {});
+
+/**
+ * Converts a path from an API error to a field path: dot/bracket paths,
+ * JSON pointers such as `/items/0/name`, or arrays of segments
+ */
+const toFieldPath = (path) => {
+  if (Array.isArray(path)) return path.join('.');
+
+  const text = String(path === undefined || path === null ? '' : path);
+  if (text.startsWith('/') || text.startsWith('#/')) {
+    return text.replace(/^#?\//, '')
+      .split('/')
+      .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .join('.');
+  }
+  return normalizePath(text);
+};
+
+/**
+ * Builds the stored error of a message set from outside the schema, such
+ * as an API response (`server`) or the form-level `validate` option (`form`)
+ */
+const toExternalError = (message, rule, code = rule) => ({
+  rule,
+  code,
+  message,
+  meta: {},
+  template: message,
+});
+
+/**
+ * Collects errors given as maps of fields to messages or as lists of
+ * `{ path, message, code }` into `result` `{ fieldErrors, rootErrors }`
+ */
+const createErrorCollector = (rule) => {
+  const result = { fieldErrors: {}, rootErrors: [] };
+
+  const add = (path, message, code) => {
+    if (!message) return;
+
+    const field = toFieldPath(path);
+    const error = toExternalError(String(message), rule, code);
+    if (!field || field === 'root') {
+      result.rootErrors.push(error);
+    } else {
+      result.fieldErrors[field] = [...(result.fieldErrors[field] || []), error];
+    }
+  };
+
+  const isMessage = (value) => typeof value === 'string' || Boolean(value && typeof value.message === 'string');
+  const addMessage = (path, value) => (
+    typeof value === 'string' ? add(path, value) : add(path, value.message, value.code)
+  );
+
+  const addMap = (map, prefix = '') => Object.keys(map).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = map[key];
+
+    if (isMessage(value)) {
+      addMessage(path, value);
+    } else if (Array.isArray(value) && value.length && value.every(isMessage)) {
+      value.forEach((item) => addMessage(path, item));
+    } else if (value && typeof value === 'object') {
+      addMap(value, path);
+    }
+  });
+
+  const addList = (list) => list.forEach((item) => {
+    if (typeof item === 'string') {
+      add('', item);
+      return;
+    }
+    const path = [item.path, item.field, item.name, item.pointer].find((value) => value !== undefined);
+    add(path, item.message || item.detail || item.title, item.code);
+  });
+
+  const addErrors = (errors) => (Array.isArray(errors) ? addList(errors) : addMap(errors));
+
+  return { result, add, addErrors };
+};
+
+/**
+ * Reads the field and form-level errors of common API error shapes:
+ * - maps of fields to messages or lists of messages, possibly nested,
+ *   e.g. `{ email: 'Taken', address: { city: ['Required'] } }`
+ * - arrays of `{ path, message, code }` (`field`, `name` or `pointer` may
+ *   replace `path`)
+ * - RFC 7807 problem details with an `errors` member in either shape; their
+ *   `detail` or `title` becomes a form-level error when no field has one
+ * Errors without a path, or with the path `root`, are form-level errors.
+ *
+ * @param {Object|Array} payload - Errors returned by an API
+ * @returns {{ fieldErrors: Object<string, Array>, rootErrors: Array }} Error map and form-level errors
+ */
+export const fromApiErrors = (payload) => {
+  const { result, add, addErrors } = createErrorCollector('server');
+  if (!payload) return result;
+
+  const isProblem = !Array.isArray(payload) && ('detail' in payload || 'title' in payload || 'status' in payload);
+  if (isProblem) {
+    if (payload.errors) addErrors(payload.errors);
+    if (!Object.keys(result.fieldErrors).length && !result.rootErrors.length) {
+      add('', payload.detail || payload.title);
+    }
+    return result;
+  }
+
+  addErrors(payload);
+  return result;
+};
+
+/**
+ * Reads the errors returned by the form-level `validate` option: a map of
+ * fields to messages, possibly nested, or a list of `{ path, message, code }`.
+ * The `root` key holds form-level errors. Unlike API errors, keys such as
+ * `title` are always fields.
+ *
+ * @param {Object|Array} payload - Errors returned by `validate`
+ * @returns {{ fieldErrors: Object<string, Array>, rootErrors: Array }} Error map and form-level errors
+ */
+export const fromFormErrors = (payload) => {
+  const { result, addErrors } = createErrorCollector('form');
+  if (payload && typeof payload === 'object') addErrors(payload);
+  return result;
+};
+
+/**
+ * Stores the errors of a field in an error map, removing the entry when
+ * the list is empty
+ */
+export const setFieldErrors = (errorMap, path, list) => {
+  if (list.length) return { ...errorMap, [path]: list };
+  if (!(path in errorMap)) return errorMap;
+
+  const rest = { ...errorMap };
+  delete rest[path];
+  return rest;
+};
+
+/**
+ * Applies a field array operation to the errors of the array items, so
+ * `items.2.qty` follows its item when items are inserted, moved or removed
+ */
+export const remapArrayErrors = (errorMap, name, operation, length) => {
+  const prefix = `${name}.`;
+  const items = Array.from({ length }, () => ({}));
+  const rest = {};
+
+  Object.keys(errorMap).forEach((path) => {
+    if (!path.startsWith(prefix)) {
+      rest[path] = errorMap[path];
+      return;
+    }
+
+    const [index, ...subPath] = path.slice(prefix.length).split('.');
+    if (Number(index) < length) items[index][subPath.join('.')] = errorMap[path];
+  });
+
+  return operation(items, () => ({})).reduce((acc, itemErrors, index) => (
+    Object.keys(itemErrors).reduce((itemAcc, subPath) => ({
+      ...itemAcc,
+      [subPath ? `${prefix}${index}.${subPath}` : `${prefix}${index}`]: itemErrors[subPath],
+    }), acc)
+  ), rest);
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+// src/fieldArray.js
+
+let keySeed = 0;
+
+/**
+ * Generates a key that identifies a field array item across re-orderings
+ */
+export const createItemKey = () => {
+  keySeed += 1;
+  return `item-${keySeed}`;
+};
+
+/**
+ * Array operations used by field arrays. Each returns a function taking the
+ * current list and a `fill` callback that maps an inserted item to the entry
+ * stored in that list (the value itself, a new key, or an empty error/touched
+ * slot), so values, keys, errors and touched stay aligned.
+ */
+export const fieldArrayOperations = {
+  insert: (index, item) => (list, fill) => [
+    ...list.slice(0, index),
+    fill(item),
+    ...list.slice(index),
+  ],
+
+  remove: (index) => (list) => list.filter((_item, i) => i !== index),
+
+  move: (from, to) => (list) => {
+    const copy = [...list];
+    copy.splice(to, 0, ...copy.splice(from, 1));
+    return copy;
+  },
+
+  swap: (indexA, indexB) => (list) => {
+    const copy = [...list];
+    [copy[indexA], copy[indexB]] = [copy[indexB], copy[indexA]];
+    return copy;
+  },
+
+  replace: (items) => (_list, fill) => items.map(fill),
+};
+
+/**
+ * Pads or truncates a list to a given length
+ */
+export const alignLength = (list, length, fill = () => undefined) => (
+  Array.from({ length }, (_item, index) => (index < list.length ? list[index] : fill()))
+);
\ No newline at end of file
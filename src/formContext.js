@@ -0,0 +1,93 @@
+// src/formContext.js
+import { createContext, createElement, useCallback, useContext, useMemo } from 'react';
+import { getIn } from './paths';
+import { useStoreSelector, shallowEqual } from './store';
+import { buildFieldProps, buildAriaProps } from './inputs';
+
+const FormContext = createContext(null);
+
+/**
+ * Makes a form returned by `useFormValidator` available to nested
+ * components through `useFormContext`, `useField` and `useFormState`
+ *
+ * @param {Object} props - `form` instance and `children`
+ * @returns {Object} Context provider element
+ */
+export const FormProvider = ({ form, children }) => (
+  createElement(FormContext.Provider, { value: form }, children)
+);
+
+/**
+ * Returns the form of the closest `FormProvider`
+ */
+export const useFormContext = () => {
+  const form = useContext(FormContext);
+  if (!form) {
+    throw new Error('useFormContext must be used within a <FormProvider>');
+  }
+  return form;
+};
+
+/**
+ * Connects an input to a field of the surrounding form. The component only
+ * re-renders when the value, error, touched or dirty state of this field
+ * changes. `inputProps` carry the ARIA props of `getFieldProps`, and
+ * `errorProps` and `labelProps` those of `getErrorProps` and `getLabelProps`.
+ *
+ * @param {string} name - Field path
+ * @param {Object} options - Input `type`, `value` and `multiple`, as for `getFieldProps`
+ * @returns {Object} `{ inputProps, errorProps, labelProps, error, touched, dirty, setValue }`
+ */
+export const useField = (name, { type, value: inputValue, multiple } = {}) => {
+  const { control } = useFormContext();
+
+  const field = useStoreSelector(control.store, (state) => ({
+    value: control.formatValue(name, getIn(state.values, name)),
+    error: getIn(control.getErrorState().errors, name, ''),
+    invalid: control.isFieldInvalid(name),
+    touched: Boolean(getIn(state.touched, name)),
+    dirty: Boolean(getIn(control.getDirty(), name)),
+  }), shallowEqual);
+
+  const setValue = useCallback((value) => control.setValue(name, value), [control, name]);
+
+  const inputProps = useMemo(() => ({
+    ...buildFieldProps(name, field.value, { type, value: inputValue, multiple }, control.getFieldHandlers(name)),
+    ...buildAriaProps(control.getFieldId(name, { type, value: inputValue }), control.getErrorId(name), field.invalid),
+  }), [name, field.value, field.invalid, type, inputValue, multiple, control]);
+
+  const errorProps = useMemo(() => control.getErrorProps(name), [control, name]);
+
+  const labelProps = useMemo(() => (
+    control.getLabelProps(name, { type, value: inputValue })
+  ), [control, name, type, inputValue]);
+
+  return {
+    inputProps,
+    errorProps,
+    labelProps,
+    error: field.error,
+    touched: field.touched,
+    dirty: field.dirty,
+    setValue,
+  };
+};
+
+/**
+ * Returns the form-level state of the surrounding form, e.g. for submit
+ * buttons. The component only re-renders when one of these flags changes.
+ *
+ * @returns {Object} `{ isSubmitting, isValid, isValidating, isDirty, submitCount, submitSucceeded }`
+ */
+export const useFormState = () => {
+  const { control } = useFormContext();
+
+  return useStoreSelector(control.store, (state) => ({
+    isSubmitting: state.isSubmitting,
+    isValid: !control.hasErrors(),
+    isValidating: control.getIsValidating(),
+    isDirty: control.getIsDirty(),
+    submitCount: state.submitCount,
+    submitSucceeded: state.submitSucceeded,
+  }), shallowEqual);
+};
\ No newline at end of file
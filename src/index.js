@@ -1,6 +1,32 @@
 // src/index.js
 import useFormValidator from './useFormValidator';
-import { builtInValidators, createValidator } from './validators';
+import { builtInValidators, createValidator, scorePassword } from './validators';
+import { getIn, setIn } from './paths';
+import { defaultMessages, formatMessage, localizeError } from './messages';
+import { validate, validateField } from './core';
+import { parsers } from './parsers';
+import {
+  FormProvider,
+  useFormContext,
+  useField,
+  useFormState,
+} from './formContext';
 
-export { builtInValidators, createValidator };
+export {
+  builtInValidators,
+  createValidator,
+  scorePassword,
+  getIn,
+  setIn,
+  defaultMessages,
+  formatMessage,
+  localizeError,
+  validate,
+  validateField,
+  parsers,
+  FormProvider,
+  useFormContext,
+  useField,
+  useFormState,
+};
 export default useFormValidator;
\ No newline at end of file
@@ -0,0 +1,177 @@
+// src/inputs.js
+import { normalizePath, toPath } from './paths';
+
+/**
+ * Checks whether an `onChange` argument is a DOM or React event rather
+ * than a value passed by a custom component
+ */
+export const isChangeEvent = (value) => (
+  value !== null && typeof value === 'object' && 'target' in value && typeof value.target === 'object'
+);
+
+/**
+ * Reads the value of an input according to its type. Checkboxes give a
+ * boolean, or toggle their value in the current array for checkbox groups;
+ * multi-selects give the selected values, file inputs the selected files
+ * and number inputs a number.
+ */
+export const readInputValue = (target, currentValue) => {
+  switch (target.type) {
+    case 'checkbox': {
+      if (!Array.isArray(currentValue)) return Boolean(target.checked);
+
+      const rest = currentValue.filter((item) => item !== target.value);
+      return target.checked ? [...rest, target.value] : rest;
+    }
+    case 'select-multiple':
+      return Array.from(target.options || [])
+        .filter((option) => option.selected)
+        .map((option) => option.value);
+    case 'file':
+      return Array.from(target.files || []);
+    case 'number':
+    case 'range': {
+      if (target.value === '' || target.value === undefined) return '';
+
+      const number = Number(target.value);
+      return Number.isNaN(number) ? '' : number;
+    }
+    default:
+      return target.value;
+  }
+};
+
+/**
+ * Reads the value of a field from the uncontrolled inputs registered for
+ * it: the checked radio of a group, the checked values of a checkbox
+ * group, or else the value of the single input
+ */
+export const readInputsValue = (elements, currentValue) => {
+  const [first] = elements;
+  if (first.type === 'radio') {
+    const checked = elements.find((element) => element.checked);
+    return checked ? checked.value : currentValue;
+  }
+  if (first.type === 'checkbox' && (elements.length > 1 || Array.isArray(currentValue))) {
+    return elements.filter((element) => element.checked).map((element) => element.value);
+  }
+  return readInputValue(first, currentValue);
+};
+
+/**
+ * Writes a stored value to an uncontrolled input, the reverse of
+ * `readInputValue`. File inputs can only be cleared.
+ */
+export const writeInputValue = (element, value) => {
+  switch (element.type) {
+    case 'checkbox':
+      element.checked = Array.isArray(value) ? value.includes(element.value) : Boolean(value);
+      break;
+    case 'radio':
+      element.checked = element.value === value;
+      break;
+    case 'select-multiple':
+      Array.from(element.options || []).forEach((option) => {
+        option.selected = Array.isArray(value) && value.includes(option.value);
+      });
+      break;
+    case 'file':
+      if (!value || value.length === 0) element.value = '';
+      break;
+    default:
+      element.value = value === undefined || value === null ? '' : value;
+  }
+};
+
+/**
+ * Builds the props of an input bound to a field for the given input type.
+ * Checkboxes and radios get `checked`, multi-selects an array value and
+ * file inputs no value, since they can't be controlled.
+ *
+ * @param {string} name - Field path
+ * @param {*} currentValue - Stored value of the field
+ * @param {Object} options - `type`, `value` (for radios and checkbox groups) and `multiple`
+ * @param {Object} handlers - `onChange` and `onBlur`
+ * @returns {Object} Input props
+ */
+export const buildFieldProps = (name, currentValue, { type, value, multiple } = {}, handlers) => {
+  switch (type) {
+    case 'checkbox':
+      return value === undefined
+        ? { name, type, checked: Boolean(currentValue), ...handlers }
+        : { name, type, value, checked: Array.isArray(currentValue) && currentValue.includes(value), ...handlers };
+    case 'radio':
+      return { name, type, value, checked: currentValue === value, ...handlers };
+    case 'file':
+      return multiple ? { name, type, multiple, ...handlers } : { name, type, ...handlers };
+    default: {
+      const props = type ? { name, type } : { name };
+      if (multiple) {
+        return { ...props, multiple, value: Array.isArray(currentValue) ? currentValue : [], ...handlers };
+      }
+      return {
+        ...props,
+        value: currentValue === undefined || currentValue === null ? '' : currentValue,
+        ...handlers,
+      };
+    }
+  }
+};
+
+/**
+ * Builds the id of the input bound to a field from the form's id prefix,
+ * e.g. `signup-address-city`. Each option of a radio or checkbox group gets
+ * its value as a suffix, so ids stay unique.
+ *
+ * @param {string} prefix - Id prefix of the form
+ * @param {string} name - Field path
+ * @param {Object} options - `type` and `value` of the input, as for `buildFieldProps`
+ * @returns {string} Input id
+ */
+export const toFieldId = (prefix, name, { type, value } = {}) => {
+  const id = [prefix, ...toPath(name)].filter((part) => part !== '').join('-');
+  const isOption = (type === 'radio' || type === 'checkbox') && value !== undefined;
+  return isOption ? `${id}-${String(value).replace(/\s+/g, '-')}` : id;
+};
+
+/**
+ * Builds the ARIA props of an input: its `id`, `aria-invalid` and, while
+ * the field has an error, `aria-describedby` pointing at the error message
+ *
+ * @param {string} id - Input id
+ * @param {string} errorId - Id of the error message
+ * @param {boolean} invalid - Whether the field has an error
+ * @returns {Object} ARIA props
+ */
+export const buildAriaProps = (id, errorId, invalid) => (
+  invalid
+    ? { id, 'aria-invalid': true, 'aria-describedby': errorId }
+    : { id, 'aria-invalid': false }
+);
+
+/**
+ * Focuses and scrolls to the first input, in document order, bound to one
+ * of the given field paths or to a field below them. Searches `container`,
+ * or the whole document without one.
+ *
+ * @param {Element} container - Form element
+ * @param {Array<string>} paths - Invalid field paths
+ * @returns {boolean} Whether an input was focused
+ */
+export const focusFirstInvalid = (container, paths) => {
+  const root = container && typeof container.querySelectorAll === 'function'
+    ? container
+    : typeof document !== 'undefined' && document;
+  if (!root || !paths.length) return false;
+
+  const isInvalid = (name) => {
+    const path = normalizePath(name);
+    return paths.some((invalid) => path === invalid || path.startsWith(`${invalid}.`));
+  };
+  const element = Array.from(root.querySelectorAll('[name]')).find((input) => isInvalid(input.getAttribute('name')));
+  if (!element) return false;
+
+  if (typeof element.scrollIntoView === 'function') element.scrollIntoView({ block: 'center' });
+  if (typeof element.focus === 'function') element.focus({ preventScroll: true });
+  return true;
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+// src/messages.js
+
+/**
+ * Built-in message catalogue, keyed by locale and error code. Entries are
+ * templates with `{placeholder}` variables, or functions receiving those
+ * variables. Every message can use `{field}` (the field path) and `{label}`
+ * (the field label, defaulting to its path), plus the `meta` of the error.
+ */
+export const defaultMessages = {
+  en: {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    minLength: 'Must be at least {min} characters',
+    maxLength: 'Must be no more than {max} characters',
+    pattern: 'Invalid format',
+    number: 'Must be a number',
+    min: 'Must be at least {min}',
+    max: 'Must be no more than {max}',
+    matches: 'Fields do not match',
+    url: 'Please enter a valid URL',
+    date: 'Please enter a valid date',
+    minItems: ({ min }) => `Must have at least ${min} ${min === 1 ? 'item' : 'items'}`,
+    maxItems: ({ max }) => `Must have no more than ${max} ${max === 1 ? 'item' : 'items'}`,
+    itemCount: ({ count }) => `Must have exactly ${count} ${count === 1 ? 'item' : 'items'}`,
+    fileSize: 'Each file must be no larger than {size}',
+    fileType: 'File type must be one of {types}',
+    maxFiles: ({ max }) => `Select no more than ${max} ${max === 1 ? 'file' : 'files'}`,
+    integer: 'Must be a whole number',
+    oneOf: 'Must be one of {values}',
+    notOneOf: 'This value is not allowed',
+    phone: 'Please enter a valid phone number in international format, e.g. +14155552671',
+    creditCard: 'Please enter a valid card number',
+    iban: 'Please enter a valid IBAN',
+    postalCode: 'Please enter a valid postal code',
+    uuid: 'Please enter a valid UUID',
+    ipv4: 'Please enter a valid IPv4 address',
+    ipv6: 'Please enter a valid IPv6 address',
+    hexColor: 'Please enter a valid hex colour, e.g. #ff8800',
+    slug: 'Use only lowercase letters, numbers and hyphens',
+    passwordStrength: 'Password is too weak',
+    minDate: 'Must be on or after {date}',
+    maxDate: 'Must be on or before {date}',
+    before: 'Must be before {other}',
+    after: 'Must be after {other}',
+    validationFailed: 'Validation failed for {field}',
+  },
+};
+
+/**
+ * Replaces `{name}` placeholders with the matching variables. Unknown
+ * placeholders are left as they are.
+ */
+export const formatMessage = (template, variables = {}) => {
+  if (typeof template === 'function') return template(variables);
+
+  return String(template).replace(/\{(\w+)\}/g, (placeholder, key) => (
+    variables[key] !== undefined ? String(variables[key]) : placeholder
+  ));
+};
+
+/**
+ * Picks the entry for a locale from a value that is either a plain value or
+ * a map of locales, falling back to the base language (`fr` for `fr-CA`)
+ * and then English
+ */
+export const pickLocale = (value, locale = 'en') => {
+  if (value === null || typeof value !== 'object') return value;
+
+  const [language] = locale.split('-');
+  return [locale, language, 'en']
+    .map((key) => value[key])
+    .find((entry) => entry !== undefined);
+};
+
+/**
+ * Finds the catalogue entry for an error code in the given locale, looking
+ * at custom bundles first and the built-in catalogue second
+ */
+const findMessage = (code, locale, messages) => {
+  const [language] = locale.split('-');
+
+  return [messages, defaultMessages]
+    .reduce((acc, bundles) => acc.concat([locale, language, 'en'].map((key) => bundles[key])), [])
+    .map((bundle) => bundle && bundle[code])
+    .find((entry) => entry !== undefined);
+};
+
+/**
+ * Resolves the message of an error `{ code, message, meta, template }` in a
+ * locale. A fixed `template` (a rule `message` or a string returned by the
+ * validator) wins, then the catalogue entry for the code, then the
+ * validator's own message, then the generic `validationFailed` message.
+ */
+export const localizeError = (error, { locale = 'en', messages = {}, field, label } = {}) => {
+  const variables = { field, label: pickLocale(label, locale) || field, ...error.meta };
+
+  const template = pickLocale(error.template, locale);
+  if (template !== undefined) return formatMessage(template, variables);
+
+  const entry = findMessage(error.code, locale, messages);
+  if (entry !== undefined) return formatMessage(entry, variables);
+  if (error.message) return error.message;
+
+  return formatMessage(findMessage('validationFailed', locale, messages), variables);
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+// src/parsers.js
+
+/**
+ * Built-in `parse` functions for field configs. They receive the context
+ * `{ name, values, phase }`, where `phase` is `change` while the user types
+ * and `validate` before validation and submission. Conversions that would
+ * get in the way of typing, such as trimming, only apply when validating.
+ */
+export const parsers = {
+  /**
+   * Removes surrounding whitespace
+   */
+  trim: (value, { phase } = {}) => (
+    typeof value === 'string' && phase !== 'change' ? value.trim() : value
+  ),
+
+  /**
+   * Converts numeric text to a number. While typing, text that doesn't
+   * read back the same (such as `1.` or `-`) is kept as it is, and text
+   * that is not a number is always kept so validators can report it.
+   */
+  toNumber: (value, { phase } = {}) => {
+    if (typeof value !== 'string' || value.trim() === '') return value;
+
+    const number = Number(value.trim());
+    if (Number.isNaN(number)) return value;
+    return phase === 'change' && String(number) !== value.trim() ? value : number;
+  },
+
+  /**
+   * Converts date text to a `Date` when validating, since partial text
+   * such as `2` already reads as a date. Text that is not a valid date is
+   * kept so validators can report it.
+   */
+  toDate: (value, { phase } = {}) => {
+    if (typeof value !== 'string' || value.trim() === '' || phase === 'change') return value;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  },
+};
\ No newline at end of file
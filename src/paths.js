@@ -0,0 +1,193 @@
+// src/paths.js
+
+/**
+ * Path segment matching any array index, written `items[]` or `items.*`
+ */
+export const WILDCARD = '*';
+
+/**
+ * Splits a field name written in dot/bracket notation into path segments,
+ * e.g. `contacts[2].phone` becomes `['contacts', '2', 'phone']`
+ */
+export const toPath = (name) => {
+  if (Array.isArray(name)) return name.map(String);
+
+  return String(name)
+    .replace(/\[\]/g, `.${WILDCARD}`)
+    .replace(/\[([^\]]*)\]/g, '.$1')
+    .split('.')
+    .filter((segment) => segment !== '');
+};
+
+/**
+ * Returns the canonical dot-notation key for a field name,
+ * e.g. `contacts[2].phone` becomes `contacts.2.phone`
+ */
+export const normalizePath = (name) => toPath(name).join('.');
+
+const isIndex = (segment) => /^\d+$/.test(segment);
+
+/**
+ * Checks whether a value is a plain object (not an array, date, file, etc.)
+ */
+export const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Reads a nested value by path
+ */
+export const getIn = (obj, name, fallback) => {
+  let current = obj;
+  for (const segment of toPath(name)) {
+    if (current === null || current === undefined) return fallback;
+    current = current[segment];
+  }
+  return current === undefined ? fallback : current;
+};
+
+/**
+ * Immutably writes a nested value by path, creating arrays for numeric
+ * segments and objects otherwise
+ */
+export const setIn = (obj, name, value) => {
+  const path = toPath(name);
+
+  const write = (current, index) => {
+    if (index === path.length) return value;
+
+    const segment = path[index];
+    const container = current !== null && typeof current === 'object'
+      ? current
+      : (isIndex(segment) ? [] : {});
+    const next = write(container[segment], index + 1);
+
+    if (container[segment] === next && segment in container) return container;
+
+    const copy = Array.isArray(container) ? [...container] : { ...container };
+    copy[segment] = next;
+    return copy;
+  };
+
+  return write(obj, 0);
+};
+
+const isEmptyContainer = (value) => (
+  Array.isArray(value)
+    ? value.every((item) => item === undefined)
+    : isPlainObject(value) && Object.keys(value).length === 0
+);
+
+/**
+ * Immutably removes a nested value by path. Array entries are left as holes
+ * so sibling indexes stay aligned, and containers left empty are pruned.
+ */
+export const unsetIn = (obj, name) => {
+  const path = toPath(name);
+
+  const remove = (current, index) => {
+    if (current === null || typeof current !== 'object') return current;
+
+    const segment = path[index];
+    if (!(segment in current)) return current;
+
+    const copy = Array.isArray(current) ? [...current] : { ...current };
+    if (index === path.length - 1) {
+      if (Array.isArray(copy)) copy[segment] = undefined;
+      else delete copy[segment];
+      return copy;
+    }
+
+    const next = remove(current[segment], index + 1);
+    if (next === current[segment]) return current;
+
+    if (isEmptyContainer(next)) {
+      if (Array.isArray(copy)) copy[segment] = undefined;
+      else delete copy[segment];
+    } else {
+      copy[segment] = next;
+    }
+    return copy;
+  };
+
+  return remove(obj, 0);
+};
+
+/**
+ * Lists the dot-notation paths of every leaf value in a nested object.
+ * Empty arrays and objects count as leaves.
+ */
+export const getLeafPaths = (obj, prefix = '') => {
+  const isContainer = Array.isArray(obj) || isPlainObject(obj);
+  if (!isContainer || Object.keys(obj).length === 0) return prefix ? [prefix] : [];
+
+  return Object.keys(obj).reduce((acc, key) => (
+    acc.concat(getLeafPaths(obj[key], prefix ? `${prefix}.${key}` : key))
+  ), []);
+};
+
+/**
+ * Deeply compares two values. Arrays and plain objects are compared by
+ * content, dates by time and anything else by identity.
+ */
+export const isEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+
+  const bothArrays = Array.isArray(a) && Array.isArray(b);
+  if (!bothArrays && !(isPlainObject(a) && isPlainObject(b))) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => (
+    Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key])
+  ));
+};
+
+/**
+ * Lists the paths of the leaf values that differ between two nested
+ * values, e.g. the fields edited since the initial values
+ */
+export const getChangedPaths = (a, b, prefix = '') => {
+  const sameKind = (Array.isArray(a) && Array.isArray(b)) || (isPlainObject(a) && isPlainObject(b));
+  if (!sameKind) return isEqual(a, b) || !prefix ? [] : [prefix];
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].reduce((acc, key) => (
+    acc.concat(getChangedPaths(a[key], b[key], prefix ? `${prefix}.${key}` : key))
+  ), []);
+};
+
+/**
+ * Checks whether a concrete path matches a path pattern containing wildcards
+ */
+export const matchPath = (pattern, name) => {
+  const patternPath = toPath(pattern);
+  const path = toPath(name);
+
+  return patternPath.length === path.length && patternPath.every((segment, index) => (
+    segment === path[index] || (segment === WILDCARD && isIndex(path[index]))
+  ));
+};
+
+/**
+ * Expands a path pattern into the concrete paths present in `values`,
+ * e.g. `items.*.qty` becomes `['items.0.qty', 'items.1.qty']`
+ */
+export const expandPath = (pattern, values) => {
+  const path = toPath(pattern);
+  const wildcard = path.indexOf(WILDCARD);
+  if (wildcard === -1) return [path.join('.')];
+
+  const prefix = path.slice(0, wildcard).join('.');
+  const rest = path.slice(wildcard + 1).join('.');
+  const list = getIn(values, prefix);
+  if (!Array.isArray(list)) return [];
+
+  return list.reduce((acc, _item, index) => {
+    const itemPath = prefix ? `${prefix}.${index}` : String(index);
+    return acc.concat(rest ? expandPath(`${itemPath}.${rest}`, values) : [itemPath]);
+  }, []);
+};
\ No newline at end of file
@@ -0,0 +1,145 @@
+// src/persist.js
+import { getIn, setIn, unsetIn, getLeafPaths, normalizePath, matchPath } from './paths';
+
+/**
+ * Returns the storage adapter for the `storage` persistence option:
+ * `local` and `session` for the browser storages, or any object with
+ * `getItem`, `setItem` and `removeItem`, which may return promises.
+ */
+export const resolveStorage = (storage = 'local') => {
+  if (storage && typeof storage === 'object') return storage;
+
+  try {
+    if (typeof window === 'undefined') return null;
+    return storage === 'session' ? window.sessionStorage : window.localStorage;
+  } catch {
+    // Storage access can throw, e.g. when cookies are blocked
+    return null;
+  }
+};
+
+/**
+ * Checks whether a value is a file or blob, which can't be serialised
+ */
+const isBlob = (value) => typeof Blob !== 'undefined' && value instanceof Blob;
+
+/**
+ * Removes the excluded fields and files from a nested object. Exclusions
+ * are field paths, which also exclude everything below them, or patterns
+ * such as `cards.*.number`.
+ */
+export const stripExcluded = (obj, exclude = []) => {
+  const patterns = exclude.map(normalizePath);
+  const isExcluded = (path) => patterns.some((pattern) => {
+    const segments = path.split('.');
+    return segments.some((_segment, index) => matchPath(pattern, segments.slice(0, index + 1).join('.')));
+  });
+
+  return getLeafPaths(obj).reduce((acc, path) => (
+    isExcluded(path) || isBlob(getIn(obj, path)) ? unsetIn(acc, path) : acc
+  ), obj);
+};
+
+/**
+ * Creates the draft storage of a form from the `persist` option. Drafts are
+ * saved as JSON `{ version, values, touched }` under `key`, at most once per
+ * `debounce` milliseconds.
+ *
+ * @param {Object} options - `key`, `storage`, `version`, `migrate`, `exclude`, `touched`, `debounce`
+ * @returns {Object} `{ load, save, flush, clear }`
+ */
+export const createDraftStorage = ({
+  key,
+  storage,
+  version = 1,
+  migrate,
+  exclude = [],
+  touched: persistTouched = false,
+  debounce = 500,
+}) => {
+  const adapter = resolveStorage(storage);
+  let timer = null;
+  let pending = null;
+
+  const write = async (draft) => {
+    try {
+      await adapter.setItem(key, JSON.stringify(draft));
+    } catch (err) {
+      console.error('Draft persistence error:', err);
+    }
+  };
+
+  /**
+   * Reads the saved draft, migrating drafts saved with another version.
+   * Resolves to `{ values, touched }`, or `null` without a usable draft.
+   */
+  const load = async () => {
+    if (!adapter) return null;
+
+    try {
+      const saved = await adapter.getItem(key);
+      if (!saved) return null;
+
+      const { version: savedVersion, ...draft } = JSON.parse(saved);
+      if (savedVersion === version) return draft;
+      return migrate ? (await migrate(draft, savedVersion)) || null : null;
+    } catch (err) {
+      console.error('Draft persistence error:', err);
+      return null;
+    }
+  };
+
+  /**
+   * Saves the values, and touched state when enabled, after the debounce
+   */
+  const save = ({ values, touched }) => {
+    if (!adapter) return;
+
+    pending = { version, values: stripExcluded(values, exclude) };
+    if (persistTouched) pending.touched = stripExcluded(touched, exclude);
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const draft = pending;
+      pending = null;
+      write(draft);
+    }, debounce);
+  };
+
+  /**
+   * Saves a pending draft immediately
+   */
+  const flush = () => {
+    clearTimeout(timer);
+    if (!pending) return;
+
+    const draft = pending;
+    pending = null;
+    write(draft);
+  };
+
+  /**
+   * Drops any pending draft and removes the saved one
+   */
+  const clear = async () => {
+    clearTimeout(timer);
+    pending = null;
+    if (!adapter) return;
+
+    try {
+      await adapter.removeItem(key);
+    } catch (err) {
+      console.error('Draft persistence error:', err);
+    }
+  };
+
+  return { load, save, flush, clear, persistTouched };
+};
+
+/**
+ * Applies a restored draft on top of form values, so fields missing from
+ * the draft, such as excluded ones, keep their value
+ */
+export const mergeDraft = (values, draftValues = {}) => (
+  getLeafPaths(draftValues).reduce((acc, path) => setIn(acc, path, getIn(draftValues, path)), values)
+);
\ No newline at end of file
@@ -0,0 +1,263 @@
+// src/rules.js
+import { getIn, isPlainObject } from './paths';
+import { localizeError } from './messages';
+
+/**
+ * Dependency marker for rules that may read any field, such as conditional
+ * blocks with a `when` function
+ */
+export const ANY_FIELD = '**';
+
+/**
+ * Checks whether a validator result means "valid". Validators report a
+ * valid value with `''`, `null`, `undefined` or `true`.
+ */
+export const isValidResult = (result) => (
+  result === undefined || result === null || result === '' || result === true
+);
+
+/**
+ * Checks whether the validator of an object rule reported a valid value.
+ * Besides the valid results above, boolean-style validators may return
+ * any truthy value other than a message or an error object, such as a
+ * length or a regular expression match.
+ */
+const isPassingResult = (result) => (
+  isValidResult(result) || (Boolean(result) && typeof result !== 'string' && !isPlainObject(result))
+);
+
+/**
+ * Checks whether a bare function or named rule reported a valid value:
+ * only object rules are boolean-style, so any falsy result is valid here,
+ * e.g. the `false` of `(value) => value.length < 3 && 'Too short'`
+ */
+const isPassingRuleResult = (result) => !result || isValidResult(result);
+
+/**
+ * Normalises a validator result to `null` (valid) or an error object
+ * `{ code, message, meta, template }`.
+ *
+ * Validators may return a string message, an error object, or `false`
+ * (boolean-style validators), which is reported with the rule message.
+ * A `message` on the rule (a template, a map of locales, or a function of
+ * the value and params) replaces the validator's own message. Strings
+ * returned by validators are used as they are, while error objects are
+ * translated from the message catalogue by their `code`. The `template`
+ * keeps the fixed message, if any, so the error can be localised again.
+ *
+ * The code is the rule `code`, else the code of the error object, else
+ * `defaultCode` (the validator name for named validators).
+ */
+export const normalizeResult = (result, {
+  code,
+  defaultCode = 'custom',
+  message,
+  name,
+  args = [],
+  locale,
+  messages,
+  label,
+} = {}) => {
+  if (isValidResult(result)) return null;
+
+  const isObject = typeof result === 'object';
+  const ruleMessage = typeof message === 'function' ? message(...args) : message;
+  const error = {
+    code: code || (isObject && result.code) || defaultCode,
+    message: isObject ? result.message : undefined,
+    meta: (isObject && result.meta) || {},
+    template: ruleMessage !== undefined ? ruleMessage : (typeof result === 'string' ? result : undefined),
+  };
+
+  return { ...error, message: localizeError(error, { locale, messages, field: name, label }) };
+};
+
+/**
+ * Checks whether a rule is a conditional block:
+ * - `{ when: (values, context) => boolean, then, otherwise }`
+ * - `{ when: { field, is }, then, otherwise }` or `{ field, is, then, otherwise }`
+ */
+export const isConditionalRule = (rule) => (
+  isPlainObject(rule)
+  && ('then' in rule || 'otherwise' in rule)
+  && ('when' in rule || 'is' in rule)
+);
+
+/**
+ * Evaluates the condition of a conditional block. `is` may be a value
+ * compared with `===` or a predicate receiving the other field's value.
+ */
+const testCondition = (rule, context) => {
+  const condition = 'when' in rule ? rule.when : rule;
+
+  if (typeof condition === 'function') return Boolean(condition(context.values, context));
+
+  const { field, is } = condition;
+  const value = getIn(context.values, field);
+  return typeof is === 'function' ? Boolean(is(value, context.values)) : value === is;
+};
+
+/**
+ * Expands conditional blocks into the rules that apply to the current
+ * values. A block whose condition is off and has no `otherwise` contributes
+ * no rules, so the field is not validated.
+ */
+export const resolveRules = (rules, context) => {
+  const ruleList = Array.isArray(rules) ? rules : [rules];
+
+  return ruleList.reduce((acc, rule) => {
+    if (!isConditionalRule(rule)) return acc.concat([rule]);
+
+    const branch = testCondition(rule, context) ? rule.then : rule.otherwise;
+    return branch === undefined ? acc : acc.concat(resolveRules(branch, context));
+  }, []);
+};
+
+/**
+ * Runs a single rule in any of the supported forms:
+ * - a validator name: `'required'`, called as `validator(value, context)`
+ * - a function: `(value, values, context) => result`
+ * - an object: `{ validator: 'minLength' | fn, params: [8], message, code, dependsOn }`,
+ *   called as `validator(value, ...params, context)`
+ *
+ * The context is `{ name, values, signal }`: the field path, all form values
+ * and an AbortSignal for superseded async validations. Messages are resolved
+ * for the `locale`, custom `messages` bundles and field `label` given in the
+ * run options. Resolves to `null` when the value is valid, or an error object.
+ */
+export const runRule = async (rule, value, {
+  name,
+  values,
+  validators,
+  signal,
+  locale,
+  messages,
+  label,
+}) => {
+  const context = { name, values, signal };
+  const localization = { name, locale, messages, label };
+
+  if (typeof rule === 'string') {
+    if (!validators[rule]) return null;
+
+    const result = await validators[rule](value, context);
+    return normalizeResult(isPassingRuleResult(result) ? null : result, {
+      ...localization,
+      defaultCode: rule,
+      args: [value],
+    });
+  }
+
+  if (typeof rule === 'function') {
+    const result = await rule(value, values, context);
+    return normalizeResult(isPassingRuleResult(result) ? null : result, { ...localization, args: [value] });
+  }
+
+  if (rule && typeof rule === 'object') {
+    const { validator, message, params = [], code } = rule;
+    const validate = typeof validator === 'string' ? validators[validator] : validator;
+    if (typeof validate !== 'function') return null;
+
+    const result = await validate(value, ...params, context);
+    return normalizeResult(isPassingResult(result) ? null : result, {
+      ...localization,
+      code,
+      defaultCode: typeof validator === 'string' ? validator : 'custom',
+      message,
+      args: [value, ...params],
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Built-in validators whose first param is the path of another field
+ */
+const FIELD_VALIDATORS = ['matches', 'before', 'after'];
+
+/**
+ * Lists the fields a field's rules depend on: every `dependsOn` entry of its
+ * object rules, the compared field of `matches`, `before` and `after` rules,
+ * and the fields tested by conditional blocks. A `when` function without
+ * `dependsOn` may read any field and yields {@link ANY_FIELD}.
+ */
+export const getRuleDependencies = (rules) => {
+  if (isFieldConfig(rules)) return getRuleDependencies(rules.rules);
+
+  const ruleList = Array.isArray(rules) ? rules : [rules];
+
+  return ruleList.reduce((acc, rule) => {
+    if (!rule || typeof rule !== 'object') return acc;
+
+    if (isConditionalRule(rule)) {
+      const condition = 'when' in rule ? rule.when : rule;
+      const tested = typeof condition === 'function' ? [] : [condition.field];
+      const unknown = typeof condition === 'function' && !rule.dependsOn ? [ANY_FIELD] : [];
+      const branches = [rule.then, rule.otherwise].filter((branch) => branch !== undefined);
+
+      return acc.concat(
+        rule.dependsOn || [],
+        tested,
+        unknown,
+        ...branches.map(getRuleDependencies)
+      );
+    }
+
+    const { validator, params = [], dependsOn = [] } = rule;
+    const matched = FIELD_VALIDATORS.includes(validator) && typeof params[0] === 'string' ? [params[0]] : [];
+    return acc.concat(dependsOn, matched);
+  }, []);
+};
+
+/**
+ * Returns the name reported as `rule` for a failing rule: the validator name,
+ * or `'custom'` for functions
+ */
+const getRuleName = (rule) => {
+  if (typeof rule === 'string') return rule;
+  if (rule && typeof rule.validator === 'string') return rule.validator;
+  return 'custom';
+};
+
+/**
+ * Runs the rules of a field that apply to the current values in order,
+ * awaiting async rules, and resolves to the list of errors
+ * `{ rule, code, message, meta, template }`. With `abortEarly` (the default)
+ * it stops at the first error.
+ */
+export const collectErrors = async (rules, value, { abortEarly = true, ...context }) => {
+  const ruleList = resolveRules(rules, context);
+  const errors = [];
+
+  for (const rule of ruleList) {
+    if (context.signal && context.signal.aborted) return [];
+
+    const error = await runRule(rule, value, context);
+    if (error) {
+      errors.push({ rule: getRuleName(rule), ...error });
+      if (abortEarly) break;
+    }
+  }
+  return errors;
+};
+
+/**
+ * Runs the rules of a field that apply to the current values in order,
+ * awaiting async rules, and resolves to the first error or `null`
+ */
+export const validateRules = async (rules, value, context) => {
+  const [error = null] = await collectErrors(rules, value, { ...context, abortEarly: true });
+  return error;
+};
+
+/**
+ * Checks whether a schema entry is a field config `{ rules, ...options }`
+ * rather than bare rules
+ */
+export const isFieldConfig = (entry) => isPlainObject(entry) && 'rules' in entry;
+
+/**
+ * Normalises a schema entry to a field config `{ rules, ...options }`
+ */
+export const toFieldConfig = (entry) => (isFieldConfig(entry) ? entry : { rules: entry });
\ No newline at end of file
@@ -0,0 +1,88 @@
+// src/store.js
+import { useCallback, useRef } from 'react';
+import { useSyncExternalStore } from 'use-sync-external-store/shim';
+
+/**
+ * Creates a minimal external store. `setState` takes a partial state or an
+ * updater returning one, and listeners are notified after every change.
+ */
+export const createStore = (initialState) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  const setState = (patch) => {
+    const changes = typeof patch === 'function' ? patch(state) : patch;
+    const changed = Object.keys(changes).some((key) => !Object.is(changes[key], state[key]));
+    if (!changed) return;
+
+    state = { ...state, ...changes };
+    listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { getState, setState, subscribe };
+};
+
+/**
+ * Compares the own keys of two objects by identity
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+/**
+ * Wraps a function so it recomputes only when one of its arguments changes
+ * identity since the last call
+ */
+export const memoizeLast = (fn) => {
+  let lastArgs = null;
+  let lastResult;
+
+  return (...args) => {
+    const same = lastArgs && lastArgs.length === args.length
+      && args.every((arg, index) => Object.is(arg, lastArgs[index]));
+    if (!same) {
+      lastArgs = args;
+      lastResult = fn(...args);
+    }
+    return lastResult;
+  };
+};
+
+/**
+ * Subscribes a component to a slice of a store. The component only
+ * re-renders when the selected slice changes according to `equals`.
+ */
+export const useStoreSelector = (store, selector, equals = Object.is) => {
+  const cache = useRef(null);
+
+  const getSnapshot = () => {
+    const state = store.getState();
+    const last = cache.current;
+    if (last && last.state === state && last.selector === selector) return last.selection;
+
+    const selection = selector(state);
+    if (last && equals(last.selection, selection)) {
+      cache.current = { state, selector, selection: last.selection };
+      return last.selection;
+    }
+
+    cache.current = { state, selector, selection };
+    return selection;
+  };
+
+  const subscribe = useCallback((listener) => store.subscribe(listener), [store]);
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+};
\ No newline at end of file
@@ -0,0 +1,175 @@
+// src/testing.js
+import * as React from 'react';
+import { validate } from './core';
+import { isEqual } from './paths';
+
+/**
+ * React's `act`, exported by React itself since 18.3 and as `unstable_act`
+ * before that
+ */
+const act = React.act || React.unstable_act;
+
+/**
+ * Resolves once no field or form-level validation of a form is pending.
+ * Debounced validations count as pending, so with fake timers the timers
+ * must be advanced for this to resolve.
+ *
+ * @param {Object} form - Form returned by `useFormValidator` or `useFormContext`
+ * @returns {Promise<void>} Resolves when the form has settled
+ */
+export const waitForValidation = (form) => {
+  const { control } = form;
+
+  return new Promise((resolve) => {
+    if (!control.getIsValidating()) {
+      resolve();
+      return;
+    }
+
+    const unsubscribe = control.store.subscribe(() => {
+      if (control.getIsValidating()) return;
+
+      unsubscribe();
+      resolve();
+    });
+  });
+};
+
+/**
+ * Builds the change event target of an input of the given type holding a
+ * value: a checkbox checked by `true`, or checking the option of a checkbox
+ * group or radio given as a string, the selected options of a multi-select
+ * or the files of a file input
+ */
+const toEventTarget = (name, value, type) => {
+  const list = Array.isArray(value) ? value : [value];
+
+  switch (type) {
+    case 'checkbox':
+      return typeof value === 'boolean'
+        ? { name, type, value: 'on', checked: value }
+        : { name, type, value, checked: true };
+    case 'radio':
+      return { name, type, value, checked: true };
+    case 'select-multiple':
+      return { name, type, options: list.map((option) => ({ value: option, selected: true })) };
+    case 'file':
+      return { name, type, files: list };
+    default:
+      return { name, type, value };
+  }
+};
+
+/**
+ * Changes the value of a field as its input would, inside `act`, and
+ * resolves once the validations it started have settled. With a `type`,
+ * the value is read as an input of that type reads it, e.g. `number`.
+ *
+ * @param {Object} form - Form returned by `useFormValidator` or `useFormContext`
+ * @param {string} name - Field path
+ * @param {*} value - New value, or what an input of `type` holds: its text, `true`/`false` or the option to check for checkboxes and radios, the selected options or the files
+ * @param {Object} options - `type` of the input
+ * @returns {Promise<void>} Resolves when the field's validation has settled
+ */
+export const fillField = async (form, name, value, { type } = {}) => {
+  const { onChange } = form.control.getFieldHandlers(name);
+
+  await act(async () => {
+    onChange(type ? { target: toEventTarget(name, value, type) } : value);
+    await waitForValidation(form);
+  });
+};
+
+/**
+ * Blurs the input of a field inside `act`, which marks it as touched, and
+ * resolves once its validation has settled
+ *
+ * @param {Object} form - Form returned by `useFormValidator` or `useFormContext`
+ * @param {string} name - Field path
+ * @returns {Promise<void>} Resolves when the field's validation has settled
+ */
+export const blurField = async (form, name) => {
+  const { onBlur } = form.control.getFieldHandlers(name);
+
+  await act(async () => {
+    onBlur();
+    await waitForValidation(form);
+  });
+};
+
+/**
+ * Submits a form inside `act`, with the same validation as a real
+ * submission. `onSubmit` runs when the form is valid and receives the
+ * values and submit helpers, e.g. to set errors returned by a mocked API.
+ *
+ * @param {Object} form - Form returned by `useFormValidator` or `useFormContext`
+ * @param {Function} [onSubmit] - Submit handler
+ * @returns {Promise<{ submitted: boolean, values: Object, errors: Object }>} Whether `onSubmit` ran,
+ *   the submitted values (or the current ones when the form was invalid) and the errors after submission
+ */
+export const submitForm = async (form, onSubmit) => {
+  const { control } = form;
+  let submitted = null;
+
+  await act(async () => {
+    await control.handleSubmit(async (values, helpers) => {
+      submitted = values;
+      if (onSubmit) await onSubmit(values, helpers);
+    })();
+  });
+
+  return {
+    submitted: submitted !== null,
+    values: submitted !== null ? submitted : control.store.getState().values,
+    errors: control.getErrorState().errors,
+  };
+};
+
+/**
+ * Checks whether a validation result matches a case: its `errors` must
+ * equal the expected ones, and its validity the expected `valid` flag
+ */
+const matchesCase = (testCase, result) => (
+  (!('errors' in testCase) || isEqual(result.errors, testCase.errors))
+  && (!('valid' in testCase) || result.valid === testCase.valid)
+);
+
+/**
+ * Describes a failing case for the error thrown by `validateSchema`
+ */
+const describeFailure = ({ testCase, index, result }) => {
+  const label = testCase.name || `case ${index + 1}`;
+  const expected = 'errors' in testCase ? testCase.errors : { valid: testCase.valid };
+  const received = 'errors' in testCase ? result.errors : { valid: result.valid };
+
+  return `- ${label}: expected ${JSON.stringify(expected)}, received ${JSON.stringify(received)}`;
+};
+
+/**
+ * Validates a table of cases `{ name, values, errors, valid }` against a
+ * schema without rendering. Each case passes when its `errors` (first
+ * message of each field, nested like the values) equal the expected ones
+ * and its validity matches `valid`; either may be left out. Throws an error
+ * listing every failing case, so it works with any test runner.
+ *
+ * @param {Object} schema - Validation schema
+ * @param {Array<Object>} cases - Cases `{ name, values, errors, valid }`
+ * @param {Object} options - Options of `validate`, e.g. `customValidators` or `locale`
+ * @returns {Promise<Array<Object>>} Validation result of each case
+ */
+export const validateSchema = async (schema, cases, options = {}) => {
+  const results = await Promise.all(cases.map((testCase) => validate(testCase.values, schema, options)));
+
+  const failures = cases
+    .map((testCase, index) => ({ testCase, index, result: results[index] }))
+    .filter(({ testCase, result }) => !matchesCase(testCase, result));
+
+  if (failures.length > 0) {
+    throw new Error([
+      `validateSchema: ${failures.length} of ${cases.length} cases failed`,
+      ...failures.map(describeFailure),
+    ].join('\n'));
+  }
+
+  return results;
+};
\ No newline at end of file
@@ -1,14 +1,89 @@
 // src/types.js
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} code - Machine-readable error code, e.g. the validator name
+ * @property {string} message - Error message
+ * @property {Object} [meta] - Additional data about the error
+ */
+
+/**
+ * A validator result: `''`, `null`, `undefined` or `true` when valid; an error
+ * message, a {@link ValidationError} or `false` when invalid
+ * @typedef {string|null|undefined|boolean|ValidationError} ValidatorResult
+ */
+
 /**
  * @typedef {Object} ValidationRule
  * @property {string|Function} validator - The validator function or name of built-in validator
- * @property {string} [message] - Custom error message
+ * @property {string|Function|Object<string, string>} [message] - Custom error message replacing the validator's own
+ *   message: a template, a function of the value and params, or a map of locales
  * @property {Array<any>} [params] - Additional parameters for the validator
+ * @property {string} [code] - Error code reported when the rule fails
+ * @property {string|Array<string>} [dependsOn] - Fields whose changes re-validate this field
+ */
+
+/**
+ * @typedef {Object} RuleContext
+ * @property {string} name - Name of the field being validated
+ * @property {Object} values - All form values
+ * @property {AbortSignal} signal - Aborted when a newer validation of the field supersedes this one
+ */
+
+/**
+ * @typedef {Object} ConditionalRule
+ * @property {Function|{ field: string, is: any }} [when] - Condition: `(values, context) => boolean`, or a field
+ *   compared with `is` (a value or a predicate receiving the field value)
+ * @property {string} [field] - Field tested by the short form `{ field, is, then, otherwise }`
+ * @property {any} [is] - Value or predicate the field is tested against
+ * @property {any} [then] - Rules (or a nested schema) applied when the condition holds
+ * @property {any} [otherwise] - Rules (or a nested schema) applied when it does not
+ * @property {string|Array<string>} [dependsOn] - Fields read by a `when` function
+ */
+
+/**
+ * @typedef {Object} FieldConfig
+ * @property {string|Function|ValidationRule|ConditionalRule|Array<string|Function|ValidationRule|ConditionalRule>} rules - Validation rules for the field
+ * @property {boolean} [abortEarly] - Overrides the `abortEarly` option for this field
+ * @property {string|Object<string, string>} [label] - Field name used in messages as `{label}`, or a map of locales
+ * @property {ParseFunction} [parse] - Converts input values to the stored value
+ * @property {FormatFunction} [format] - Converts the stored value to the displayed value
+ * @property {ValidationMode} [mode] - Overrides the `mode` option for this field
+ * @property {'onChange'|'onBlur'|'onSubmit'} [reValidateMode] - Overrides the `reValidateMode` option for this field
+ */
+
+/**
+ * When fields are validated: only on submit, on blur, on every change, on
+ * the first blur and every change after it, or on blur and every change
+ * @typedef {'onSubmit'|'onBlur'|'onChange'|'onTouched'|'all'} ValidationMode
+ */
+
+/**
+ * @callback ParseFunction
+ * @param {*} value - Input value
+ * @param {{ name: string, values: Object, phase: 'change'|'validate' }} context - Field path, form values and
+ *   whether the user is typing or the values are about to be validated
+ * @returns {*} Stored value
+ */
+
+/**
+ * @callback FormatFunction
+ * @param {*} value - Stored value
+ * @param {{ name: string, values: Object }} context - Field path and form values
+ * @returns {*} Displayed value
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} rule - Name of the failing validator, or `custom` for functions
+ * @property {string} code - Machine-readable error code
+ * @property {string} message - Error message
+ * @property {Object} meta - Additional data about the error
  */
 
 /**
  * @typedef {Object} ValidationSchema
- * @property {string|Function|ValidationRule|Array<string|Function|ValidationRule>} [fieldName] - Validation rules for a field
+ * @property {string|Function|ValidationRule|ConditionalRule|Array<string|Function|ValidationRule|ConditionalRule>|FieldConfig|ValidationSchema} [fieldName] - Validation rules for a field,
+ *   or a nested schema for an object field. Keys may also be paths such as `address.city` or `contacts[2].phone`.
  */
 
 /**
@@ -16,39 +91,235 @@
  * @property {boolean} [validateOnChange=true] - Whether to validate on change
  * @property {boolean} [validateOnBlur=true] - Whether to validate on blur
  * @property {boolean} [validateOnSubmit=true] - Whether to validate on submit
+ * @property {ValidationMode} [mode] - When fields are validated before the first submission, replacing
+ *   `validateOnChange` and `validateOnBlur`
+ * @property {'onChange'|'onBlur'|'onSubmit'} [reValidateMode='onChange'] - When fields are re-validated after
+ *   the first submission
+ * @property {Object<string, Function>} [customValidators={}] - Custom validators
+ * @property {number} [debounce=0] - Milliseconds to wait after a change before validating the field
+ * @property {boolean} [abortEarly=true] - Stop validating a field at its first failing rule
+ * @property {string} [locale='en'] - Locale of the error messages
+ * @property {Object<string, Object<string, string|Function>>} [messages={}] - Message bundles keyed by locale, then error code
+ * @property {boolean} [enableReinitialize=false] - Reset the form when `initialValues` change
+ * @property {boolean} [keepDirtyOnReinitialize=false] - Keep the fields edited by the user when reinitialising
+ * @property {ParseFunction} [parse] - Converts input values of fields without their own `parse`
+ * @property {FormatFunction} [format] - Converts stored values of fields without their own `format`
+ * @property {PersistOptions} [persist] - Save drafts of the values to a storage
+ * @property {boolean} [focusOnError=true] - Focus the first invalid input when a submission fails
+ * @property {Array<ValidationSchema>} [steps] - Schemas of the steps of a wizard
+ * @property {FormValidateFunction} [validate] - Form-level validation of all values
+ * @property {boolean} [validateFormOnChange=false] - Also run `validate` after every change
+ * @property {string} [idPrefix] - Prefix of the generated input, label and error message ids
+ * @property {boolean|HistoryOptions} [history=false] - Record an undo history of the values
+ */
+
+/**
+ * Form-level validation. Returns errors keyed by field path, possibly
+ * nested, with form-level errors under `root`; or a list of
+ * `{ path, message, code }`.
+ *
+ * @callback FormValidateFunction
+ * @param {Object} values - Form values
+ * @param {{ signal: AbortSignal }} context - Aborted when a newer run supersedes this one
+ * @returns {Object|Array|void|Promise<Object|Array|void>} Errors, or nothing when the form is valid
+ */
+
+/**
+ * @typedef {Object} HistoryOptions
+ * @property {number} [limit=100] - Maximum number of undo steps
+ * @property {number} [coalesce=500] - Changes of the same field less than this many milliseconds apart share one step
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {(key: string) => string|null|Promise<string|null>} getItem - Read a draft
+ * @property {(key: string, value: string) => void|Promise<void>} setItem - Save a draft
+ * @property {(key: string) => void|Promise<void>} removeItem - Remove a draft
+ */
+
+/**
+ * @typedef {Object} PersistOptions
+ * @property {string} key - Storage key of the draft
+ * @property {'local'|'session'|StorageAdapter} [storage='local'] - Storage of the draft
+ * @property {number} [version=1] - Version of the draft format
+ * @property {(draft: { values: Object, touched?: Object }, fromVersion: number) => Object|null|Promise<Object|null>} [migrate] - Upgrade
+ *   drafts saved with another version, or return `null` to discard them
+ * @property {Array<string>} [exclude=[]] - Fields that are never saved, e.g. passwords
+ * @property {boolean} [touched=false] - Also save the touched fields
+ * @property {number} [debounce=500] - Milliseconds to wait after a change before saving
+ */
+
+/**
+ * @typedef {Object} ValidateOptions
  * @property {Object<string, Function>} [customValidators={}] - Custom validators
+ * @property {boolean} [abortEarly=true] - Stop validating a field at its first failing rule
+ * @property {string} [locale='en'] - Locale of the error messages
+ * @property {Object<string, Object<string, string|Function>>} [messages={}] - Message bundles keyed by locale, then error code
+ * @property {ParseFunction} [parse] - Converts values of fields without their own `parse`
+ * @property {AbortSignal} [signal] - Signal passed to every rule
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - Whether the values passed every rule
+ * @property {Object} values - Values after `parse`
+ * @property {Object} errors - First error message of each field, nested like the values
+ * @property {Object} allErrors - Every error of each field, as lists of {@link FieldError}
  */
 
 /**
  * @typedef {Object} FormValidatorResult
  * @property {Object} values - Form values
+ * @property {Object} initialValues - Values the form was initialised or last reset with
  * @property {Object} errors - Form errors
+ * @property {Object} allErrors - Every error of each field, as lists of {@link FieldError}
  * @property {Object} touched - Form touched fields
  * @property {boolean} isSubmitting - Whether the form is submitting
+ * @property {number} submitCount - Number of submission attempts
+ * @property {boolean} submitSucceeded - Whether the last submission succeeded
+ * @property {*} submitError - Error thrown by `onSubmit` in the last submission, or `null`
+ * @property {string} rootError - First form-level error message
+ * @property {Array<FieldError>} rootErrors - Every form-level error
  * @property {boolean} isValid - Whether the form is valid
+ * @property {boolean} isValidating - Whether any field validation is pending
+ * @property {Object<string, boolean>} validatingFields - Fields with a pending validation
+ * @property {boolean} isDirty - Whether any value differs from the initial values
+ * @property {Object} dirty - Fields whose value differs from the initial values
+ * @property {number} step - Index of the current wizard step
+ * @property {number} stepCount - Number of wizard steps
+ * @property {boolean} isFirstStep - Whether the current step is the first one
+ * @property {boolean} isLastStep - Whether the current step is the last one
+ * @property {Object} stepErrors - Errors of the fields of the current step
+ * @property {Object} stepTouched - Touched state of the fields of the current step
+ * @property {boolean} isStepValid - Whether the fields of the current step are valid
  * @property {Function} handleChange - Change handler
  * @property {Function} handleBlur - Blur handler
- * @property {Function} handleSubmit - Submit handler
+ * @property {(onSubmit?: Function, onInvalid?: (errors: Object) => void) => (e?: Event) => Promise<void>} handleSubmit - Submit handler
  * @property {Function} setValue - Set a field value
+ * @property {(name?: string) => any} getValues - Get the values, including those typed in registered inputs, or the value of a field
+ * @property {(name: string, rules?: Array|Object|string|Function) => { name: string, ref: Function }} register - Register an uncontrolled input, optionally with the rules of its field
+ * @property {(payload: Object|Array) => void} setFieldErrors - Set errors returned by an API
+ * @property {(message: string|null) => void} setRootError - Set or clear the form-level error
  * @property {Function} resetForm - Reset the form
  * @property {Function} validateForm - Validate the form
- * @property {Function} getFieldProps - Get props for a field
+ * @property {() => void} undo - Undo the last change of the values
+ * @property {() => void} redo - Redo the last undone change
+ * @property {boolean} canUndo - Whether there is a change to undo
+ * @property {boolean} canRedo - Whether there is a change to redo
+ * @property {() => Promise<boolean>} next - Validate the current step and move to the next one
+ * @property {() => void} prev - Move to the previous step
+ * @property {(name: string, options?: FieldPropsOptions) => Object} getFieldProps - Get props for a field
+ * @property {(name: string) => { id: string }} getErrorProps - Get props for the error message of a field
+ * @property {(name: string, options?: FieldPropsOptions) => { id: string, htmlFor: string }} getLabelProps - Get props for the label of a field
+ * @property {() => Array<ErrorSummaryItem>} getErrorSummary - List every current error for an error summary
+ * @property {(name: string) => FieldArray} getFieldArray - Get the items and helpers of an array field
+ * @property {Object} control - The underlying form store, used by `useField` and `useFormState`
+ */
+
+/**
+ * @typedef {Object} FieldPropsOptions
+ * @property {string} [type] - Input type, e.g. `checkbox`, `radio`, `file` or `number`
+ * @property {string} [value] - Value of a radio button or of a checkbox in a group
+ * @property {boolean} [multiple] - Whether a select or file input accepts several values
+ */
+
+/**
+ * @typedef {Object} ErrorSummaryItem
+ * @property {string} name - Field path, or `root` for form-level errors
+ * @property {string} message - First error message
+ * @property {string} [href] - Link to the input of the field
+ * @property {(e?: Event) => void} [onClick] - Focuses the input of the field
+ */
+
+/**
+ * @typedef {Object} FieldState
+ * @property {{ name: string, value: any, onChange: Function, onBlur: Function, id: string, 'aria-invalid': boolean, 'aria-describedby'?: string }} inputProps - Props for the input
+ * @property {{ id: string, htmlFor: string }} labelProps - Props for the label
+ * @property {{ id: string }} errorProps - Props for the error message
+ * @property {string} error - First error message of the field
+ * @property {boolean} touched - Whether the field was touched
+ * @property {boolean} dirty - Whether the value differs from the initial value
+ * @property {(value: any) => void} setValue - Set the value of the field
+ */
+
+/**
+ * @typedef {Object} FormState
+ * @property {boolean} isSubmitting - Whether the form is submitting
+ * @property {boolean} isValid - Whether the form is valid
+ * @property {boolean} isValidating - Whether any field validation is pending
+ * @property {boolean} isDirty - Whether any value differs from the initial values
+ * @property {number} submitCount - Number of submission attempts
+ * @property {boolean} submitSucceeded - Whether the last submission succeeded
+ */
+
+/**
+ * @typedef {Object} FieldArrayItem
+ * @property {string} key - Stable key for rendering
+ * @property {string} name - Path prefix of the item, e.g. `items[0]`
+ * @property {number} index - Index of the item
+ * @property {any} value - Value of the item
+ */
+
+/**
+ * @typedef {Object} FieldArray
+ * @property {Array<FieldArrayItem>} fields - Items of the array
+ * @property {string} error - Error of a failing array-level rule
+ * @property {(item: any) => void} append - Add an item at the end
+ * @property {(item: any) => void} prepend - Add an item at the start
+ * @property {(index: number, item: any) => void} insert - Add an item at an index
+ * @property {(index: number) => void} remove - Remove the item at an index
+ * @property {(from: number, to: number) => void} move - Move an item to another index
+ * @property {(indexA: number, indexB: number) => void} swap - Swap two items
+ * @property {(items: Array<any>) => void} replace - Replace all items
  */
 
-// Export TypeScript types for TypeScript users
+// Generic variant for JSDoc users. TypeScript declarations live in `types/`
 /**
  * @template T
  * @typedef {Object} TypedFormValidatorResult
  * @property {T} values - Form values
+ * @property {T} initialValues - Values the form was initialised or last reset with
  * @property {Partial<Record<keyof T, string>>} errors - Form errors
+ * @property {Partial<Record<keyof T, Array<FieldError>>>} allErrors - Every error of each field
  * @property {Partial<Record<keyof T, boolean>>} touched - Form touched fields
  * @property {boolean} isSubmitting - Whether the form is submitting
+ * @property {number} submitCount - Number of submission attempts
+ * @property {boolean} submitSucceeded - Whether the last submission succeeded
+ * @property {*} submitError - Error thrown by `onSubmit` in the last submission, or `null`
+ * @property {string} rootError - First form-level error message
+ * @property {Array<FieldError>} rootErrors - Every form-level error
  * @property {boolean} isValid - Whether the form is valid
+ * @property {boolean} isValidating - Whether any field validation is pending
+ * @property {Partial<Record<keyof T, boolean>>} validatingFields - Fields with a pending validation
+ * @property {boolean} isDirty - Whether any value differs from the initial values
+ * @property {Partial<Record<keyof T, boolean|Object>>} dirty - Fields whose value differs from the initial values
+ * @property {number} step - Index of the current wizard step
+ * @property {number} stepCount - Number of wizard steps
+ * @property {boolean} isFirstStep - Whether the current step is the first one
+ * @property {boolean} isLastStep - Whether the current step is the last one
+ * @property {Partial<Record<keyof T, string>>} stepErrors - Errors of the fields of the current step
+ * @property {Partial<Record<keyof T, boolean>>} stepTouched - Touched state of the fields of the current step
+ * @property {boolean} isStepValid - Whether the fields of the current step are valid
  * @property {(e: { target: { name: string; value: any } }) => void} handleChange - Change handler
  * @property {(e: { target: { name: string } }) => void} handleBlur - Blur handler
- * @property {(onSubmit: (values: T, helpers: { setErrors: Function, resetForm: Function }) => void | Promise<void>) => (e: Event) => void} handleSubmit - Submit handler
+ * @property {(onSubmit: (values: T, helpers: { setErrors: Function, setFieldErrors: Function, setRootError: Function, resetForm: Function }) => void | Promise<void>, onInvalid?: (errors: Partial<Record<keyof T, string>>) => void) => (e?: Event) => Promise<void>} handleSubmit - Submit handler
  * @property {<K extends keyof T>(name: K, value: T[K]) => void} setValue - Set a field value
+ * @property {{ (): T, <K extends keyof T>(name: K): T[K] }} getValues - Get the values, including those typed in registered inputs, or the value of a field
+ * @property {<K extends keyof T>(name: K, rules?: Array|Object|string|Function) => { name: string, ref: Function }} register - Register an uncontrolled input, optionally with the rules of its field
+ * @property {(payload: Object|Array) => void} setFieldErrors - Set errors returned by an API
+ * @property {(message: string|null) => void} setRootError - Set or clear the form-level error
  * @property {(newValues?: Partial<T>) => void} resetForm - Reset the form
- * @property {() => boolean} validateForm - Validate the form
- * @property {<K extends keyof T>(name: K) => Object} getFieldProps - Get props for a field
+ * @property {() => Promise<boolean>} validateForm - Validate the form
+ * @property {() => void} undo - Undo the last change of the values
+ * @property {() => void} redo - Redo the last undone change
+ * @property {boolean} canUndo - Whether there is a change to undo
+ * @property {boolean} canRedo - Whether there is a change to redo
+ * @property {() => Promise<boolean>} next - Validate the current step and move to the next one
+ * @property {() => void} prev - Move to the previous step
+ * @property {<K extends keyof T>(name: K, options?: FieldPropsOptions) => Object} getFieldProps - Get props for a field
+ * @property {(name: string) => { id: string }} getErrorProps - Get props for the error message of a field
+ * @property {(name: string, options?: FieldPropsOptions) => { id: string, htmlFor: string }} getLabelProps - Get props for the label of a field
+ * @property {() => Array<ErrorSummaryItem>} getErrorSummary - List every current error for an error summary
+ * @property {(name: string) => FieldArray} getFieldArray - Get the items and helpers of an array field
+ * @property {Object} control - The underlying form store, used by `useField` and `useFormState`
  */
\ No newline at end of file
@@ -1,6 +1,135 @@
 // src/useFormValidator.js
-import { useState, useCallback, useMemo } from 'react';
-import { builtInValidators } from './validators';
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { isEqual } from './paths';
+import { flattenSchema, getSchemaDependencies } from './core';
+import { createForm } from './createForm';
+import { createDraftStorage } from './persist';
+import { useStoreSelector, shallowEqual } from './store';
+
+let formSeed = 0;
+
+/**
+ * Default of the `messages` option, kept stable so a form without messages
+ * doesn't notify subscribers of new messages on every render
+ */
+const noMessages = {};
+
+/**
+ * Store keys each piece of returned state is derived from
+ */
+const stateKeys = {
+  values: ['values'],
+  initialValues: ['baseValues'],
+  errors: ['errorMap', 'formErrorMap'],
+  allErrors: ['errorMap', 'formErrorMap'],
+  touched: ['touched'],
+  isSubmitting: ['isSubmitting'],
+  submitCount: ['submitCount'],
+  submitError: ['submitError'],
+  submitSucceeded: ['submitSucceeded'],
+  rootError: ['rootErrors', 'formRootErrors'],
+  rootErrors: ['rootErrors', 'formRootErrors'],
+  isValid: ['errorMap', 'rootErrors', 'formErrorMap', 'formRootErrors'],
+  isValidating: ['validatingFields', 'isValidatingForm'],
+  validatingFields: ['validatingFields'],
+  isDirty: ['values', 'baseValues'],
+  dirty: ['values', 'baseValues'],
+  step: ['step'],
+  stepCount: [],
+  isFirstStep: ['step'],
+  isLastStep: ['step'],
+  stepErrors: ['step', 'errorMap', 'formErrorMap'],
+  stepTouched: ['step', 'touched'],
+  isStepValid: ['step', 'errorMap', 'formErrorMap'],
+  canUndo: ['history'],
+  canRedo: ['history'],
+};
+
+/**
+ * Builds the object returned by the hook. State properties are getters that
+ * read the store and, while the component renders, record which store keys
+ * it uses, so it only re-renders when those change. Handlers are created
+ * once.
+ */
+const createFormApi = (form, tracker) => {
+  const track = (keys) => {
+    if (tracker.active) keys.forEach((key) => tracker.keys.add(key));
+  };
+  const readers = {
+    values: () => form.store.getState().values,
+    initialValues: () => form.store.getState().baseValues,
+    errors: () => form.getErrorState().errors,
+    allErrors: () => form.getErrorState().allErrors,
+    touched: () => form.store.getState().touched,
+    isSubmitting: () => form.store.getState().isSubmitting,
+    submitCount: () => form.store.getState().submitCount,
+    submitError: () => form.store.getState().submitError,
+    submitSucceeded: () => form.store.getState().submitSucceeded,
+    rootError: () => {
+      const [first] = form.getRootErrors();
+      return first ? first.message : '';
+    },
+    rootErrors: form.getRootErrors,
+    isValid: () => !form.hasErrors(),
+    isValidating: form.getIsValidating,
+    validatingFields: () => form.store.getState().validatingFields,
+    isDirty: form.getIsDirty,
+    dirty: form.getDirty,
+    step: () => form.store.getState().step,
+    stepCount: () => form.getStepSchemas().length,
+    isFirstStep: () => form.store.getState().step === 0,
+    isLastStep: () => form.store.getState().step === form.getStepSchemas().length - 1,
+    stepErrors: () => form.getStepState().errors,
+    stepTouched: () => form.getStepState().touched,
+    isStepValid: () => form.getStepState().isValid,
+    canUndo: () => form.store.getState().history.past.length > 0,
+    canRedo: () => form.store.getState().history.future.length > 0,
+  };
+
+  const api = {
+    handleChange: form.handleChange,
+    handleBlur: form.handleBlur,
+    handleSubmit: form.handleSubmit,
+    setValue: form.setValue,
+    getValues: form.getValues,
+    register: form.register,
+    setFieldErrors: form.setFieldErrors,
+    setRootError: form.setRootError,
+    resetForm: form.resetForm,
+    validateForm: form.validateForm,
+    next: form.next,
+    prev: form.prev,
+    undo: form.undo,
+    redo: form.redo,
+    getFieldProps: (name, fieldOptions) => {
+      track(['values', 'errorMap', 'formErrorMap']);
+      return form.getFieldProps(name, fieldOptions);
+    },
+    getErrorProps: form.getErrorProps,
+    getLabelProps: form.getLabelProps,
+    getErrorSummary: () => {
+      track(['errorMap', 'formErrorMap', 'rootErrors', 'formRootErrors']);
+      return form.getErrorSummary();
+    },
+    getFieldArray: (name) => {
+      track(['values', 'errorMap', 'formErrorMap']);
+      return form.getFieldArray(name);
+    },
+    control: form,
+  };
+
+  Object.keys(readers).forEach((key) => {
+    Object.defineProperty(api, key, {
+      enumerable: true,
+      get: () => {
+        track(stateKeys[key]);
+        return readers[key]();
+      },
+    });
+  });
+
+  return api;
+};
 
 /**
  * A lightweight form validation hook for React applications
@@ -15,218 +144,144 @@ const useFormValidator = (initialValues = {}, validationSchema = {}, options = {
     validateOnChange = true,
     validateOnBlur = true,
     validateOnSubmit = true,
+    mode,
+    reValidateMode,
     customValidators = {},
+    debounce = 0,
+    abortEarly = true,
+    locale = 'en',
+    messages = noMessages,
+    enableReinitialize = false,
+    keepDirtyOnReinitialize = false,
+    parse,
+    format,
+    persist,
+    focusOnError = true,
+    steps,
+    validate,
+    validateFormOnChange = false,
+    idPrefix,
+    history = false,
   } = options;
 
-  // Form values state
-  const [values, setValues] = useState(initialValues);
-  
-  // Form touched fields state
-  const [touched, setTouched] = useState({});
-  
-  // Form errors state
-  const [errors, setErrors] = useState({});
-  
-  // Form submission state
-  const [isSubmitting, setIsSubmitting] = useState(false);
-
-  // Combine built-in validators with any custom validators
-  const validators = useMemo(() => ({
-    ...builtInValidators,
-    ...customValidators,
-  }), [customValidators]);
-
-  /**
-   * Validates a single field
-   */
-  const validateField = useCallback((name, value) => {
-    if (!validationSchema[name]) return '';
-
-    const fieldRules = validationSchema[name];
-    
-    // Handle array of rules
-    if (Array.isArray(fieldRules)) {
-      for (const rule of fieldRules) {
-        // Handle rule as string (built-in validator)
-        if (typeof rule === 'string' && validators[rule]) {
-          const error = validators[rule](value);
-          if (error) return error;
-        }
-        
-        // Handle rule as object with validator and message
-        if (typeof rule === 'object') {
-          const { validator, message, params = [] } = rule;
-          
-          // Handle validator as string (reference to a validator function)
-          if (typeof validator === 'string' && validators[validator]) {
-            if (!validators[validator](value, ...params)) {
-              return message || `Validation failed for ${name}`;
-            }
-          }
-          
-          // Handle validator as custom function
-          if (typeof validator === 'function') {
-            if (!validator(value, ...params)) {
-              return message || `Validation failed for ${name}`;
-            }
-          }
-        }
-        
-        // Handle rule as function
-        if (typeof rule === 'function') {
-          const error = rule(value, values);
-          if (error) return error;
-        }
-      }
-      return '';
-    }
-    
-    // Handle simple string rule
-    if (typeof fieldRules === 'string' && validators[fieldRules]) {
-      return validators[fieldRules](value) || '';
-    }
-    
-    // Handle function rule
-    if (typeof fieldRules === 'function') {
-      return fieldRules(value, values) || '';
-    }
-    
-    // Handle object rule (similar to Yup schema)
-    if (typeof fieldRules === 'object') {
-      const { validator, message, params = [] } = fieldRules;
-      
-      if (typeof validator === 'string' && validators[validator]) {
-        if (!validators[validator](value, ...params)) {
-          return message || `Validation failed for ${name}`;
-        }
-      }
-      
-      if (typeof validator === 'function') {
-        if (!validator(value, ...params)) {
-          return message || `Validation failed for ${name}`;
-        }
-      }
-    }
-    
-    return '';
-  }, [validators, validationSchema, values]);
-
-  /**
-   * Validates all form fields
-   */
-  const validateForm = useCallback(() => {
-    const newErrors = {};
-    let hasErrors = false;
-
-    Object.keys(validationSchema).forEach((field) => {
-      const error = validateField(field, values[field]);
-      if (error) {
-        newErrors[field] = error;
-        hasErrors = true;
-      }
+  // Prefix of the input and error message ids, unique to this form
+  const [generatedId] = useState(() => {
+    formSeed += 1;
+    return `validux-${formSeed}`;
+  });
+
+  // Form controller and the object returned to the component, created once
+  const [{ form, tracker, api }] = useState(() => {
+    const controller = createForm(initialValues);
+    const keys = { keys: new Set(), active: false };
+    return { form: controller, tracker: keys, api: createFormApi(controller, keys) };
+  });
+
+  // Draft storage, set up from the `persist` option on mount
+  const [draft] = useState(() => (persist ? createDraftStorage(persist) : null));
+
+  // Last `initialValues` the form was initialised with
+  const lastInitialValues = useRef(initialValues);
+
+  // Last `locale` and `messages` the errors were shown in
+  const lastLocale = useRef({ locale, messages });
+
+  // Validation rules of each wizard step, keyed by normalised field path
+  const stepSchemas = useMemo(() => (steps ? steps.map((step) => flattenSchema(step)) : null), [steps]);
+
+  // Validation rules keyed by normalised field path, including every step
+  const fieldSchema = useMemo(() => (
+    (stepSchemas || []).reduce((acc, stepSchema) => ({ ...acc, ...stepSchema }), flattenSchema(validationSchema))
+  ), [validationSchema, stepSchemas]);
+
+  // Fields each schema field depends on, keyed by schema path
+  const dependencies = useMemo(() => getSchemaDependencies(fieldSchema), [fieldSchema]);
+
+  form.configure({
+    fieldSchema,
+    dependencies,
+    validateOnChange,
+    validateOnBlur,
+    validateOnSubmit,
+    mode,
+    reValidateMode,
+    customValidators,
+    debounce,
+    abortEarly,
+    locale,
+    messages,
+    keepDirtyOnReinitialize,
+    parse,
+    format,
+    draft,
+    focusOnError,
+    steps: stepSchemas,
+    validate,
+    validateFormOnChange,
+    idPrefix: idPrefix === undefined ? generatedId : idPrefix,
+    history,
+  });
+
+  // Re-render only when the store keys read by this component change.
+  // Reads are recorded from here until the render is committed, so reads
+  // in event handlers don't subscribe the component.
+  tracker.active = true;
+  useEffect(() => {
+    tracker.active = false;
+  });
+
+  useStoreSelector(form.store, (state) => (
+    [...tracker.keys].reduce((acc, key) => ({ ...acc, [key]: state[key] }), {})
+  ), shallowEqual);
+
+  // Re-render components reading errors from the store, such as `useField`,
+  // in a new locale
+  useEffect(() => {
+    const last = lastLocale.current;
+    if (last.locale === locale && last.messages === messages) return;
+
+    lastLocale.current = { locale, messages };
+    form.syncLocale();
+  }, [form, locale, messages]);
+
+  // Abort pending validations when the component unmounts
+  useEffect(() => form.cancelAllValidations, [form]);
+
+  // Restore the saved draft, unless the user already edited the form, then
+  // save drafts as the values change. Pending drafts are saved when the
+  // page is hidden or the component unmounts.
+  useEffect(() => {
+    if (!draft) return undefined;
+
+    let active = true;
+    let unwatch = () => {};
+    const flush = () => draft.flush();
+
+    draft.load().then((saved) => {
+      if (!active) return;
+      if (saved && !form.getIsDirty()) form.restoreDraft(saved);
+      unwatch = form.watchDraft(draft);
     });
+    if (typeof window !== 'undefined') window.addEventListener('pagehide', flush);
 
-    setErrors(newErrors);
-    return !hasErrors;
-  }, [validateField, validationSchema, values]);
-
-  /**
-   * Handles input change
-   */
-  const handleChange = useCallback((e) => {
-    const { name, value } = e.target;
-    setValues((prev) => ({ ...prev, [name]: value }));
-    
-    if (validateOnChange && touched[name]) {
-      const error = validateField(name, value);
-      setErrors((prev) => ({ ...prev, [name]: error }));
-    }
-  }, [validateField, validateOnChange, touched]);
-
-  /**
-   * Sets a specific field value
-   */
-  const setValue = useCallback((name, value) => {
-    setValues((prev) => ({ ...prev, [name]: value }));
-    
-    if (validateOnChange && touched[name]) {
-      const error = validateField(name, value);
-      setErrors((prev) => ({ ...prev, [name]: error }));
-    }
-  }, [validateField, validateOnChange, touched]);
-
-  /**
-   * Handles input blur
-   */
-  const handleBlur = useCallback((e) => {
-    const { name } = e.target;
-    setTouched((prev) => ({ ...prev, [name]: true }));
-    
-    if (validateOnBlur) {
-      const error = validateField(name, values[name]);
-      setErrors((prev) => ({ ...prev, [name]: error }));
-    }
-  }, [validateField, validateOnBlur, values]);
-
-  /**
-   * Handles form submission
-   */
-  const handleSubmit = useCallback((onSubmit) => async (e) => {
-    e.preventDefault();
-    setTouched(Object.keys(values).reduce((acc, key) => ({ ...acc, [key]: true }), {}));
-    
-    let isValid = true;
-    if (validateOnSubmit) {
-      isValid = validateForm();
-    }
-    
-    setIsSubmitting(true);
-    
-    if (isValid && onSubmit) {
-      try {
-        await onSubmit(values, { setErrors, resetForm });
-      } catch (err) {
-        console.error('Form submission error:', err);
-      }
-    }
-    
-    setIsSubmitting(false);
-  }, [validateOnSubmit, validateForm, values]);
-
-  /**
-   * Resets the form
-   */
-  const resetForm = useCallback((newValues = {}) => {
-    setValues(newValues || initialValues);
-    setTouched({});
-    setErrors({});
-    setIsSubmitting(false);
-  }, [initialValues]);
-
-  // Create field props getters
-  const getFieldProps = useCallback((name) => ({
-    name,
-    value: values[name] || '',
-    onChange: handleChange,
-    onBlur: handleBlur,
-  }), [values, handleChange, handleBlur]);
-
-  const isValid = useMemo(() => Object.keys(errors).length === 0, [errors]);
-
-  return {
-    values,
-    errors,
-    touched,
-    isSubmitting,
-    isValid,
-    handleChange,
-    handleBlur,
-    handleSubmit,
-    setValue,
-    resetForm,
-    validateForm,
-    getFieldProps,
-  };
+    return () => {
+      active = false;
+      unwatch();
+      flush();
+      if (typeof window !== 'undefined') window.removeEventListener('pagehide', flush);
+    };
+  }, [form, draft]);
+
+  // Pick up new initial values, compared by content so inline objects
+  // don't reset the form on every render
+  useEffect(() => {
+    if (!enableReinitialize || isEqual(lastInitialValues.current, initialValues)) return;
+
+    lastInitialValues.current = initialValues;
+    form.reinitialize(initialValues);
+  }, [form, enableReinitialize, initialValues]);
+
+  return api;
 };
 
 export default useFormValidator;
\ No newline at end of file
@@ -1,134 +1,612 @@
 // src/validators.js
+import { isValidResult } from './rules';
+import { getIn } from './paths';
+import { defaultMessages, formatMessage } from './messages';
 
 /**
- * Built-in validation functions
+ * Builds the error of a built-in validator: its code, the English message
+ * and the variables used to translate it
  */
-export const builtInValidators = {
-  /**
-   * Checks if a value is not empty
-   */
-  required: (value) => {
-    if (value === null || value === undefined || value === '') {
-      return 'This field is required';
-    }
-    if (Array.isArray(value) && value.length === 0) {
-      return 'This field is required';
-    }
+const fail = (code, meta = {}) => ({
+  code,
+  message: formatMessage(defaultMessages.en[code], meta),
+  meta,
+});
+
+/**
+ * Lists the files of a value: a `File`, a `FileList` or an array of files
+ */
+const toFiles = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value.length === 'number' && typeof value.item === 'function') return Array.from(value);
+  return [value];
+};
+
+/**
+ * Formats a number of bytes for messages, e.g. `2 MB`
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1);
+  const size = bytes / 1024 ** exponent;
+  return `${Number.isInteger(size) ? size : size.toFixed(1)} ${units[exponent]}`;
+};
+
+/**
+ * Checks whether a file matches an accepted type: a MIME type such as
+ * `image/png`, a wildcard such as `image/*`, or an extension such as `.pdf`
+ */
+const matchesFileType = (file, type) => {
+  const accepted = type.trim().toLowerCase();
+  const mimeType = (file.type || '').toLowerCase();
+
+  if (accepted.startsWith('.')) return (file.name || '').toLowerCase().endsWith(accepted);
+  if (accepted.endsWith('/*')) return mimeType.startsWith(accepted.slice(0, -1));
+  return mimeType === accepted;
+};
+
+/**
+ * Removes spaces, hyphens, dots and parentheses used to group digits
+ */
+const stripSeparators = (value) => String(value).replace(/[\s().-]/g, '');
+
+/**
+ * Checks a number with the Luhn checksum used by payment cards
+ */
+const passesLuhn = (digits) => {
+  const sum = digits.split('').reverse().reduce((acc, char, index) => {
+    const digit = Number(char) * (index % 2 === 1 ? 2 : 1);
+    return acc + (digit > 9 ? digit - 9 : digit);
+  }, 0);
+  return sum % 10 === 0;
+};
+
+/**
+ * Checks an IBAN with the ISO 13616 mod-97 checksum, reading the digits in
+ * chunks so the number never exceeds the safe integer range
+ */
+const passesMod97 = (value) => {
+  const rearranged = `${value.slice(4)}${value.slice(0, 4)}`;
+  const digits = rearranged.replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+  return digits.match(/\d{1,7}/g).reduce((acc, chunk) => Number(`${acc}${chunk}`) % 97, 0) === 1;
+};
+
+/**
+ * Postal code formats by ISO 3166-1 alpha-2 country code
+ */
+const postalCodePatterns = {
+  AT: /^\d{4}$/,
+  AU: /^\d{4}$/,
+  BE: /^\d{4}$/,
+  BR: /^\d{5}-?\d{3}$/,
+  CA: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i,
+  CH: /^\d{4}$/,
+  DE: /^\d{5}$/,
+  DK: /^\d{4}$/,
+  ES: /^(?:0[1-9]|[1-4]\d|5[0-2])\d{3}$/,
+  FR: /^\d{5}$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+  IE: /^[AC-FHKNPRTV-Y]\d{2}(?:\d|W) ?[0-9AC-FHKNPRTV-Y]{4}$/i,
+  IN: /^[1-9]\d{5}$/,
+  IT: /^\d{5}$/,
+  JP: /^\d{3}-?\d{4}$/,
+  NL: /^[1-9]\d{3} ?[A-Z]{2}$/i,
+  NO: /^\d{4}$/,
+  NZ: /^\d{4}$/,
+  PL: /^\d{2}-\d{3}$/,
+  PT: /^\d{4}-\d{3}$/,
+  SE: /^\d{3} ?\d{2}$/,
+  US: /^\d{5}(?:-\d{4})?$/,
+};
+
+/**
+ * Format accepted for countries without a specific postal code pattern
+ */
+const genericPostalCode = /^[A-Z0-9][A-Z0-9 -]{1,8}[A-Z0-9]$/i;
+
+/**
+ * Checks a dotted-decimal IPv4 address, rejecting leading zeros
+ */
+const isIPv4 = (value) => {
+  const parts = value.split('.');
+  return parts.length === 4 && parts.every((part) => /^(?:0|[1-9]\d{0,2})$/.test(part) && Number(part) <= 255);
+};
+
+/**
+ * Checks an IPv6 address, with `::` compression and an optional embedded
+ * IPv4 address in the last 32 bits
+ */
+const isIPv6 = (value) => {
+  const halves = value.split('::');
+  if (halves.length > 2) return false;
+
+  const [head, tail] = halves.map((half) => (half ? half.split(':') : []));
+  const groups = tail ? [...head, ...tail] : head;
+  const last = groups[groups.length - 1];
+  const embedsIPv4 = Boolean(last) && last.includes('.');
+  if (embedsIPv4 && (!isIPv4(last) || (tail && !tail.length))) return false;
+
+  const hexGroups = embedsIPv4 ? groups.slice(0, -1) : groups;
+  if (!hexGroups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) return false;
+
+  const size = hexGroups.length + (embedsIPv4 ? 2 : 0);
+  return halves.length === 2 ? size < 8 : size === 8;
+};
+
+/**
+ * Converts a date, timestamp or date string to a timestamp, or `NaN`
+ */
+const toTime = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+/**
+ * Formats a date limit for messages, e.g. `2024-01-31`
+ */
+const formatDate = (value) => (
+  value instanceof Date && !isNaN(value.getTime()) ? value.toISOString().slice(0, 10) : String(value)
+);
+
+/**
+ * Scores the strength of a password from 0 (very weak) to 4 (strong): one
+ * point each for at least 8 and at least 12 characters, mixed case, digits
+ * and symbols, capped at 4. Passwords made of a single repeated character
+ * score 0.
+ */
+export const scorePassword = (value) => {
+  const password = String(value || '');
+  if (!password || /^(.)\1*$/.test(password)) return 0;
+
+  const checks = [
+    password.length >= 8,
+    password.length >= 12,
+    /[a-z]/.test(password) && /[A-Z]/.test(password),
+    /\d/.test(password),
+    /[^A-Za-z0-9]/.test(password),
+  ];
+  return Math.min(checks.filter(Boolean).length, 4);
+};
+
+/**
+ * Checks if a value is not empty
+ */
+export const required = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return fail('required');
+  }
+  if (Array.isArray(value) && value.length === 0) {
+    return fail('required');
+  }
+  return '';
+};
+
+/**
+ * Checks if a value is a valid email address with a domain name such as
+ * `example.com`
+ */
+export const email = (value) => {
+  if (!value) return '';
+  
+  const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+$/;
+  return emailRegex.test(value) ? '' : fail('email');
+};
+
+/**
+ * Checks if a value has a minimum length
+ */
+export const minLength = (value, length) => {
+  if (!value) return '';
+  
+  const min = typeof length === 'number' ? length : 1;
+  return value.length >= min ? '' : fail('minLength', { min });
+};
+
+/**
+ * Checks if a value has a maximum length
+ */
+export const maxLength = (value, length) => {
+  if (!value) return '';
+  
+  const max = typeof length === 'number' ? length : 100;
+  return value.length <= max ? '' : fail('maxLength', { max });
+};
+
+/**
+ * Checks if a value matches a pattern
+ */
+export const pattern = (value, regex, message) => {
+  if (!value) return '';
+  
+  if (new RegExp(regex).test(value)) return '';
+
+  return typeof message === 'string' ? message : fail('pattern', { pattern: String(regex) });
+};
+
+/**
+ * Checks if a value is a number
+ */
+export const number = (value) => {
+  if (!value) return '';
+  
+  return !isNaN(Number(value)) ? '' : fail('number');
+};
+
+/**
+ * Checks if a value is at least a minimum. Skipped without a numeric
+ * minimum.
+ */
+export const min = (value, min) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof min !== 'number') return '';
+  
+  return Number(value) >= min ? '' : fail('min', { min });
+};
+
+/**
+ * Checks if a value is at most a maximum. Skipped without a numeric
+ * maximum.
+ */
+export const max = (value, max) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof max !== 'number') return '';
+  
+  return Number(value) <= max ? '' : fail('max', { max });
+};
+
+/**
+ * Checks if a value matches another field's value. Rules using it
+ * automatically depend on `fieldToMatch`.
+ */
+export const matches = (value, fieldToMatch, context = {}) => {
+  if (!value) return '';
+  
+  return value === getIn(context.values, fieldToMatch) ? '' : fail('matches', { other: fieldToMatch });
+};
+
+/**
+ * Checks if a value is a valid URL
+ */
+export const url = (value) => {
+  if (!value) return '';
+  
+  try {
+    new URL(value);
     return '';
-  },
-
-  /**
-   * Checks if a value is a valid email
-   */
-  email: (value) => {
-    if (!value) return '';
-    
-    const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*$/;
-    return emailRegex.test(value) ? '' : 'Please enter a valid email address';
-  },
-
-  /**
-   * Checks if a value has a minimum length
-   */
-  minLength: (value, length = 1) => {
-    if (!value) return '';
-    
-    return value.length >= length ? '' : `Must be at least ${length} characters`;
-  },
-
-  /**
-   * Checks if a value has a maximum length
-   */
-  maxLength: (value, length = 100) => {
-    if (!value) return '';
-    
-    return value.length <= length ? '' : `Must be no more than ${length} characters`;
-  },
-
-  /**
-   * Checks if a value matches a pattern
-   */
-  pattern: (value, regex, message = 'Invalid format') => {
-    if (!value) return '';
-    
-    return new RegExp(regex).test(value) ? '' : message;
-  },
-
-  /**
-   * Checks if a value is a number
-   */
-  number: (value) => {
-    if (!value) return '';
-    
-    return !isNaN(Number(value)) ? '' : 'Must be a number';
-  },
-
-  /**
-   * Checks if a value is at least a minimum
-   */
-  min: (value, min) => {
-    if (!value) return '';
-    
-    return Number(value) >= min ? '' : `Must be at least ${min}`;
-  },
-
-  /**
-   * Checks if a value is at most a maximum
-   */
-  max: (value, max) => {
-    if (!value) return '';
-    
-    return Number(value) <= max ? '' : `Must be no more than ${max}`;
-  },
-
-  /**
-   * Checks if a value matches another field's value
-   */
-  matches: (value, fieldToMatch, values, message = 'Fields do not match') => {
-    if (!value) return '';
-    
-    return value === values[fieldToMatch] ? '' : message;
-  },
-
-  /**
-   * Checks if a value is a valid URL
-   */
-  url: (value) => {
-    if (!value) return '';
-    
-    try {
-      new URL(value);
-      return '';
-    } catch {
-      return 'Please enter a valid URL';
-    }
-  },
-
-  /**
-   * Checks if a value is a valid date
-   */
-  date: (value) => {
-    if (!value) return '';
-    
-    const date = new Date(value);
-    return !isNaN(date.getTime()) ? '' : 'Please enter a valid date';
-  },
-
-  /**
-   * Creates a validator that combines multiple validators
-   */
-  compose: (...validators) => (value, values) => {
-    for (const validator of validators) {
-      const error = validator(value, values);
-      if (error) return error;
+  } catch {
+    return fail('url');
+  }
+};
+
+/**
+ * Checks if a value is a valid date
+ */
+export const date = (value) => {
+  if (!value) return '';
+  
+  const date = new Date(value);
+  return !isNaN(date.getTime()) ? '' : fail('date');
+};
+
+/**
+ * Checks if an array has at least a minimum number of items
+ */
+export const minItems = (value, count) => {
+  if (!Array.isArray(value)) return '';
+  
+  const min = typeof count === 'number' ? count : 1;
+  return value.length >= min ? '' : fail('minItems', { min });
+};
+
+/**
+ * Checks if an array has at most a maximum number of items. Skipped
+ * without a numeric maximum.
+ */
+export const maxItems = (value, count) => {
+  if (!Array.isArray(value) || typeof count !== 'number') return '';
+  
+  return value.length <= count ? '' : fail('maxItems', { max: count });
+};
+
+/**
+ * Checks if an array has exactly a given number of items. Skipped without
+ * a numeric count.
+ */
+export const itemCount = (value, count) => {
+  if (!Array.isArray(value) || typeof count !== 'number') return '';
+
+  return value.length === count ? '' : fail('itemCount', { count });
+};
+
+/**
+ * Checks that every file is no larger than a maximum size in bytes.
+ * Skipped without a numeric maximum.
+ */
+export const fileSize = (value, maxBytes) => {
+  const files = toFiles(value);
+  if (!files.length || typeof maxBytes !== 'number') return '';
+
+  return files.every((file) => file.size <= maxBytes)
+    ? ''
+    : fail('fileSize', { max: maxBytes, size: formatBytes(maxBytes) });
+};
+
+/**
+ * Checks that every file has an accepted type, given as an array or a
+ * comma-separated list like the `accept` attribute. Skipped without one.
+ */
+export const fileType = (value, types) => {
+  const files = toFiles(value);
+  if (!files.length || !(Array.isArray(types) || typeof types === 'string')) return '';
+
+  const accepted = Array.isArray(types) ? types : String(types).split(',');
+  return files.every((file) => accepted.some((type) => matchesFileType(file, type)))
+    ? ''
+    : fail('fileType', { types: accepted.map((type) => type.trim()).join(', ') });
+};
+
+/**
+ * Checks that at most a maximum number of files is selected. Skipped
+ * without a numeric maximum.
+ */
+export const maxFiles = (value, count) => {
+  if (typeof count !== 'number') return '';
+
+  const files = toFiles(value);
+
+  return files.length <= count ? '' : fail('maxFiles', { max: count });
+};
+
+/**
+ * Checks if a value is a whole number
+ */
+export const integer = (value) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  return Number.isInteger(Number(value)) ? '' : fail('integer');
+};
+
+/**
+ * Checks if a value, or every value of an array, is one of the allowed
+ * values. Skipped without an array of allowed values.
+ */
+export const oneOf = (value, allowed) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (!Array.isArray(allowed)) return '';
+
+  const list = Array.isArray(value) ? value : [value];
+  return list.every((item) => allowed.includes(item)) ? '' : fail('oneOf', { values: allowed.join(', ') });
+};
+
+/**
+ * Checks if a value, or any value of an array, is not one of the forbidden
+ * values. Skipped without an array of forbidden values.
+ */
+export const notOneOf = (value, forbidden) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (!Array.isArray(forbidden)) return '';
+
+  const list = Array.isArray(value) ? value : [value];
+  return list.some((item) => forbidden.includes(item)) ? fail('notOneOf', { values: forbidden.join(', ') }) : '';
+};
+
+/**
+ * Checks if a value is a phone number in E.164 format, e.g. `+14155552671`.
+ * Spaces, hyphens, dots and parentheses are ignored.
+ */
+export const phone = (value) => {
+  if (!value) return '';
+
+  return /^\+[1-9]\d{1,14}$/.test(stripSeparators(value)) ? '' : fail('phone');
+};
+
+/**
+ * Checks if a value is a payment card number of 12 to 19 digits with a
+ * valid Luhn checksum. Spaces and hyphens are ignored.
+ */
+export const creditCard = (value) => {
+  if (!value) return '';
+
+  const digits = stripSeparators(value);
+  return /^\d{12,19}$/.test(digits) && passesLuhn(digits) ? '' : fail('creditCard');
+};
+
+/**
+ * Checks if a value is an IBAN with a valid checksum. Spaces are ignored
+ * and letters may be lowercase.
+ */
+export const iban = (value) => {
+  if (!value) return '';
+
+  const normalized = String(value).replace(/\s/g, '').toUpperCase();
+  return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(normalized) && passesMod97(normalized) ? '' : fail('iban');
+};
+
+/**
+ * Checks if a value is a postal code of a country, given as an ISO 3166-1
+ * alpha-2 code such as `'US'` or `'GB'`. Countries without a known format
+ * accept 3 to 10 letters, digits, spaces and hyphens.
+ */
+export const postalCode = (value, country) => {
+  if (!value) return '';
+
+  const code = typeof country === 'string' ? country.toUpperCase() : '';
+  const format = postalCodePatterns[code] || genericPostalCode;
+  return format.test(String(value).trim()) ? '' : fail('postalCode', { country: code });
+};
+
+/**
+ * Checks if a value is a UUID, optionally of a given version (1 to 8)
+ */
+export const uuid = (value, version) => {
+  if (!value) return '';
+
+  const versionPattern = typeof version === 'number' ? String(version) : '[1-8]';
+  const uuidRegex = new RegExp(`^[0-9a-f]{8}-[0-9a-f]{4}-${versionPattern}[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$`, 'i');
+  return uuidRegex.test(value) ? '' : fail('uuid');
+};
+
+/**
+ * Checks if a value is an IPv4 address
+ */
+export const ipv4 = (value) => {
+  if (!value) return '';
+
+  return isIPv4(String(value)) ? '' : fail('ipv4');
+};
+
+/**
+ * Checks if a value is an IPv6 address
+ */
+export const ipv6 = (value) => {
+  if (!value) return '';
+
+  return isIPv6(String(value)) ? '' : fail('ipv6');
+};
+
+/**
+ * Checks if a value is a hex colour such as `#fff`, `#ffffff` or, with
+ * alpha, `#ffff` and `#ffffffff`
+ */
+export const hexColor = (value) => {
+  if (!value) return '';
+
+  return /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ? '' : fail('hexColor');
+};
+
+/**
+ * Checks if a value is a URL slug: lowercase letters and digits separated
+ * by single hyphens
+ */
+export const slug = (value) => {
+  if (!value) return '';
+
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value) ? '' : fail('slug');
+};
+
+/**
+ * Checks if a password scores at least a minimum strength from 0 to 4
+ * (default 3), see `scorePassword`
+ */
+export const passwordStrength = (value, minScore) => {
+  if (!value) return '';
+
+  const threshold = typeof minScore === 'number' ? minScore : 3;
+  const score = scorePassword(value);
+  return score >= threshold ? '' : fail('passwordStrength', { score, min: threshold });
+};
+
+/**
+ * Checks if a date is on or after a minimum date
+ */
+export const minDate = (value, limit) => {
+  if (!value) return '';
+
+  return toTime(value) >= toTime(limit) ? '' : fail('minDate', { date: formatDate(limit) });
+};
+
+/**
+ * Checks if a date is on or before a maximum date
+ */
+export const maxDate = (value, limit) => {
+  if (!value) return '';
+
+  return toTime(value) <= toTime(limit) ? '' : fail('maxDate', { date: formatDate(limit) });
+};
+
+/**
+ * Checks if a date is before the date of another field. Rules using it
+ * automatically depend on `otherField`.
+ */
+export const before = (value, otherField, context = {}) => {
+  const other = getIn(context.values, otherField);
+  if (!value || !other) return '';
+
+  return toTime(value) < toTime(other) ? '' : fail('before', { other: otherField });
+};
+
+/**
+ * Checks if a date is after the date of another field. Rules using it
+ * automatically depend on `otherField`.
+ */
+export const after = (value, otherField, context = {}) => {
+  const other = getIn(context.values, otherField);
+  if (!value || !other) return '';
+
+  return toTime(value) > toTime(other) ? '' : fail('after', { other: otherField });
+};
+
+/**
+ * Creates a validator that combines multiple validators, returning the
+ * first error. Async validators are awaited before the next one runs, and
+ * the composed validator only returns a Promise once one of them does.
+ */
+export const compose = (...validators) => (value, ...args) => {
+  const runFrom = (index) => {
+    for (let i = index; i < validators.length; i += 1) {
+      const result = validators[i](value, ...args);
+      if (result && typeof result.then === 'function') {
+        return result.then((resolved) => (isValidResult(resolved) ? runFrom(i + 1) : resolved));
+      }
+      if (!isValidResult(result)) return result;
     }
     return '';
-  }
+  };
+  return runFrom(0);
 };
 
 /**
- * Helper to create a custom validator
+ * Built-in validation functions, available by name in schemas. Like every
+ * named validator, they receive the rule context `{ name, values, signal }`
+ * as the last argument after their params, so optional params are checked
+ * by type rather than defaulted. Failures are reported as
+ * `{ code, message, meta }` so messages can be translated from the
+ * catalogue. Each validator is also a named export of this module, so
+ * bundles that import them directly only include the ones they use.
  */
-export const createValidator = (validatorFn, defaultMessage) => (value, values) => {
-  return validatorFn(value, values) ? '' : (defaultMessage || 'Validation failed');
+export const builtInValidators = {
+  required,
+  email,
+  minLength,
+  maxLength,
+  pattern,
+  number,
+  min,
+  max,
+  matches,
+  url,
+  date,
+  minItems,
+  maxItems,
+  itemCount,
+  fileSize,
+  fileType,
+  maxFiles,
+  integer,
+  oneOf,
+  notOneOf,
+  phone,
+  creditCard,
+  iban,
+  postalCode,
+  uuid,
+  ipv4,
+  ipv6,
+  hexColor,
+  slug,
+  passwordStrength,
+  minDate,
+  maxDate,
+  before,
+  after,
+  compose,
+};
+
+/**
+ * Helper to create a custom validator from a predicate. The message may be a
+ * string or a function receiving the same arguments as the predicate.
+ */
+export const createValidator = (validatorFn, defaultMessage) => (value, ...args) => {
+  if (validatorFn(value, ...args)) return '';
+
+  const message = typeof defaultMessage === 'function' ? defaultMessage(value, ...args) : defaultMessage;
+  return message || 'Validation failed';
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+// tests/core.test.js
+import {
+  validate,
+  validateField,
+  flattenSchema,
+  findFieldConfig,
+  expandSchemaPaths,
+  getSchemaDependencies,
+  parseValues,
+} from '../src/core';
+import { parsers } from '../src/parsers';
+
+describe('core', () => {
+  const schema = {
+    name: 'required',
+    email: ['required', 'email'],
+    address: {
+      city: { validator: 'minLength', params: [2] },
+    },
+    items: {
+      rules: [{ validator: 'minItems', params: [1] }],
+    },
+    'items[].qty': ['required', 'number'],
+    confirm: { validator: 'matches', params: ['email'] },
+  };
+
+  describe('schema helpers', () => {
+    test('should flatten nested schemas into dot paths', () => {
+      expect(Object.keys(flattenSchema(schema))).toEqual([
+        'name',
+        'email',
+        'address.city',
+        'items',
+        'items.*.qty',
+        'confirm',
+      ]);
+    });
+
+    test('should find field configs through wildcards', () => {
+      const fieldSchema = flattenSchema(schema);
+
+      expect(findFieldConfig(fieldSchema, 'items[1].qty')).toEqual({ rules: ['required', 'number'] });
+      expect(findFieldConfig(fieldSchema, 'unknown')).toBeUndefined();
+    });
+
+    test('should expand schema paths shallowest first', () => {
+      const fieldSchema = flattenSchema(schema);
+
+      expect(expandSchemaPaths(fieldSchema, { items: [{}, {}] })).toEqual([
+        'name',
+        'email',
+        'items',
+        'confirm',
+        'address.city',
+        'items.0.qty',
+        'items.1.qty',
+      ]);
+    });
+
+    test('should parse values with field and form-wide parse functions', () => {
+      const fieldSchema = flattenSchema({
+        qty: { rules: ['number'], parse: parsers.toNumber },
+        'items[].price': { rules: [], parse: parsers.toNumber },
+      });
+      const values = { name: ' Ada ', qty: '2', items: [{ price: '1.5', note: ' x ' }] };
+
+      expect(parseValues(fieldSchema, values)).toEqual({ name: ' Ada ', qty: 2, items: [{ price: 1.5, note: ' x ' }] });
+      expect(parseValues(fieldSchema, values, { parse: parsers.trim })).toEqual({
+        name: 'Ada', qty: 2, items: [{ price: 1.5, note: 'x' }],
+      });
+      expect(parseValues(fieldSchema, { name: 'Ada' })).toEqual({ name: 'Ada' });
+    });
+
+    test('should collect rule dependencies', () => {
+      expect(getSchemaDependencies(flattenSchema(schema))).toEqual({ confirm: ['email'] });
+    });
+  });
+
+  describe('validate', () => {
+    test('should skip named rules given without their parameter', async () => {
+      const result = await validate({ a: 'x', b: '5' }, { a: 'oneOf', b: ['min', 'max'] });
+
+      expect(result).toEqual(expect.objectContaining({ valid: true, errors: {} }));
+    });
+
+    test('should resolve to valid for valid values', async () => {
+      const result = await validate({
+        name: 'Ada',
+        email: 'ada@example.com',
+        confirm: 'ada@example.com',
+        address: { city: 'London' },
+        items: [{ qty: '2' }],
+      }, schema);
+
+      expect(result).toEqual(expect.objectContaining({ valid: true, errors: {}, allErrors: {} }));
+    });
+
+    test('should return nested errors for invalid values', async () => {
+      const result = await validate({
+        name: '',
+        email: 'nope',
+        confirm: 'other',
+        address: { city: 'L' },
+        items: [{ qty: 'x' }],
+      }, schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual({
+        name: 'This field is required',
+        email: 'Please enter a valid email address',
+        confirm: 'Fields do not match',
+        address: { city: 'Must be at least 2 characters' },
+        items: [{ qty: 'Must be a number' }],
+      });
+      expect(result.allErrors.email).toEqual([
+        { rule: 'email', code: 'email', message: 'Please enter a valid email address', meta: {} },
+      ]);
+    });
+
+    test('should support options shared with the hook', async () => {
+      const result = await validate({ email: '' }, { email: ['required', 'isTaken'] }, {
+        abortEarly: false,
+        locale: 'fr',
+        messages: { fr: { required: 'Champ obligatoire' } },
+        customValidators: { isTaken: () => ({ code: 'taken', message: 'Already taken' }) },
+      });
+
+      expect(result.allErrors.email.map((error) => error.message)).toEqual([
+        'Champ obligatoire',
+        'Already taken',
+      ]);
+    });
+
+    test('should validate and return parsed values', async () => {
+      const result = await validate({ age: ' 17 ' }, {
+        age: { rules: [{ validator: 'min', params: [18] }], parse: parsers.toNumber },
+      });
+
+      expect(result.values).toEqual({ age: 17 });
+      expect(result.errors).toEqual({ age: 'Must be at least 18' });
+    });
+
+    test('should accept the && idiom in function rules', async () => {
+      const schema = { name: (value) => value.length < 3 && 'Too short' };
+
+      expect((await validate({ name: 'abcd' }, schema)).valid).toBe(true);
+      expect((await validate({ name: 'ab' }, schema)).errors).toEqual({ name: 'Too short' });
+    });
+
+    test('should apply min and max to zero', async () => {
+      const result = await validate({ qty: '0', discount: 0 }, {
+        qty: { rules: [{ validator: 'min', params: [1] }], parse: parsers.toNumber },
+        discount: { validator: 'max', params: [-1] },
+      });
+
+      expect(result.errors).toEqual({ qty: 'Must be at least 1', discount: 'Must be no more than -1' });
+    });
+
+    test('should await async rules', async () => {
+      const result = await validate({ username: 'taken' }, {
+        username: async (value) => (value === 'taken' ? 'Username is taken' : ''),
+      });
+
+      expect(result).toEqual({
+        valid: false,
+        values: { username: 'taken' },
+        errors: { username: 'Username is taken' },
+        allErrors: { username: [{ rule: 'custom', code: 'custom', message: 'Username is taken', meta: {} }] },
+      });
+    });
+  });
+
+  describe('validateField', () => {
+    test('should validate a single field with access to all values', async () => {
+      const values = { email: 'ada@example.com', confirm: 'ada@example.org' };
+
+      expect(await validateField('confirm', values, schema)).toEqual([
+        { rule: 'matches', code: 'matches', message: 'Fields do not match', meta: { other: 'email' } },
+      ]);
+      expect(await validateField('email', values, schema)).toEqual([]);
+      expect(await validateField('items[0].qty', { items: [{}] }, schema)).toHaveLength(1);
+    });
+  });
+});
\ No newline at end of file
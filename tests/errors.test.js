@@ -0,0 +1,152 @@
+// tests/errors.test.js
+import {
+  toNestedErrors,
+  fromNestedErrors,
+  fromApiErrors,
+  fromFormErrors,
+  setFieldErrors,
+  remapArrayErrors,
+} from '../src/errors';
+import { fieldArrayOperations } from '../src/fieldArray';
+
+describe('errors', () => {
+  const error = (message, rule = 'custom') => ({ rule, code: rule, message, meta: {} });
+
+  test('should build nested errors from the error map', () => {
+    const errorMap = {
+      'address.city': [error('Required', 'required')],
+      password: [error('Too short', 'minLength'), error('Needs a digit')],
+    };
+
+    expect(toNestedErrors(errorMap)).toEqual({ address: { city: 'Required' }, password: 'Too short' });
+    expect(toNestedErrors(errorMap, (list) => list.map((item) => item.rule))).toEqual({
+      address: { city: ['required'] },
+      password: ['minLength', 'custom'],
+    });
+  });
+
+  test('should let item errors take precedence over array errors', () => {
+    const errorMap = {
+      'items.0.qty': [error('Required')],
+      items: [error('Too few items')],
+    };
+
+    expect(toNestedErrors(errorMap)).toEqual({ items: [{ qty: 'Required' }] });
+  });
+
+  test('should build the error map from nested messages', () => {
+    expect(fromNestedErrors({ email: 'Taken', address: { city: '' }, items: [{ qty: 'Required' }] })).toEqual({
+      email: [{ ...error('Taken'), template: 'Taken' }],
+      'items.0.qty': [{ ...error('Required'), template: 'Required' }],
+    });
+  });
+
+  test('should set and clear field errors', () => {
+    const errorMap = setFieldErrors({}, 'email', [error('Taken')]);
+
+    expect(errorMap).toEqual({ email: [error('Taken')] });
+    expect(setFieldErrors(errorMap, 'email', [])).toEqual({});
+    expect(setFieldErrors(errorMap, 'name', [])).toBe(errorMap);
+  });
+
+  test('should move item errors with their items', () => {
+    const errorMap = {
+      items: [error('Too few items')],
+      'items.0.qty': [error('Required')],
+      'items.2': [error('Invalid item')],
+    };
+
+    expect(remapArrayErrors(errorMap, 'items', fieldArrayOperations.remove(1), 3)).toEqual({
+      items: [error('Too few items')],
+      'items.0.qty': [error('Required')],
+      'items.1': [error('Invalid item')],
+    });
+    expect(remapArrayErrors(errorMap, 'items', fieldArrayOperations.insert(0, {}), 3)).toEqual({
+      items: [error('Too few items')],
+      'items.1.qty': [error('Required')],
+      'items.3': [error('Invalid item')],
+    });
+  });
+
+  describe('fromApiErrors', () => {
+    const serverError = (message, code = 'server') => ({ rule: 'server', code, message, meta: {}, template: message });
+
+    test('should read nested maps of messages', () => {
+      expect(fromApiErrors({
+        email: 'Taken',
+        address: { city: ['Required', 'Too short'] },
+        items: [null, { qty: { message: 'Out of stock', code: 'stock' } }],
+      })).toEqual({
+        fieldErrors: {
+          email: [serverError('Taken')],
+          'address.city': [serverError('Required'), serverError('Too short')],
+          'items.1.qty': [serverError('Out of stock', 'stock')],
+        },
+        rootErrors: [],
+      });
+    });
+
+    test('should read lists of errors with paths', () => {
+      expect(fromApiErrors([
+        { path: 'contacts[0].phone', message: 'Invalid' },
+        { field: 'name', message: 'Required', code: 'required' },
+        { path: ['tags', 1], message: 'Unknown tag' },
+        { pointer: '#/a~1b/0', message: 'Escaped' },
+        { path: 'root', message: 'Form-level' },
+        'Also form-level',
+      ])).toEqual({
+        fieldErrors: {
+          'contacts.0.phone': [serverError('Invalid')],
+          name: [serverError('Required', 'required')],
+          'tags.1': [serverError('Unknown tag')],
+          'a/b.0': [serverError('Escaped')],
+        },
+        rootErrors: [serverError('Form-level'), serverError('Also form-level')],
+      });
+    });
+
+    test('should read problem details', () => {
+      expect(fromApiErrors({
+        title: 'Validation failed',
+        status: 422,
+        errors: { email: ['Taken'] },
+      })).toEqual({ fieldErrors: { email: [serverError('Taken')] }, rootErrors: [] });
+
+      expect(fromApiErrors({
+        title: 'Conflict',
+        status: 409,
+        detail: 'The order was changed by someone else',
+      })).toEqual({ fieldErrors: {}, rootErrors: [serverError('The order was changed by someone else')] });
+
+      expect(fromApiErrors(null)).toEqual({ fieldErrors: {}, rootErrors: [] });
+    });
+  });
+
+  describe('fromFormErrors', () => {
+    const formError = (message, code = 'form') => ({ rule: 'form', code, message, meta: {}, template: message });
+
+    test('should read maps and lists with a root key', () => {
+      expect(fromFormErrors({
+        title: 'Required',
+        dates: { end: { message: 'Must be after the start date', code: 'dateOrder' } },
+        root: 'Add an email or a phone number',
+      })).toEqual({
+        fieldErrors: {
+          title: [formError('Required')],
+          'dates.end': [formError('Must be after the start date', 'dateOrder')],
+        },
+        rootErrors: [formError('Add an email or a phone number')],
+      });
+      expect(fromFormErrors([{ path: 'shares[1]', message: 'Shares must add up to 100%' }])).toEqual({
+        fieldErrors: { 'shares.1': [formError('Shares must add up to 100%')] },
+        rootErrors: [],
+      });
+    });
+
+    test('should treat empty results as valid', () => {
+      [undefined, null, {}, [], true].forEach((result) => {
+        expect(fromFormErrors(result)).toEqual({ fieldErrors: {}, rootErrors: [] });
+      });
+    });
+  });
+});
\ No newline at end of file
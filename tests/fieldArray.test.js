@@ -0,0 +1,32 @@
+// tests/fieldArray.test.js
+import { fieldArrayOperations, alignLength, createItemKey } from '../src/fieldArray';
+
+describe('fieldArray', () => {
+  const identity = (item) => item;
+  const { insert, remove, move, swap, replace } = fieldArrayOperations;
+
+  test('should insert items', () => {
+    expect(insert(1, 'x')(['a', 'b'], identity)).toEqual(['a', 'x', 'b']);
+    expect(insert(Infinity, 'x')(['a', 'b'], identity)).toEqual(['a', 'b', 'x']);
+    expect(insert(0, 'x')(['a', 'b'], () => undefined)).toEqual([undefined, 'a', 'b']);
+  });
+
+  test('should remove, move and swap items', () => {
+    expect(remove(1)(['a', 'b', 'c'])).toEqual(['a', 'c']);
+    expect(move(0, 2)(['a', 'b', 'c'])).toEqual(['b', 'c', 'a']);
+    expect(swap(0, 2)(['a', 'b', 'c'])).toEqual(['c', 'b', 'a']);
+  });
+
+  test('should replace items', () => {
+    expect(replace(['x', 'y'])(['a'], identity)).toEqual(['x', 'y']);
+  });
+
+  test('should align list lengths', () => {
+    expect(alignLength(['a'], 3)).toEqual(['a', undefined, undefined]);
+    expect(alignLength(['a', 'b'], 1)).toEqual(['a']);
+  });
+
+  test('should create unique keys', () => {
+    expect(createItemKey()).not.toBe(createItemKey());
+  });
+});
\ No newline at end of file
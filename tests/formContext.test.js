@@ -0,0 +1,121 @@
+// tests/formContext.test.js
+import { createElement, memo } from 'react';
+import { create, act as rendererAct } from 'react-test-renderer';
+import { renderHook, act } from '@testing-library/react-hooks';
+import useFormValidator from '../src/useFormValidator';
+import { FormProvider, useFormContext, useField, useFormState } from '../src/formContext';
+
+describe('formContext', () => {
+  const schema = {
+    email: ['required', 'email'],
+    address: { city: 'required' },
+  };
+
+  const createWrapper = (initialValues) => {
+    const wrapper = ({ children }) => {
+      const form = useFormValidator(initialValues, schema);
+      wrapper.form = form;
+      return createElement(FormProvider, { form }, children);
+    };
+    return wrapper;
+  };
+
+  test('should expose the form through context', () => {
+    const wrapper = createWrapper({ email: '' });
+    const { result } = renderHook(() => useFormContext(), { wrapper });
+
+    expect(result.current).toBe(wrapper.form);
+  });
+
+  test('should throw outside a FormProvider', () => {
+    const { result } = renderHook(() => useField('email'));
+
+    expect(result.error.message).toBe('useFormContext must be used within a <FormProvider>');
+  });
+
+  test('should connect a nested field', async () => {
+    const wrapper = createWrapper({ email: '', address: { city: 'Paris' } });
+    const { result } = renderHook(() => useField('address.city'), { wrapper });
+
+    expect(result.current.inputProps).toEqual({
+      name: 'address.city',
+      value: 'Paris',
+      onChange: wrapper.form.getFieldProps('address.city').onChange,
+      onBlur: wrapper.form.getFieldProps('address.city').onBlur,
+      id: wrapper.form.getFieldProps('address.city').id,
+      'aria-invalid': false,
+    });
+    expect(result.current.error).toBe('');
+    expect(result.current.touched).toBe(false);
+    expect(result.current.dirty).toBe(false);
+
+    await act(async () => {
+      result.current.setValue('');
+    });
+    await act(async () => {
+      await result.current.inputProps.onBlur();
+    });
+
+    expect(result.current.inputProps.value).toBe('');
+    expect(result.current.error).toBe('This field is required');
+    expect(result.current.touched).toBe(true);
+    expect(result.current.dirty).toBe(true);
+    expect(result.current.inputProps['aria-invalid']).toBe(true);
+    expect(result.current.inputProps['aria-describedby']).toBe(result.current.errorProps.id);
+    expect(result.current.labelProps.htmlFor).toBe(result.current.inputProps.id);
+  });
+
+  test('should expose the form state', async () => {
+    const wrapper = createWrapper({ email: '', address: { city: '' } });
+    const { result } = renderHook(() => useFormState(), { wrapper });
+
+    expect(result.current).toEqual({
+      isSubmitting: false,
+      isValid: true,
+      isValidating: false,
+      isDirty: false,
+      submitCount: 0,
+      submitSucceeded: false,
+    });
+
+    await act(async () => {
+      wrapper.form.setValue('email', 'ada@example.com');
+    });
+    await act(async () => {
+      await wrapper.form.validateForm();
+    });
+
+    expect(result.current).toEqual({
+      isSubmitting: false,
+      isValid: false,
+      isValidating: false,
+      isDirty: true,
+      submitCount: 0,
+      submitSucceeded: false,
+    });
+  });
+
+  test('should show the errors of memoised fields in a new locale', async () => {
+    const messages = { fr: { required: 'Ce champ est obligatoire' } };
+    const Field = memo(({ name }) => useField(name).error);
+    const Form = ({ locale }) => {
+      const form = useFormValidator({ email: '' }, schema, { locale, messages });
+      Form.form = form;
+      return createElement(FormProvider, { form }, createElement(Field, { name: 'email' }));
+    };
+
+    let renderer;
+    await rendererAct(async () => {
+      renderer = create(createElement(Form, { locale: 'en' }));
+    });
+    await rendererAct(async () => {
+      await Form.form.validateForm();
+    });
+    expect(renderer.toJSON()).toBe('This field is required');
+
+    await rendererAct(async () => {
+      renderer.update(createElement(Form, { locale: 'fr' }));
+    });
+    expect(renderer.toJSON()).toBe('Ce champ est obligatoire');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+// tests/inputs.test.js
+import {
+  isChangeEvent,
+  readInputValue,
+  readInputsValue,
+  writeInputValue,
+  buildFieldProps,
+  toFieldId,
+  buildAriaProps,
+} from '../src/inputs';
+
+describe('inputs', () => {
+  const handlers = { onChange: () => {}, onBlur: () => {} };
+
+  test('should tell events from values', () => {
+    expect(isChangeEvent({ target: { value: 'a' } })).toBe(true);
+    expect(isChangeEvent('a')).toBe(false);
+    expect(isChangeEvent(null)).toBe(false);
+    expect(isChangeEvent({ value: 'a' })).toBe(false);
+  });
+
+  describe('readInputValue', () => {
+    test('should read checkboxes as booleans or group arrays', () => {
+      expect(readInputValue({ type: 'checkbox', checked: true, value: 'on' }, false)).toBe(true);
+      expect(readInputValue({ type: 'checkbox', checked: false, value: 'on' }, true)).toBe(false);
+      expect(readInputValue({ type: 'checkbox', checked: true, value: 'b' }, ['a'])).toEqual(['a', 'b']);
+      expect(readInputValue({ type: 'checkbox', checked: false, value: 'a' }, ['a', 'b'])).toEqual(['b']);
+    });
+
+    test('should read multi-selects, files and numbers', () => {
+      const options = [{ value: 'a', selected: true }, { value: 'b', selected: false }, { value: 'c', selected: true }];
+      const file = { name: 'a.txt' };
+
+      expect(readInputValue({ type: 'select-multiple', options })).toEqual(['a', 'c']);
+      expect(readInputValue({ type: 'file', files: { 0: file, length: 1 } })).toEqual([file]);
+      expect(readInputValue({ type: 'number', value: '0' })).toBe(0);
+      expect(readInputValue({ type: 'range', value: '2.5' })).toBe(2.5);
+      expect(readInputValue({ type: 'number', value: '' })).toBe('');
+      expect(readInputValue({ type: 'radio', value: 'b' })).toBe('b');
+      expect(readInputValue({ value: 'text' })).toBe('text');
+    });
+  });
+
+  describe('readInputsValue', () => {
+    test('should read radio and checkbox groups', () => {
+      const radios = [{ type: 'radio', value: 'a', checked: false }, { type: 'radio', value: 'b', checked: true }];
+      const checkboxes = [{ type: 'checkbox', value: 'a', checked: true }, { type: 'checkbox', value: 'b', checked: true }];
+
+      expect(readInputsValue(radios, '')).toBe('b');
+      expect(readInputsValue([{ ...radios[1], checked: false }], 'a')).toBe('a');
+      expect(readInputsValue(checkboxes, [])).toEqual(['a', 'b']);
+      expect(readInputsValue([checkboxes[0]], [])).toEqual(['a']);
+      expect(readInputsValue([checkboxes[0]], false)).toBe(true);
+      expect(readInputsValue([{ type: 'text', value: 'Ada' }], '')).toBe('Ada');
+    });
+  });
+
+  describe('writeInputValue', () => {
+    test('should write values to each input type', () => {
+      const text = { type: 'text', value: 'old' };
+      const checkbox = { type: 'checkbox', value: 'b', checked: false };
+      const radio = { type: 'radio', value: 'a', checked: true };
+      const options = [{ value: 'a', selected: false }, { value: 'b', selected: true }];
+      const file = { type: 'file', value: 'C:\\fakepath\\a.txt' };
+
+      writeInputValue(text, null);
+      writeInputValue(checkbox, ['a', 'b']);
+      writeInputValue(radio, 'b');
+      writeInputValue({ type: 'select-multiple', options }, ['a']);
+      writeInputValue(file, []);
+
+      expect(text.value).toBe('');
+      expect(checkbox.checked).toBe(true);
+      expect(radio.checked).toBe(false);
+      expect(options.map((option) => option.selected)).toEqual([true, false]);
+      expect(file.value).toBe('');
+    });
+  });
+
+  describe('buildFieldProps', () => {
+    test('should keep falsy values other than null and undefined', () => {
+      expect(buildFieldProps('qty', 0, {}, handlers)).toEqual({ name: 'qty', value: 0, ...handlers });
+      expect(buildFieldProps('qty', undefined, { type: 'number' }, handlers)).toEqual({
+        name: 'qty', type: 'number', value: '', ...handlers,
+      });
+    });
+
+    test('should build checkbox and radio props', () => {
+      expect(buildFieldProps('terms', true, { type: 'checkbox' }, handlers)).toEqual({
+        name: 'terms', type: 'checkbox', checked: true, ...handlers,
+      });
+      expect(buildFieldProps('tags', ['a'], { type: 'checkbox', value: 'b' }, handlers)).toEqual({
+        name: 'tags', type: 'checkbox', value: 'b', checked: false, ...handlers,
+      });
+      expect(buildFieldProps('size', 'm', { type: 'radio', value: 'm' }, handlers)).toEqual({
+        name: 'size', type: 'radio', value: 'm', checked: true, ...handlers,
+      });
+    });
+
+    test('should build multi-select and file props', () => {
+      expect(buildFieldProps('tags', undefined, { multiple: true }, handlers)).toEqual({
+        name: 'tags', multiple: true, value: [], ...handlers,
+      });
+      expect(buildFieldProps('docs', [{}], { type: 'file', multiple: true }, handlers)).toEqual({
+        name: 'docs', type: 'file', multiple: true, ...handlers,
+      });
+    });
+  });
+
+  describe('toFieldId', () => {
+    test('should build ids from the prefix and field path', () => {
+      expect(toFieldId('signup', 'contacts[0].email')).toBe('signup-contacts-0-email');
+      expect(toFieldId('', 'email')).toBe('email');
+      expect(toFieldId('signup', 'size', { type: 'radio', value: 'x large' })).toBe('signup-size-x-large');
+      expect(toFieldId('signup', 'terms', { type: 'checkbox' })).toBe('signup-terms');
+    });
+  });
+
+  describe('buildAriaProps', () => {
+    test('should describe invalid inputs by their error message', () => {
+      expect(buildAriaProps('email', 'email-error', false)).toEqual({ id: 'email', 'aria-invalid': false });
+      expect(buildAriaProps('email', 'email-error', true)).toEqual({
+        id: 'email', 'aria-invalid': true, 'aria-describedby': 'email-error',
+      });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+// tests/messages.test.js
+import { defaultMessages, formatMessage, pickLocale, localizeError } from '../src/messages';
+
+describe('messages', () => {
+  const fr = {
+    fr: {
+      required: '{label} est obligatoire',
+      minLength: 'Au moins {min} caractères',
+      validationFailed: 'Le champ {field} est invalide',
+    },
+  };
+
+  test('should interpolate placeholders', () => {
+    expect(formatMessage('Must be at least {min} characters', { min: 8 })).toBe('Must be at least 8 characters');
+    expect(formatMessage('Hello {name}, {unknown}', { name: 'Ann' })).toBe('Hello Ann, {unknown}');
+    expect(formatMessage(({ min }) => `Min ${min}`, { min: 2 })).toBe('Min 2');
+    expect(formatMessage(defaultMessages.en.minItems, { min: 1 })).toBe('Must have at least 1 item');
+  });
+
+  test('should pick locale entries with fallbacks', () => {
+    const labels = { en: 'Email', fr: 'Courriel' };
+
+    expect(pickLocale(labels, 'fr')).toBe('Courriel');
+    expect(pickLocale(labels, 'fr-CA')).toBe('Courriel');
+    expect(pickLocale(labels, 'de')).toBe('Email');
+    expect(pickLocale('Email', 'fr')).toBe('Email');
+  });
+
+  test('should translate coded errors from the catalogue', () => {
+    const error = { code: 'minLength', message: 'Must be at least 8 characters', meta: { min: 8 } };
+
+    expect(localizeError(error)).toBe('Must be at least 8 characters');
+    expect(localizeError(error, { locale: 'fr', messages: fr })).toBe('Au moins 8 caractères');
+    expect(localizeError(error, { locale: 'de', messages: fr })).toBe('Must be at least 8 characters');
+  });
+
+  test('should use labels, fixed templates and fallbacks', () => {
+    expect(localizeError({ code: 'required', meta: {} }, { locale: 'fr', messages: fr, field: 'email', label: { fr: 'Le courriel' } }))
+      .toBe('Le courriel est obligatoire');
+    expect(localizeError({ code: 'required', meta: {}, template: { en: 'Needed', fr: 'Requis' } }, { locale: 'fr' }))
+      .toBe('Requis');
+    expect(localizeError({ code: 'taken', message: 'Already taken', meta: {} }, { locale: 'fr', messages: fr }))
+      .toBe('Already taken');
+    expect(localizeError({ code: 'custom', meta: {} }, { locale: 'fr', messages: fr, field: 'age' }))
+      .toBe('Le champ age est invalide');
+    expect(localizeError({ code: 'custom', meta: {} }, { field: 'age' })).toBe('Validation failed for age');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,29 @@
+// tests/parsers.test.js
+import { parsers } from '../src/parsers';
+
+describe('parsers', () => {
+  const onChange = { phase: 'change' };
+  const onValidate = { phase: 'validate' };
+
+  test('should trim text when validating', () => {
+    expect(parsers.trim('  Ada ', onValidate)).toBe('Ada');
+    expect(parsers.trim('Ada ', onChange)).toBe('Ada ');
+    expect(parsers.trim(3, onValidate)).toBe(3);
+  });
+
+  test('should convert numeric text to numbers', () => {
+    expect(parsers.toNumber('42', onChange)).toBe(42);
+    expect(parsers.toNumber('1.', onChange)).toBe('1.');
+    expect(parsers.toNumber('1.', onValidate)).toBe(1);
+    expect(parsers.toNumber(' 0.50 ', onValidate)).toBe(0.5);
+    expect(parsers.toNumber('abc', onValidate)).toBe('abc');
+    expect(parsers.toNumber('', onValidate)).toBe('');
+    expect(parsers.toNumber(7, onChange)).toBe(7);
+  });
+
+  test('should convert date text to dates when validating', () => {
+    expect(parsers.toDate('2024-02-01', onValidate)).toEqual(new Date('2024-02-01'));
+    expect(parsers.toDate('2', onChange)).toBe('2');
+    expect(parsers.toDate('not a date', onValidate)).toBe('not a date');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+// tests/paths.test.js
+import {
+  toPath,
+  normalizePath,
+  getIn,
+  setIn,
+  unsetIn,
+  getLeafPaths,
+  isEqual,
+  getChangedPaths,
+} from '../src/paths';
+
+describe('paths', () => {
+  describe('toPath', () => {
+    test('should split dot and bracket notation', () => {
+      expect(toPath('name')).toEqual(['name']);
+      expect(toPath('address.city')).toEqual(['address', 'city']);
+      expect(toPath('contacts[2].phone')).toEqual(['contacts', '2', 'phone']);
+      expect(normalizePath('contacts[2].phone')).toBe('contacts.2.phone');
+    });
+  });
+
+  describe('getIn', () => {
+    test('should read nested values', () => {
+      const values = { address: { city: 'Paris' }, contacts: [{ phone: '1' }] };
+
+      expect(getIn(values, 'address.city')).toBe('Paris');
+      expect(getIn(values, 'contacts[0].phone')).toBe('1');
+      expect(getIn(values, 'contacts[3].phone')).toBeUndefined();
+      expect(getIn(values, 'missing.path', 'fallback')).toBe('fallback');
+    });
+  });
+
+  describe('setIn', () => {
+    test('should update nested values immutably', () => {
+      const values = { address: { city: 'Paris', zip: '75001' }, other: {} };
+      const next = setIn(values, 'address.city', 'Lyon');
+
+      expect(next).toEqual({ address: { city: 'Lyon', zip: '75001' }, other: {} });
+      expect(values.address.city).toBe('Paris');
+      expect(next.other).toBe(values.other);
+    });
+
+    test('should create arrays for numeric segments', () => {
+      expect(setIn({}, 'contacts[1].phone', '2')).toEqual({ contacts: [undefined, { phone: '2' }] });
+    });
+  });
+
+  describe('unsetIn', () => {
+    test('should remove values and prune empty containers', () => {
+      const errors = { address: { city: 'Required' }, name: 'Required' };
+
+      expect(unsetIn(errors, 'address.city')).toEqual({ name: 'Required' });
+      expect(unsetIn(errors, 'missing')).toBe(errors);
+    });
+
+    test('should keep array indexes aligned', () => {
+      const errors = { contacts: [{ phone: 'Invalid' }, { phone: 'Invalid' }] };
+
+      expect(unsetIn(errors, 'contacts[0].phone')).toEqual({ contacts: [undefined, { phone: 'Invalid' }] });
+      expect(unsetIn({ contacts: [{ phone: 'Invalid' }] }, 'contacts[0].phone')).toEqual({});
+    });
+  });
+
+  describe('getLeafPaths', () => {
+    test('should list every leaf path', () => {
+      const values = { name: '', address: { city: '' }, contacts: [{ phone: '' }], tags: [] };
+
+      expect(getLeafPaths(values)).toEqual(['name', 'address.city', 'contacts.0.phone', 'tags']);
+    });
+  });
+
+  describe('isEqual', () => {
+    test('should compare nested values by content', () => {
+      expect(isEqual({ a: [1, { b: '2' }] }, { a: [1, { b: '2' }] })).toBe(true);
+      expect(isEqual({ a: [1, { b: '2' }] }, { a: [1, { b: 2 }] })).toBe(false);
+      expect(isEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+      expect(isEqual([1, 2], { 0: 1, 1: 2 })).toBe(false);
+      expect(isEqual(new Date(0), new Date(0))).toBe(true);
+      expect(isEqual(NaN, NaN)).toBe(true);
+    });
+  });
+
+  describe('getChangedPaths', () => {
+    test('should list the leaf paths that differ', () => {
+      const initial = { name: '', address: { city: 'Paris', zip: '75001' }, tags: ['a'] };
+      const values = { name: 'Ada', address: { city: 'Paris', zip: '75002' }, tags: ['a', 'b'] };
+
+      expect(getChangedPaths(values, initial)).toEqual(['name', 'address.zip', 'tags.1']);
+      expect(getChangedPaths(initial, { ...initial })).toEqual([]);
+      expect(getChangedPaths({ tags: [] }, { tags: 'a' })).toEqual(['tags']);
+    });
+  });
+});
\ No newline at end of file
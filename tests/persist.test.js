@@ -0,0 +1,104 @@
+// tests/persist.test.js
+import { resolveStorage, stripExcluded, createDraftStorage, mergeDraft } from '../src/persist';
+
+describe('persist', () => {
+  const createMemoryStorage = (items = {}) => ({
+    items,
+    getItem: jest.fn(async (key) => (key in items ? items[key] : null)),
+    setItem: jest.fn(async (key, value) => {
+      items[key] = value;
+    }),
+    removeItem: jest.fn(async (key) => {
+      delete items[key];
+    }),
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should resolve storage adapters', () => {
+    const adapter = createMemoryStorage();
+
+    expect(resolveStorage(adapter)).toBe(adapter);
+    // No browser storage in the test environment
+    expect(resolveStorage('local')).toBeNull();
+  });
+
+  test('should strip excluded fields and files', () => {
+    const values = {
+      email: 'ada@example.com',
+      password: 'secret',
+      account: { pin: '1234', name: 'Ada' },
+      cards: [{ number: '4242', holder: 'Ada' }],
+      avatar: [new Blob(['x'])],
+    };
+
+    expect(stripExcluded(values, ['password', 'account.pin', 'cards[].number'])).toEqual({
+      email: 'ada@example.com',
+      account: { name: 'Ada' },
+      cards: [{ holder: 'Ada' }],
+    });
+    expect(stripExcluded({ account: { pin: '1', name: 'Ada' } }, ['account'])).toEqual({});
+  });
+
+  test('should merge drafts over values', () => {
+    expect(mergeDraft({ email: '', password: '', tags: ['a'] }, { email: 'ada@example.com', tags: [] })).toEqual({
+      email: 'ada@example.com', password: '', tags: [],
+    });
+  });
+
+  test('should save debounced drafts with a version', async () => {
+    jest.useFakeTimers();
+    const storage = createMemoryStorage();
+    const draft = createDraftStorage({ key: 'signup', storage, version: 2, exclude: ['password'], debounce: 300 });
+
+    draft.save({ values: { email: 'a', password: 'x' }, touched: { email: true } });
+    draft.save({ values: { email: 'ada', password: 'xy' }, touched: { email: true } });
+    expect(storage.setItem).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(300);
+
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.items.signup)).toEqual({ version: 2, values: { email: 'ada' } });
+    expect(await draft.load()).toEqual({ values: { email: 'ada' } });
+  });
+
+  test('should save touched fields when enabled', async () => {
+    const storage = createMemoryStorage();
+    const draft = createDraftStorage({ key: 'signup', storage, touched: true });
+
+    draft.save({ values: { email: 'ada' }, touched: { email: true } });
+    draft.flush();
+    await Promise.resolve();
+
+    expect(JSON.parse(storage.items.signup)).toEqual({ version: 1, values: { email: 'ada' }, touched: { email: true } });
+  });
+
+  test('should migrate or discard drafts of other versions', async () => {
+    const saved = JSON.stringify({ version: 1, values: { fullName: 'Ada' } });
+    const migrate = jest.fn((draft, fromVersion) => (
+      fromVersion === 1 ? { values: { name: draft.values.fullName } } : null
+    ));
+
+    const migrated = createDraftStorage({ key: 'f', storage: createMemoryStorage({ f: saved }), version: 2, migrate });
+    const discarded = createDraftStorage({ key: 'f', storage: createMemoryStorage({ f: saved }), version: 2 });
+
+    expect(await migrated.load()).toEqual({ values: { name: 'Ada' } });
+    expect(migrate).toHaveBeenCalledWith({ values: { fullName: 'Ada' } }, 1);
+    expect(await discarded.load()).toBeNull();
+  });
+
+  test('should clear pending and saved drafts', async () => {
+    jest.useFakeTimers();
+    const storage = createMemoryStorage({ signup: JSON.stringify({ version: 1, values: { email: 'old' } }) });
+    const draft = createDraftStorage({ key: 'signup', storage });
+
+    draft.save({ values: { email: 'new' } });
+    await draft.clear();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(storage.setItem).not.toHaveBeenCalled();
+    expect(storage.items).toEqual({});
+  });
+});
\ No newline at end of file
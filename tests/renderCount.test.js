@@ -0,0 +1,124 @@
+// tests/renderCount.test.js
+import { createElement } from 'react';
+import { create, act } from 'react-test-renderer';
+import useFormValidator from '../src/useFormValidator';
+import { FormProvider, useField, useFormState } from '../src/formContext';
+
+describe('render counts', () => {
+  const FIELD_COUNT = 150;
+  const names = Array.from({ length: FIELD_COUNT }, (_item, index) => `field${index}`);
+  const initialValues = names.reduce((acc, name) => ({ ...acc, [name]: '' }), {});
+  const schema = names.reduce((acc, name) => ({ ...acc, [name]: ['required', { validator: 'minLength', params: [3] }] }), {});
+
+  let renders;
+  let form;
+
+  const count = (key) => {
+    renders[key] = (renders[key] || 0) + 1;
+  };
+
+  const Input = ({ name }) => {
+    const { inputProps, error } = useField(name);
+    count(name);
+    return createElement('label', null, createElement('input', inputProps), error);
+  };
+
+  const SubmitButton = () => {
+    const { isSubmitting, isDirty } = useFormState();
+    count('submit');
+    return createElement('button', { disabled: isSubmitting || !isDirty }, 'Save');
+  };
+
+  const LargeForm = () => {
+    form = useFormValidator(initialValues, schema);
+    count('form');
+
+    return createElement(
+      FormProvider,
+      { form },
+      ...names.map((name) => createElement(Input, { key: name, name })),
+      createElement(SubmitButton)
+    );
+  };
+
+  const rendersOf = (keys) => keys.reduce((acc, key) => ({ ...acc, [key]: renders[key] }), {});
+
+  const otherFieldsRendered = (except) => names
+    .filter((name) => name !== except)
+    .some((name) => renders[name] !== 1);
+
+  beforeEach(async () => {
+    renders = {};
+    await act(async () => {
+      create(createElement(LargeForm));
+    });
+  });
+
+  test('should render every field once on mount', () => {
+    expect(rendersOf(['form', 'field0', 'field149', 'submit'])).toEqual({
+      form: 1, field0: 1, field149: 1, submit: 1,
+    });
+  });
+
+  test('should only re-render the edited field on each keystroke', async () => {
+    const { onChange } = form.getFieldProps('field42');
+
+    for (const value of ['a', 'ab', 'abc']) {
+      await act(async () => {
+        onChange({ target: { name: 'field42', value } });
+      });
+    }
+
+    expect(renders.field42).toBe(4);
+    expect(otherFieldsRendered('field42')).toBe(false);
+    // The owner reads no state, and the button only follows `isDirty`
+    expect(rendersOf(['form', 'submit'])).toEqual({ form: 1, submit: 2 });
+  });
+
+  test('should only re-render the field whose error changes', async () => {
+    await act(async () => {
+      await form.handleBlur({ target: { name: 'field7' } });
+    });
+
+    // Once when touched, once when its error arrives
+    expect(renders.field7).toBe(3);
+    expect(otherFieldsRendered('field7')).toBe(false);
+    // The button follows `isValidating` and `isValid`
+    expect(rendersOf(['form', 'submit'])).toEqual({ form: 1, submit: 3 });
+  });
+
+  test('should keep handler identities across renders', async () => {
+    const before = { ...form };
+    const fieldProps = form.getFieldProps('field1');
+
+    await act(async () => {
+      form.setValue('field1', 'abc');
+      await form.validateForm();
+    });
+
+    ['handleChange', 'handleBlur', 'handleSubmit', 'setValue', 'resetForm', 'validateForm', 'getFieldProps']
+      .forEach((key) => expect(form[key]).toBe(before[key]));
+    expect(form.getFieldProps('field1').onChange).toBe(fieldProps.onChange);
+    expect(form.getFieldProps('field1').onBlur).toBe(fieldProps.onBlur);
+  });
+
+  test('should re-render the owner when it reads values', async () => {
+    let ownerRenders = 0;
+    let owner;
+    const Owner = () => {
+      owner = useFormValidator({ name: '' });
+      ownerRenders += 1;
+      return createElement('input', owner.getFieldProps('name'));
+    };
+
+    await act(async () => {
+      create(createElement(Owner));
+    });
+    await act(async () => {
+      owner.setValue('name', 'Ada');
+    });
+
+    expect(ownerRenders).toBe(2);
+    expect(owner.values).toEqual({ name: 'Ada' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,228 @@
+// tests/rules.test.js
+import {
+  isValidResult,
+  normalizeResult,
+  runRule,
+  getRuleDependencies,
+  validateRules,
+  collectErrors,
+  toFieldConfig,
+  isConditionalRule,
+  resolveRules,
+  ANY_FIELD,
+} from '../src/rules';
+import { builtInValidators } from '../src/validators';
+
+describe('rules', () => {
+  const context = { name: 'field', values: {}, validators: builtInValidators };
+
+  describe('normalizeResult', () => {
+    test('should treat empty results and true as valid', () => {
+      expect(isValidResult('')).toBe(true);
+      expect(isValidResult(null)).toBe(true);
+      expect(isValidResult(undefined)).toBe(true);
+      expect(isValidResult(true)).toBe(true);
+      expect(isValidResult(false)).toBe(false);
+      expect(normalizeResult('')).toBeNull();
+    });
+
+    test('should normalise strings, objects and false', () => {
+      expect(normalizeResult('Too short', { code: 'minLength' })).toEqual({
+        code: 'minLength', message: 'Too short', meta: {}, template: 'Too short',
+      });
+      expect(normalizeResult({ code: 'taken', message: 'Already taken', meta: { suggestion: 'jo2' } })).toEqual({
+        code: 'taken', message: 'Already taken', meta: { suggestion: 'jo2' },
+      });
+      expect(normalizeResult(false, { name: 'age' })).toEqual({
+        code: 'custom', message: 'Validation failed for age', meta: {},
+      });
+    });
+
+    test('should prefer the rule message', () => {
+      expect(normalizeResult('Too short', { message: 'Use 8 characters' }).message).toBe('Use 8 characters');
+      expect(normalizeResult(false, { message: (value, min) => `Min ${min}`, args: ['a', 8] }).message).toBe('Min 8');
+    });
+  });
+
+  describe('runRule', () => {
+    test('should run validator names', async () => {
+      expect(await runRule('required', '', context)).toEqual({
+        code: 'required', message: 'This field is required', meta: {},
+      });
+      expect(await runRule('required', 'x', context)).toBeNull();
+      expect(await runRule('unknown', '', context)).toBeNull();
+    });
+
+    test('should run object rules with built-in validators', async () => {
+      const rule = { validator: 'minLength', params: [8], message: 'Password must be at least 8 characters' };
+
+      expect(await runRule(rule, 'Password123!', context)).toBeNull();
+      expect(await runRule(rule, 'short', context)).toEqual({
+        code: 'minLength',
+        message: 'Password must be at least 8 characters',
+        meta: { min: 8 },
+        template: 'Password must be at least 8 characters',
+      });
+      expect((await runRule({ validator: 'minLength', params: [8] }, 'short', context)).message)
+        .toBe('Must be at least 8 characters');
+    });
+
+    test('should run object rules with boolean-style functions', async () => {
+      const isEven = (value) => Number(value) % 2 === 0;
+
+      expect(await runRule({ validator: isEven, message: 'Must be even' }, '2', context)).toBeNull();
+      expect(await runRule({ validator: isEven, message: 'Must be even', code: 'even' }, '3', context)).toEqual({
+        code: 'even', message: 'Must be even', meta: {}, template: 'Must be even',
+      });
+    });
+
+    test('should treat truthy results of object rules as valid', async () => {
+      const hasLength = { validator: (value) => value && value.length, message: 'Required' };
+      const hasDigit = { validator: (value) => value.match(/\d/), message: 'Must contain a digit' };
+
+      expect(await runRule(hasLength, 'abc', context)).toBeNull();
+      expect(await runRule(hasDigit, 'a1c', context)).toBeNull();
+      expect(await runRule({ validator: () => 1 }, 'a', context)).toBeNull();
+      expect((await runRule(hasLength, [], context)).message).toBe('Required');
+      expect((await runRule({ validator: () => 'Too short' }, 'a', context)).message).toBe('Too short');
+      expect(await runRule({ validator: () => ({ code: 'taken', message: 'Taken' }) }, 'a', context))
+        .toEqual(expect.objectContaining({ code: 'taken', message: 'Taken' }));
+    });
+
+    test('should treat falsy results of function and named rules as valid', async () => {
+      const tooShort = (value) => value.length < 3 && 'Too short';
+      const validators = { ...builtInValidators, isLong: (value) => value.length >= 3 };
+
+      expect(await runRule(tooShort, 'abcd', context)).toBeNull();
+      expect((await runRule(tooShort, 'ab', context)).message).toBe('Too short');
+      expect(await runRule(() => 0, 'a', context)).toBeNull();
+      expect(await runRule('isLong', 'a', { ...context, validators })).toBeNull();
+      expect(await runRule({ validator: 'isLong', message: 'Too short' }, 'a', { ...context, validators }))
+        .toEqual(expect.objectContaining({ code: 'isLong', message: 'Too short' }));
+    });
+
+    test('should run function rules', async () => {
+      const rule = jest.fn(async (value) => (value === 'taken' ? { code: 'taken', message: 'Taken' } : null));
+
+      expect(await runRule(rule, 'free', context)).toBeNull();
+      expect(await runRule(rule, 'taken', context)).toEqual({ code: 'taken', message: 'Taken', meta: {} });
+      expect(rule).toHaveBeenCalledWith('taken', {}, { name: 'field', values: {}, signal: undefined });
+    });
+
+    test('should pass the context to named validators after their params', async () => {
+      const between = jest.fn((value, min, max) => (value >= min && value <= max ? '' : 'Out of range'));
+      const validators = { ...builtInValidators, between };
+      const values = { password: 'secret', confirm: 'other' };
+
+      await runRule({ validator: 'between', params: [1, 5] }, 3, { ...context, values, validators });
+
+      expect(between).toHaveBeenCalledWith(3, 1, 5, { name: 'field', values, signal: undefined });
+      expect(await runRule({ validator: 'matches', params: ['password'] }, 'other', { ...context, values }))
+        .toEqual({ code: 'matches', message: 'Fields do not match', meta: { other: 'password' } });
+      expect(await runRule({ validator: 'matches', params: ['password'] }, 'secret', { ...context, values }))
+        .toBeNull();
+      expect(await runRule('minLength', '', { ...context, values })).toBeNull();
+    });
+  });
+
+  describe('conditional rules', () => {
+    const business = { ...context, values: { accountType: 'business' } };
+    const personal = { ...context, values: { accountType: 'personal' } };
+
+    test('should detect conditional blocks', () => {
+      expect(isConditionalRule({ when: () => true, then: 'required' })).toBe(true);
+      expect(isConditionalRule({ field: 'a', is: 1, otherwise: 'required' })).toBe(true);
+      expect(isConditionalRule({ validator: 'required' })).toBe(false);
+      expect(isConditionalRule({ then: 'required' })).toBe(false);
+    });
+
+    test('should pick the branch matching a when function', () => {
+      const rules = ['email', { when: (values) => values.accountType === 'business', then: 'required' }];
+
+      expect(resolveRules(rules, business)).toEqual(['email', 'required']);
+      expect(resolveRules(rules, personal)).toEqual(['email']);
+    });
+
+    test('should support field/is conditions and otherwise branches', () => {
+      const rule = { field: 'accountType', is: 'business', then: ['required'], otherwise: 'email' };
+      const predicate = { when: { field: 'accountType', is: (type) => type !== 'business' }, then: 'required' };
+
+      expect(resolveRules(rule, business)).toEqual(['required']);
+      expect(resolveRules(rule, personal)).toEqual(['email']);
+      expect(resolveRules(predicate, personal)).toEqual(['required']);
+    });
+
+    test('should skip validation when the condition is off', async () => {
+      const rule = { field: 'accountType', is: 'business', then: 'required' };
+
+      expect((await validateRules(rule, '', business)).code).toBe('required');
+      expect(await validateRules(rule, '', personal)).toBeNull();
+    });
+  });
+
+  describe('getRuleDependencies', () => {
+    test('should collect dependsOn and matches fields', () => {
+      expect(getRuleDependencies([
+        'required',
+        { validator: 'matches', params: ['password'] },
+        { validator: () => true, dependsOn: ['country', 'region'] },
+        { validator: () => true, dependsOn: 'plan' },
+      ])).toEqual(['password', 'country', 'region', 'plan']);
+      expect(getRuleDependencies('required')).toEqual([]);
+    });
+
+    test('should collect the compared fields of date range rules', () => {
+      expect(getRuleDependencies([
+        { validator: 'after', params: ['checkIn'] },
+        { validator: 'before', params: ['trip.end'] },
+        { validator: 'minDate', params: ['2024-01-01'] },
+      ])).toEqual(['checkIn', 'trip.end']);
+    });
+
+    test('should collect fields tested by conditional blocks', () => {
+      expect(getRuleDependencies({ field: 'accountType', is: 'business', then: 'required' }))
+        .toEqual(['accountType']);
+      expect(getRuleDependencies({ when: () => true, then: { validator: 'matches', params: ['a'] } }))
+        .toEqual([ANY_FIELD, 'a']);
+      expect(getRuleDependencies({ when: () => true, dependsOn: ['b'], then: 'required' }))
+        .toEqual(['b']);
+    });
+  });
+
+  describe('validateRules', () => {
+    test('should return the first error', async () => {
+      expect((await validateRules(['required', 'email'], '', context)).code).toBe('required');
+      expect((await validateRules(['required', 'email'], 'nope', context)).code).toBe('email');
+      expect(await validateRules('email', 'a@b.co', context)).toBeNull();
+    });
+  });
+
+  describe('collectErrors', () => {
+    const rules = [
+      { validator: 'minLength', params: [8] },
+      { validator: (value) => /\d/.test(value), message: 'Must contain a digit' },
+    ];
+
+    test('should stop at the first error by default', async () => {
+      expect(await collectErrors(rules, 'abc', context)).toEqual([
+        { rule: 'minLength', code: 'minLength', message: 'Must be at least 8 characters', meta: { min: 8 } },
+      ]);
+    });
+
+    test('should collect every error without abortEarly', async () => {
+      expect(await collectErrors(rules, 'abc', { ...context, abortEarly: false })).toEqual([
+        { rule: 'minLength', code: 'minLength', message: 'Must be at least 8 characters', meta: { min: 8 } },
+        { rule: 'custom', code: 'custom', message: 'Must contain a digit', meta: {}, template: 'Must contain a digit' },
+      ]);
+      expect(await collectErrors(rules, 'abcdefgh1', { ...context, abortEarly: false })).toEqual([]);
+    });
+  });
+
+  describe('toFieldConfig', () => {
+    test('should normalise schema entries to field configs', () => {
+      expect(toFieldConfig('required')).toEqual({ rules: 'required' });
+      expect(toFieldConfig({ validator: 'required' })).toEqual({ rules: { validator: 'required' } });
+      expect(toFieldConfig({ rules: ['required'], abortEarly: false })).toEqual({ rules: ['required'], abortEarly: false });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,51 @@
+// tests/store.test.js
+import { createStore, shallowEqual, memoizeLast } from '../src/store';
+
+describe('store', () => {
+  test('should update state and notify listeners', () => {
+    const store = createStore({ count: 0, name: 'form' });
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    store.setState({ count: 1 });
+    store.setState((prev) => ({ count: prev.count + 1 }));
+
+    expect(store.getState()).toEqual({ count: 2, name: 'form' });
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    store.setState({ count: 3 });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not notify when nothing changed', () => {
+    const values = {};
+    const store = createStore({ values });
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    store.setState({ values });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should compare objects shallowly', () => {
+    const list = [];
+
+    expect(shallowEqual({ a: 1, list }, { a: 1, list })).toBe(true);
+    expect(shallowEqual({ a: 1, list }, { a: 1, list: [] })).toBe(false);
+    expect(shallowEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+  });
+
+  test('should recompute only when arguments change', () => {
+    const compute = jest.fn((a, b) => ({ sum: a.n + b.n }));
+    const memoized = memoizeLast(compute);
+    const a = { n: 1 };
+    const b = { n: 2 };
+
+    const first = memoized(a, b);
+    expect(memoized(a, b)).toBe(first);
+    expect(memoized(a, { n: 2 })).not.toBe(first);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,177 @@
+// tests/testing.test.js
+import { renderHook } from '@testing-library/react-hooks';
+import useFormValidator from '../src/useFormValidator';
+import {
+  blurField,
+  fillField,
+  submitForm,
+  validateSchema,
+  waitForValidation,
+} from '../src/testing';
+
+describe('testing helpers', () => {
+  const initialValues = { email: '', age: '', password: '' };
+  const schema = {
+    email: ['required', 'email'],
+    age: { validator: 'min', params: [18] },
+    password: [{ validator: 'minLength', params: [8] }],
+  };
+
+  const renderForm = (options) => renderHook(() => useFormValidator(initialValues, schema, options));
+
+  describe('fillField', () => {
+    test('sets the value and resolves with its validation settled', async () => {
+      const { result } = renderForm();
+
+      await blurField(result.current, 'email');
+      await fillField(result.current, 'email', 'ada@');
+
+      expect(result.current.values.email).toBe('ada@');
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+    });
+
+    test('reads the value as an input of the given type', async () => {
+      const { result } = renderForm();
+
+      await fillField(result.current, 'age', '16', { type: 'number' });
+
+      expect(result.current.values.age).toBe(16);
+    });
+
+    test('checks and selects inputs of the given type', async () => {
+      const photo = { name: 'photo.png', type: 'image/png', size: 1024 };
+      const { result } = renderHook(() => useFormValidator({
+        terms: false, size: '', tags: [], colours: [], photos: [],
+      }, {}));
+
+      await fillField(result.current, 'terms', true, { type: 'checkbox' });
+      await fillField(result.current, 'size', 'M', { type: 'radio' });
+      await fillField(result.current, 'tags', 'news', { type: 'checkbox' });
+      await fillField(result.current, 'colours', ['red', 'blue'], { type: 'select-multiple' });
+      await fillField(result.current, 'photos', [photo], { type: 'file' });
+
+      expect(result.current.values).toEqual({
+        terms: true, size: 'M', tags: ['news'], colours: ['red', 'blue'], photos: [photo],
+      });
+
+      await fillField(result.current, 'terms', false, { type: 'checkbox' });
+      expect(result.current.values.terms).toBe(false);
+    });
+
+    test('waits for async and debounced validators', async () => {
+      const isTaken = (value) => new Promise((resolve) => {
+        setTimeout(() => resolve(value === 'taken@example.com' ? 'Taken' : ''), 10);
+      });
+      const { result } = renderHook(() => useFormValidator({ email: '' }, { email: ['email', isTaken] }, { debounce: 20 }));
+
+      await blurField(result.current, 'email');
+      await fillField(result.current, 'email', 'taken@example.com');
+
+      expect(result.current.isValidating).toBe(false);
+      expect(result.current.errors.email).toBe('Taken');
+    });
+  });
+
+  test('blurField touches the field and validates it', async () => {
+    const { result } = renderForm({ validateOnChange: false });
+
+    await blurField(result.current, 'email');
+
+    expect(result.current.touched.email).toBe(true);
+    expect(result.current.errors.email).toBe('This field is required');
+  });
+
+  test('waitForValidation resolves at once when nothing is pending', async () => {
+    const { result } = renderForm();
+
+    await expect(waitForValidation(result.current)).resolves.toBeUndefined();
+  });
+
+  describe('submitForm', () => {
+    test('resolves to the submitted values of a valid form', async () => {
+      const onSubmit = jest.fn();
+      const { result } = renderForm();
+
+      await fillField(result.current, 'email', 'ada@example.com');
+      await fillField(result.current, 'age', 36);
+      await fillField(result.current, 'password', 'analytical');
+      const submission = await submitForm(result.current, onSubmit);
+
+      expect(submission).toEqual({
+        submitted: true,
+        values: { email: 'ada@example.com', age: 36, password: 'analytical' },
+        errors: {},
+      });
+      expect(onSubmit).toHaveBeenCalledWith(submission.values, expect.any(Object));
+      expect(result.current.submitSucceeded).toBe(true);
+    });
+
+    test('resolves to the errors of an invalid form', async () => {
+      const onSubmit = jest.fn();
+      const { result } = renderForm();
+
+      await fillField(result.current, 'age', 12);
+      const submission = await submitForm(result.current, onSubmit);
+
+      expect(submission).toEqual({
+        submitted: false,
+        values: { email: '', age: 12, password: '' },
+        errors: { email: 'This field is required', age: 'Must be at least 18' },
+      });
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.submitCount).toBe(1);
+    });
+
+    test('includes errors set by the submit handler', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: 'ada@example.com' }, { email: 'email' }));
+
+      const submission = await submitForm(result.current, (values, { setFieldErrors }) => {
+        setFieldErrors({ email: 'Already registered' });
+      });
+
+      expect(submission.submitted).toBe(true);
+      expect(submission.errors).toEqual({ email: 'Already registered' });
+    });
+  });
+
+  describe('validateSchema', () => {
+    test('resolves to the result of each passing case', async () => {
+      const results = await validateSchema(schema, [
+        { name: 'valid signup', values: { email: 'ada@example.com', age: 36, password: 'analytical' }, valid: true },
+        { values: { email: 'ada', age: 12, password: 'short' }, errors: {
+          email: 'Please enter a valid email address',
+          age: 'Must be at least 18',
+          password: 'Must be at least 8 characters',
+        } },
+      ]);
+
+      expect(results.map(({ valid }) => valid)).toEqual([true, false]);
+    });
+
+    test('throws an error listing every failing case', async () => {
+      await expect(validateSchema(schema, [
+        { name: 'missing email', values: { email: '' }, errors: { email: 'Email is required' } },
+        { values: { email: 'ada@example.com' }, errors: {} },
+        { values: { email: 'ada' }, valid: true },
+      ])).rejects.toThrow([
+        'validateSchema: 2 of 3 cases failed',
+        '- missing email: expected {"email":"Email is required"}, received {"email":"This field is required"}',
+        '- case 3: expected {"valid":true}, received {"valid":false}',
+      ].join('\n'));
+    });
+
+    test('passes options to the validation', async () => {
+      const schemaWithCustom = { code: ['required', 'even'] };
+      const options = {
+        customValidators: { even: (value) => (value % 2 === 0 ? '' : 'Must be even') },
+        locale: 'fr',
+        messages: { fr: { required: 'Champ obligatoire' } },
+      };
+
+      await expect(validateSchema(schemaWithCustom, [
+        { values: { code: '' }, errors: { code: 'Champ obligatoire' } },
+        { values: { code: 3 }, errors: { code: 'Must be even' } },
+      ], options)).resolves.toHaveLength(2);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+// tests/types/core.test-d.ts
+import { expectError, expectType } from 'tsd';
+import {
+  FieldError,
+  ValidationResult,
+  formatMessage,
+  localizeError,
+  parsers,
+  validate,
+  validateField,
+} from '../../types/core';
+
+interface Order {
+  customer: { email: string };
+  items: Array<{ sku: string; quantity: number }>;
+  coupon?: string;
+}
+
+declare const order: Order;
+
+// Results are typed after the validated values
+const result = await validate(order, {
+  'customer.email': ['required', 'email'],
+  items: [{ validator: 'minItems', params: [1] }],
+  'items.*.quantity': [{ validator: 'integer' }, { validator: 'min', params: [1] }],
+  coupon: { rules: 'slug', parse: parsers.trim },
+}, { locale: 'fr', abortEarly: false });
+expectType<ValidationResult<Order>>(result);
+expectType<string | undefined>(result.errors.customer?.email);
+expectType<FieldError[] | undefined>(result.allErrors.coupon);
+
+expectError(await validate(order, { 'customer.name': 'required' }));
+expectError(await validate(order, { items: { validator: 'minItems', params: ['1'] } }));
+
+// Single fields are named by their path
+expectType<FieldError[]>(await validateField('items[0].sku', order, { 'items.*.sku': 'required' }));
+expectError(await validateField('items[0].name', order, {}));
+
+// Custom validators are usable by name once declared
+await validate(order, { coupon: 'knownCoupon' }, {
+  customValidators: { knownCoupon: (value: string) => value === 'WELCOME' },
+});
+expectError(await validate(order, { coupon: 'knownCoupon' }));
+
+expectType<string>(formatMessage('Must be at least {min}', { min: 3 }));
+expectType<string>(localizeError({ code: 'required' }, { locale: 'de', label: { en: 'Email', de: 'E-Mail' } }));
\ No newline at end of file
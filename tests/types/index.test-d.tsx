@@ -0,0 +1,175 @@
+// tests/types/index.test-d.tsx
+import * as React from 'react';
+import { expectAssignable, expectError, expectNotAssignable, expectType } from 'tsd';
+import useFormValidator, {
+  FieldState,
+  FormProvider,
+  FormValidatorResult,
+  ValidationSchema,
+  useField,
+  useFormContext,
+} from '../../types';
+
+interface SignupValues {
+  email: string;
+  password: string;
+  confirmPassword: string;
+  age: number;
+  address: { city: string; zip: string };
+  contacts: Array<{ email: string; phone?: string }>;
+  tags: string[];
+  birthday: Date | null;
+}
+
+declare const initialValues: SignupValues;
+
+// The values type is inferred from `initialValues`
+const form = useFormValidator(initialValues, {
+  email: ['required', 'email'],
+  password: { rules: [{ validator: 'minLength', params: [8] }, 'passwordStrength'], label: 'Password' },
+  confirmPassword: { validator: 'matches', params: ['password'] },
+  age: [{ validator: 'min', params: [18], message: 'Adults only' }, (value) => (value > 120 ? 'Too old' : '')],
+  address: { city: 'required', zip: { validator: 'postalCode', params: ['FR'] } },
+  'contacts.*.email': 'email',
+  contacts: { '*': { phone: 'phone' } },
+  'address.zip': { when: { field: 'address.city', is: 'Paris' }, then: 'required' },
+  birthday: { validator: 'maxDate', params: [new Date()] },
+});
+expectType<FormValidatorResult<SignupValues>>(form);
+expectType<SignupValues>(form.values);
+
+// Results are keyed by field
+expectType<string | undefined>(form.errors.email);
+expectType<string | undefined>(form.errors.address?.city);
+expectType<boolean | undefined>(form.touched.password);
+expectAssignable<string | undefined>(form.stepErrors.age);
+expectError(form.errors.username);
+expectError(form.touched.username);
+
+// Field names and values are checked against the values
+form.getFieldProps('email');
+form.getFieldProps('address.city');
+form.getFieldProps('contacts.0.email');
+form.getFieldProps('contacts[1].phone');
+form.getFieldProps('tags', { type: 'checkbox', value: 'news' });
+form.setValue('age', 21);
+form.setValue('address', { city: 'Paris', zip: '75001' });
+form.setValue('contacts[0].email', 'ada@example.com');
+expectError(form.getFieldProps('username'));
+expectError(form.getFieldProps('address.country'));
+expectError(form.setValue('age', '21'));
+expectError(form.setValue('contacts.0.email', 1));
+
+// Field arrays know their item type
+const contacts = form.getFieldArray('contacts');
+contacts.append({ email: '' });
+expectType<{ email: string; phone?: string }>(contacts.fields[0].value);
+expectError(contacts.append({ phone: '' }));
+
+// Submit handlers receive typed values
+form.handleSubmit((values, { setFieldErrors }) => {
+  expectType<SignupValues>(values);
+  setFieldErrors({ email: 'Taken' });
+}, (errors) => {
+  expectType<string | undefined>(errors.email);
+});
+
+// Schema keys must be fields of the values
+expectError(useFormValidator(initialValues, { username: 'required' }));
+expectError(useFormValidator(initialValues, { 'address.country': 'required' }));
+
+// Built-in validator names and params are typed
+expectError(useFormValidator(initialValues, { email: 'emial' }));
+expectError(useFormValidator(initialValues, { password: { validator: 'minLength', params: ['8'] } }));
+expectError(useFormValidator(initialValues, { age: { validator: 'min' } }));
+expectError(useFormValidator(initialValues, { confirmPassword: { validator: 'matches', params: ['pasword'] } }));
+expectError(useFormValidator(initialValues, { email: { validator: 'email', dependsOn: 'username' } }));
+
+// Names of custom validators come from the `customValidators` option
+useFormValidator(initialValues, { email: ['required', 'uniqueEmail'] }, {
+  customValidators: { uniqueEmail: async (value: string) => (value === 'taken@example.com' ? 'Taken' : '') },
+});
+expectError(useFormValidator(initialValues, { email: 'uniqueEmail' }));
+
+// Rule functions receive the value of their field and all values
+useFormValidator(initialValues, {
+  age: (value, values, { signal }) => {
+    expectType<number>(value);
+    expectType<SignupValues>(values);
+    expectType<AbortSignal>(signal);
+    return '';
+  },
+});
+
+// Schemas declared apart from the hook are annotated with the values type
+const schema: ValidationSchema<SignupValues> = { email: 'required' };
+useFormValidator(initialValues, schema);
+expectNotAssignable<ValidationSchema<SignupValues>>({ username: 'required' });
+
+// Validation modes, also per field
+useFormValidator(initialValues, {
+  password: { rules: 'passwordStrength', mode: 'onChange', reValidateMode: 'onChange' },
+}, { mode: 'onTouched', reValidateMode: 'onBlur' });
+expectError(useFormValidator(initialValues, {}, { mode: 'onFocus' }));
+expectError(useFormValidator(initialValues, {}, { reValidateMode: 'onTouched' }));
+expectError(useFormValidator(initialValues, { password: { rules: 'required', mode: 'always' } }));
+
+// Uncontrolled inputs take inline rules of their field
+form.register('email', ['required', 'email']);
+form.register('age', { rules: { validator: 'min', params: [18] }, parse: (value) => Number(value) });
+form.register('address.city');
+expectType<SignupValues>(form.getValues());
+expectType<number>(form.getValues('age'));
+expectError(form.register('username'));
+expectError(form.register('age', 'uniqueEmail'));
+expectError(form.getValues('address.country'));
+const custom = useFormValidator(initialValues, {}, {
+  customValidators: { uniqueEmail: () => '' },
+});
+custom.register('email', ['required', 'uniqueEmail']);
+
+// Wizard steps and options are typed too
+useFormValidator(initialValues, {}, {
+  steps: [{ email: 'required' }, { 'address.city': 'required' }],
+  validate: (values) => (values.password === values.email ? { password: 'Too easy to guess' } : undefined),
+  persist: { key: 'signup', exclude: ['password', 'confirmPassword'] },
+  history: { limit: 20 },
+});
+expectError(useFormValidator(initialValues, {}, { steps: [{ username: 'required' }] }));
+expectError(useFormValidator(initialValues, {}, { persist: { key: 'signup', exclude: ['pasword'] } }));
+
+// Forms without initial values accept any field
+const loose = useFormValidator();
+loose.getFieldProps('anything.at.all');
+loose.setValue('count', 1);
+
+// Context hooks take the values type as a type argument
+expectType<FormValidatorResult<SignupValues>>(useFormContext<SignupValues>());
+expectType<FieldState<string>>(useField<SignupValues, 'address.city'>('address.city'));
+expectError(useField<SignupValues>('address.country'));
+
+// Handlers and props fit the DOM elements they are spread onto
+const SignupForm = () => (
+  <FormProvider form={form}>
+    <form onSubmit={form.handleSubmit()}>
+      <label {...form.getLabelProps('email')}>Email</label>
+      <input {...form.getFieldProps('email')} />
+      <span {...form.getErrorProps('email')}>{form.errors.email}</span>
+      <input name="age" type="number" onChange={form.handleChange} onBlur={form.handleBlur} />
+      <select {...form.getFieldProps('tags', { multiple: true })} />
+      <textarea name="password" onChange={form.handleChange} />
+      <input type="radio" value="Paris" {...form.register('address.city', 'required')} />
+      <select {...form.register('tags')} multiple />
+      <textarea {...form.register('password')} />
+    </form>
+  </FormProvider>
+);
+expectType<JSX.Element>(SignupForm());
+
+// Recursive value types stay within the compiler's limits
+interface Category {
+  name: string;
+  children: Category[];
+}
+const tree = useFormValidator({ root: {} as Category }, { 'root.name': 'required', root: { children: { '*': { name: 'required' } } } });
+tree.getFieldProps('root.children.0.children.1.name');
\ No newline at end of file
@@ -0,0 +1,51 @@
+// tests/types/testing.test-d.ts
+import { expectError, expectType } from 'tsd';
+import useFormValidator, { ValidationResult } from '../../types';
+import {
+  SubmitResult,
+  blurField,
+  fillField,
+  submitForm,
+  validateSchema,
+  waitForValidation,
+} from '../../types/testing';
+
+interface LoginValues {
+  email: string;
+  remember: boolean;
+  attempts: number;
+}
+
+const form = useFormValidator<LoginValues>({ email: '', remember: false, attempts: 0 }, { email: 'required' });
+
+// Field names and values are checked against the form
+await fillField(form, 'email', 'ada@example.com');
+await fillField(form, 'remember', true);
+await fillField(form, 'attempts', '3', { type: 'number' });
+await fillField(form, 'remember', true, { type: 'checkbox' });
+expectError(fillField(form, 'attempts', 3, { type: 'number' }));
+expectError(fillField(form, 'password', 'secret'));
+expectError(fillField(form, 'remember', 'yes'));
+
+await blurField(form, 'email');
+expectError(blurField(form, 'password'));
+await waitForValidation(form);
+
+// Submissions resolve to typed values and errors
+const submission = await submitForm(form, async (values, { setFieldErrors }) => {
+  expectType<LoginValues>(values);
+  setFieldErrors({ email: 'Unknown account' });
+});
+expectType<SubmitResult<LoginValues>>(submission);
+expectType<string | undefined>(submission.errors.email);
+
+// Schema tables take the values type as a type argument
+expectType<Array<ValidationResult<LoginValues>>>(await validateSchema<LoginValues>({ email: ['required', 'email'] }, [
+  { name: 'empty email', values: { email: '' }, errors: { email: 'This field is required' } },
+  { values: { email: 'ada@example.com' }, valid: true },
+]));
+expectError(validateSchema<LoginValues>({ password: 'required' }, []));
+expectError(validateSchema<LoginValues>({}, [{ values: { password: '' } }]));
+await validateSchema({ code: ['required', 'even'] }, [{ values: { code: 3 }, valid: false }], {
+  customValidators: { even: (value: number) => value % 2 === 0 },
+});
\ No newline at end of file
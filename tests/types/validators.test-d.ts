@@ -0,0 +1,34 @@
+// tests/types/validators.test-d.ts
+import { expectError, expectType } from 'tsd';
+import {
+  ValidationError,
+  ValidatorResult,
+} from '../../types/core';
+import {
+  builtInValidators,
+  compose,
+  createValidator,
+  email,
+  matches,
+  minLength,
+  postalCode,
+  scorePassword,
+} from '../../types/validators';
+
+expectType<'' | ValidationError>(email('ada@example.com'));
+expectType<'' | ValidationError>(minLength('ada', 3));
+expectType<'' | ValidationError>(postalCode('75001', 'FR'));
+expectType<'' | ValidationError>(matches('secret', 'password', { values: { password: 'secret' } }));
+expectType<number>(scorePassword('correct horse battery staple'));
+expectError(minLength('ada', '3'));
+
+// Every built-in validator is available by name
+builtInValidators.passwordStrength('hunter2');
+expectError(builtInValidators.unknown);
+
+// Validators created from predicates keep the predicate's params
+const divisibleBy = createValidator((value: number, divisor: number) => value % divisor === 0, 'Not divisible');
+expectType<string>(divisibleBy(10, 5));
+expectError(divisibleBy(10, '5'));
+
+expectType<ValidatorResult | Promise<ValidatorResult>>(compose(email, minLength)('ada@example.com'));
\ No newline at end of file
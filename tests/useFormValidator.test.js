@@ -1,6 +1,8 @@
 // tests/useFormValidator.test.js
 import { renderHook, act } from '@testing-library/react-hooks';
 import useFormValidator from '../src/useFormValidator';
+import { builtInValidators } from '../src/validators';
+import { parsers } from '../src/parsers';
 
 describe('useFormValidator', () => {
   const initialValues = {
@@ -46,20 +48,20 @@ describe('useFormValidator', () => {
     expect(result.current.values.name).toBe('John Doe');
   });
 
-  test('should validate on input change when touched', () => {
+  test('should validate on input change when touched', async () => {
     const { result } = renderHook(() => 
       useFormValidator(initialValues, validationSchema, { validateOnChange: true })
     );
     
     // First set the field as touched
-    act(() => {
+    await act(async () => {
       result.current.handleBlur({
         target: { name: 'email' }
       });
     });
     
     // Then change the value
-    act(() => {
+    await act(async () => {
       result.current.handleChange({
         target: { name: 'email', value: 'invalid-email' }
       });
@@ -68,12 +70,12 @@ describe('useFormValidator', () => {
     expect(result.current.errors.email).toBeTruthy();
   });
 
-  test('should validate on blur', () => {
+  test('should validate on blur', async () => {
     const { result } = renderHook(() => 
       useFormValidator(initialValues, validationSchema, { validateOnBlur: true })
     );
     
-    act(() => {
+    await act(async () => {
       result.current.handleBlur({
         target: { name: 'name' }
       });
@@ -128,6 +130,30 @@ describe('useFormValidator', () => {
     );
   });
 
+  test('should report errors consistently for every rule form', async () => {
+    const { result } = renderHook(() =>
+      useFormValidator(
+        { a: 'x', b: 'x', c: 'x', d: 'x' },
+        {
+          a: { validator: 'minLength', params: [3] },
+          b: { validator: (value) => value.length >= 3, message: 'Too short' },
+          c: (value) => (value.length >= 3 ? null : { code: 'short', message: 'Too short' }),
+          d: [{ validator: 'maxLength', params: [3] }, 'required'],
+        }
+      )
+    );
+
+    await act(async () => {
+      await result.current.validateForm();
+    });
+
+    expect(result.current.errors).toEqual({
+      a: 'Must be at least 3 characters',
+      b: 'Too short',
+      c: 'Too short',
+    });
+  });
+
   test('should reset form', () => {
     const { result } = renderHook(() => 
       useFormValidator(initialValues, validationSchema)
@@ -179,6 +205,1937 @@ describe('useFormValidator', () => {
       value: '',
       onChange: expect.any(Function),
       onBlur: expect.any(Function),
+      id: expect.stringMatching(/-name$/),
+      'aria-invalid': false,
+    });
+  });
+
+  describe('async validation', () => {
+    const isAvailable = (value, values, { signal }) => new Promise((resolve) => {
+      setTimeout(() => resolve(value === 'taken' ? 'Username is already taken' : ''), 50);
+      signal.addEventListener('abort', () => resolve(''));
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should await async rules and track validating fields', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator({ username: 'taken' }, { username: ['required', isAvailable] })
+      );
+
+      act(() => {
+        result.current.handleBlur({ target: { name: 'username' } });
+      });
+
+      expect(result.current.isValidating).toBe(true);
+      expect(result.current.validatingFields).toEqual({ username: true });
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(50);
+      });
+
+      expect(result.current.isValidating).toBe(false);
+      expect(result.current.errors.username).toBe('Username is already taken');
+    });
+
+    test('should settle validation when a rule throws', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const onSubmit = jest.fn();
+      const failing = async () => {
+        throw new Error('Network error');
+      };
+      const { result } = renderHook(() =>
+        useFormValidator({ username: 'ada', email: '' }, { username: failing, email: 'required' })
+      );
+
+      let isValid;
+      await act(async () => {
+        isValid = await result.current.validateForm();
+      });
+      expect(isValid).toBe(false);
+      expect(result.current.isValid).toBe(false);
+      expect(result.current.errors).toEqual({
+        username: 'Validation failed for username',
+        email: 'This field is required',
+      });
+
+      const onInvalid = jest.fn();
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit, onInvalid)();
+      });
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(onInvalid).toHaveBeenCalledWith(
+        expect.objectContaining({ username: 'Validation failed for username' })
+      );
+      expect(result.current.isValidating).toBe(false);
+      expect(result.current.validatingFields).toEqual({});
+      expect(result.current.isSubmitting).toBe(false);
+      expect(consoleError).toHaveBeenCalledWith('Field validation error:', expect.any(Error));
+      consoleError.mockRestore();
+    });
+
+    test('should debounce validation on change', async () => {
+      const rule = jest.fn(() => '');
+      const { result } = renderHook(() =>
+        useFormValidator({ username: '' }, { username: rule }, { debounce: 300 })
+      );
+
+      await act(async () => {
+        result.current.handleBlur({ target: { name: 'username' } });
+      });
+      rule.mockClear();
+
+      act(() => {
+        result.current.handleChange({ target: { name: 'username', value: 'j' } });
+      });
+      act(() => {
+        result.current.handleChange({ target: { name: 'username', value: 'jo' } });
+      });
+
+      expect(result.current.validatingFields).toEqual({ username: true });
+      expect(rule).not.toHaveBeenCalled();
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(300);
+      });
+
+      expect(rule).toHaveBeenCalledTimes(1);
+      expect(rule).toHaveBeenCalledWith('jo', expect.any(Object), expect.objectContaining({ name: 'username' }));
+      expect(result.current.isValidating).toBe(false);
+    });
+
+    test('should abort and discard stale results', async () => {
+      const signals = [];
+      const rule = (value, values, { signal }) => {
+        signals.push(signal);
+        return new Promise((resolve) => setTimeout(() => resolve(`Error for ${value}`), 50));
+      };
+      const { result } = renderHook(() =>
+        useFormValidator({ username: '' }, { username: rule })
+      );
+
+      act(() => {
+        result.current.handleBlur({ target: { name: 'username' } });
+      });
+      act(() => {
+        result.current.handleChange({ target: { name: 'username', value: 'new' } });
+      });
+
+      expect(signals[0].aborted).toBe(true);
+      expect(signals[1].aborted).toBe(false);
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(50);
+      });
+
+      expect(result.current.errors.username).toBe('Error for new');
+    });
+
+    test('should wait for async rules before submitting', async () => {
+      const mockSubmit = jest.fn();
+      const { result } = renderHook(() =>
+        useFormValidator({ username: 'taken' }, { username: isAvailable })
+      );
+
+      let submission;
+      act(() => {
+        submission = result.current.handleSubmit(mockSubmit)({ preventDefault: jest.fn() });
+      });
+
+      expect(result.current.isSubmitting).toBe(true);
+      expect(result.current.isValidating).toBe(true);
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(50);
+        await submission;
+      });
+
+      expect(mockSubmit).not.toHaveBeenCalled();
+      expect(result.current.errors.username).toBe('Username is already taken');
+      expect(result.current.isSubmitting).toBe(false);
+    });
+  });
+
+  describe('nested fields', () => {
+    const nestedValues = {
+      address: { city: '' },
+      contacts: [{ phone: '' }, { phone: '' }],
+    };
+
+    test('should update nested values by path', () => {
+      const { result } = renderHook(() => useFormValidator(nestedValues));
+
+      act(() => {
+        result.current.handleChange({ target: { name: 'address.city', value: 'Paris' } });
+        result.current.setValue('contacts[1].phone', '555');
+      });
+
+      expect(result.current.values).toEqual({
+        address: { city: 'Paris' },
+        contacts: [{ phone: '' }, { phone: '555' }],
+      });
+      expect(result.current.getFieldProps('contacts[1].phone').value).toBe('555');
+      expect(nestedValues.address.city).toBe('');
+    });
+
+    test('should mirror nesting in errors and touched', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(nestedValues, { address: { city: 'required' } })
+      );
+
+      await act(async () => {
+        result.current.handleBlur({ target: { name: 'address.city' } });
+      });
+
+      expect(result.current.touched).toEqual({ address: { city: true } });
+      expect(result.current.errors).toEqual({ address: { city: 'This field is required' } });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'address.city', value: 'Paris' } });
+      });
+
+      expect(result.current.errors).toEqual({});
+      expect(result.current.isValid).toBe(true);
+    });
+
+    test('should accept path keys in the schema and touch every leaf on submit', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(nestedValues, { 'contacts[1].phone': 'required' })
+      );
+
+      await act(async () => {
+        await result.current.handleSubmit(jest.fn())({ preventDefault: jest.fn() });
+      });
+
+      expect(result.current.errors).toEqual({ contacts: [undefined, { phone: 'This field is required' }] });
+      expect(result.current.touched).toEqual({
+        address: { city: true },
+        contacts: [{ phone: true }, { phone: true }],
+      });
+    });
+  });
+
+  describe('field arrays', () => {
+    const invoice = {
+      items: [
+        { description: 'Design', qty: '1' },
+        { description: '', qty: '2' },
+      ],
+    };
+
+    test('should keep values, errors, touched and keys aligned', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(invoice, { 'items[].description': 'required' })
+      );
+
+      await act(async () => {
+        result.current.handleBlur({ target: { name: 'items[1].description' } });
+      });
+
+      const keys = result.current.getFieldArray('items').fields.map((item) => item.key);
+      expect(result.current.errors.items[1].description).toBe('This field is required');
+
+      await act(async () => {
+        result.current.getFieldArray('items').prepend({ description: 'Setup', qty: '1' });
+      });
+
+      let items = result.current.getFieldArray('items');
+      expect(items.fields.map((item) => item.value.description)).toEqual(['Setup', 'Design', '']);
+      expect(items.fields.slice(1).map((item) => item.key)).toEqual(keys);
+      expect(items.fields[2].name).toBe('items[2]');
+      expect(result.current.errors.items[2].description).toBe('This field is required');
+      expect(result.current.touched.items[2].description).toBe(true);
+
+      await act(async () => {
+        result.current.getFieldArray('items').swap(0, 2);
+      });
+
+      items = result.current.getFieldArray('items');
+      expect(items.fields[0].key).toBe(keys[1]);
+      expect(result.current.errors.items[0].description).toBe('This field is required');
+
+      await act(async () => {
+        result.current.getFieldArray('items').remove(0);
+      });
+
+      expect(result.current.values.items.map((item) => item.description)).toEqual(['Design', 'Setup']);
+      expect(result.current.errors).toEqual({});
+      expect(result.current.touched).toEqual({});
+    });
+
+    test('should support append, insert, move and replace', () => {
+      const { result } = renderHook(() => useFormValidator({ emails: ['a@x.com'] }));
+
+      act(() => {
+        result.current.getFieldArray('emails').append('c@x.com');
+      });
+      act(() => {
+        result.current.getFieldArray('emails').insert(1, 'b@x.com');
+      });
+      act(() => {
+        result.current.getFieldArray('emails').move(2, 0);
+      });
+
+      expect(result.current.values.emails).toEqual(['c@x.com', 'a@x.com', 'b@x.com']);
+
+      const { fields } = result.current.getFieldArray('emails');
+      act(() => {
+        result.current.getFieldArray('emails').replace(['d@x.com']);
+      });
+
+      expect(result.current.values.emails).toEqual(['d@x.com']);
+      expect(result.current.getFieldArray('emails').fields[0].key).not.toBe(fields[0].key);
+    });
+
+    test('should validate items and array-level rules on submit', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(
+          { items: [{ description: '' }] },
+          {
+            items: (items) => builtInValidators.minItems(items, 2),
+            'items[].description': 'required',
+          }
+        )
+      );
+
+      await act(async () => {
+        await result.current.handleSubmit(jest.fn())({ preventDefault: jest.fn() });
+      });
+
+      expect(result.current.errors.items).toEqual([{ description: 'This field is required' }]);
+
+      act(() => {
+        result.current.setValue('items[0].description', 'Design');
+      });
+
+      await act(async () => {
+        await result.current.handleSubmit(jest.fn())({ preventDefault: jest.fn() });
+      });
+
+      expect(result.current.getFieldArray('items').error).toBe('Must have at least 2 items');
+
+      await act(async () => {
+        result.current.getFieldArray('items').append({ description: 'Build' });
+      });
+
+      expect(result.current.getFieldArray('items').error).toBe('');
+    });
+  });
+
+  describe('cross-field dependencies', () => {
+    const blurAll = async (result, fields) => {
+      await act(async () => {
+        fields.forEach((name) => result.current.handleBlur({ target: { name } }));
+      });
+    };
+
+    test('should re-validate matches dependents when the other field changes', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(
+          { password: 'secret', confirmPassword: 'secret' },
+          { confirmPassword: { validator: 'matches', params: ['password'], message: 'Passwords do not match' } }
+        )
+      );
+
+      await blurAll(result, ['password', 'confirmPassword']);
+      expect(result.current.errors).toEqual({});
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'password', value: 'changed' } });
+      });
+
+      expect(result.current.errors.confirmPassword).toBe('Passwords do not match');
+
+      await act(async () => {
+        result.current.setValue('password', 'secret');
+      });
+
+      expect(result.current.errors).toEqual({});
+    });
+
+    test('should re-validate fields declaring dependsOn', async () => {
+      const vatRule = jest.fn((value, values) => (
+        values.accountType === 'business' && !value ? 'VAT number is required' : ''
+      ));
+      const { result } = renderHook(() =>
+        useFormValidator(
+          { accountType: 'personal', vat: '' },
+          { vat: { validator: (value, context) => vatRule(value, context.values), dependsOn: 'accountType' } }
+        )
+      );
+
+      await blurAll(result, ['vat']);
+
+      await act(async () => {
+        result.current.setValue('accountType', 'business');
+      });
+
+      expect(result.current.errors.vat).toBe('VAT number is required');
+    });
+
+    test('should not validate untouched dependents', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(
+          { password: 'secret', confirmPassword: '' },
+          { confirmPassword: ['required', { validator: 'matches', params: ['password'] }] }
+        )
+      );
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'password', value: 'changed' } });
+      });
+
+      expect(result.current.errors).toEqual({});
+    });
+  });
+
+  describe('conditional rules', () => {
+    test('should switch rules and clear errors when the condition turns off', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(
+          { accountType: 'business', vatNumber: '' },
+          { vatNumber: { when: { field: 'accountType', is: 'business' }, then: 'required' } }
+        )
+      );
+
+      await act(async () => {
+        result.current.handleBlur({ target: { name: 'vatNumber' } });
+      });
+
+      expect(result.current.errors.vatNumber).toBe('This field is required');
+
+      await act(async () => {
+        result.current.setValue('accountType', 'personal');
+      });
+
+      expect(result.current.errors).toEqual({});
+    });
+
+    test('should clear errors of untouched fields and of modes not validating changes', async () => {
+      const schema = { vatNumber: { when: { field: 'accountType', is: 'business' }, then: 'required' } };
+      const { result } = renderHook(() => useFormValidator({ accountType: 'business', vatNumber: '' }, schema));
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+      expect(result.current.errors.vatNumber).toBe('This field is required');
+
+      await act(async () => {
+        result.current.setValue('accountType', 'personal');
+      });
+      expect(result.current.errors).toEqual({});
+      expect(result.current.isValid).toBe(true);
+
+      const { result: onBlur } = renderHook(() => useFormValidator(
+        { accountType: 'business', vatNumber: '' }, schema, { mode: 'onBlur', reValidateMode: 'onBlur' }
+      ));
+
+      await act(async () => {
+        await onBlur.current.handleSubmit(() => {})();
+      });
+      expect(onBlur.current.errors.vatNumber).toBe('This field is required');
+
+      await act(async () => {
+        onBlur.current.setValue('accountType', 'personal');
+      });
+      expect(onBlur.current.errors).toEqual({});
+    });
+
+    test('should apply conditions to nested schemas', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(
+          { sameAsBilling: true, shipping: { street: '', city: '' } },
+          {
+            shipping: {
+              when: (values) => !values.sameAsBilling,
+              then: { street: 'required', city: 'required' },
+            },
+          }
+        )
+      );
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      expect(result.current.errors).toEqual({});
+
+      act(() => {
+        result.current.setValue('sameAsBilling', false);
+      });
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      expect(result.current.errors).toEqual({
+        shipping: { street: 'This field is required', city: 'This field is required' },
+      });
+    });
+  });
+
+  describe('all errors', () => {
+    const passwordRules = [
+      { validator: 'minLength', params: [8], message: 'At least 8 characters' },
+      { validator: (value) => /\d/.test(value), message: 'At least one digit' },
+      { validator: (value) => /[^\w]/.test(value), message: 'At least one symbol' },
+    ];
+
+    test('should collect every failing rule with abortEarly off', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator({ password: 'abc', name: '' }, { password: passwordRules, name: 'required' }, { abortEarly: false })
+      );
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      expect(result.current.errors).toEqual({ password: 'At least 8 characters', name: 'This field is required' });
+      expect(result.current.allErrors.password.map(({ rule, message }) => ({ rule, message }))).toEqual([
+        { rule: 'minLength', message: 'At least 8 characters' },
+        { rule: 'custom', message: 'At least one digit' },
+        { rule: 'custom', message: 'At least one symbol' },
+      ]);
+    });
+
+    test('should accept abortEarly per field', async () => {
+      const { result } = renderHook(() =>
+        useFormValidator(
+          { password: 'abc', username: '' },
+          {
+            password: { rules: passwordRules, abortEarly: false },
+            username: ['required', { validator: 'minLength', params: [3] }],
+          }
+        )
+      );
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      expect(result.current.allErrors.password).toHaveLength(3);
+      expect(result.current.allErrors.username).toHaveLength(1);
+    });
+
+    test('should replace errors through setErrors', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '' }));
+
+      await act(async () => {
+        await result.current.handleSubmit((values, { setErrors }) => {
+          setErrors({ email: 'Email is already registered' });
+        })({ preventDefault: jest.fn() });
+      });
+
+      expect(result.current.errors).toEqual({ email: 'Email is already registered' });
+      expect(result.current.allErrors.email[0].message).toBe('Email is already registered');
+      expect(result.current.isValid).toBe(false);
+    });
+  });
+
+  describe('localised messages', () => {
+    const messages = {
+      fr: {
+        required: '{label} est obligatoire',
+        minLength: '{label} doit contenir au moins {min} caractères',
+      },
+    };
+    const schema = {
+      email: { rules: 'required', label: { en: 'Email', fr: 'Le courriel' } },
+      password: [{ validator: 'minLength', params: [8] }],
+      nickname: { validator: 'minLength', params: [3], message: { en: 'Too short', fr: 'Trop court' } },
+    };
+
+    test('should translate errors and follow locale changes', async () => {
+      const { result, rerender } = renderHook(
+        ({ locale }) => useFormValidator({ email: '', password: 'abc', nickname: 'a' }, schema, { locale, messages }),
+        { initialProps: { locale: 'fr' } }
+      );
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      expect(result.current.errors).toEqual({
+        email: 'Le courriel est obligatoire',
+        password: 'password doit contenir au moins 8 caractères',
+        nickname: 'Trop court',
+      });
+
+      rerender({ locale: 'en' });
+
+      expect(result.current.errors).toEqual({
+        email: 'This field is required',
+        password: 'Must be at least 8 characters',
+        nickname: 'Too short',
+      });
+      expect(result.current.allErrors.password[0]).toEqual({
+        rule: 'minLength', code: 'minLength', message: 'Must be at least 8 characters', meta: { min: 8 },
+      });
+    });
+  });
+
+  describe('dirty tracking', () => {
+    test('should track dirty fields against the initial values', () => {
+      const { result } = renderHook(() => (
+        useFormValidator({ name: 'Ada', address: { city: 'Paris' } }, {})
+      ));
+
+      expect(result.current.isDirty).toBe(false);
+      expect(result.current.dirty).toEqual({});
+      expect(result.current.initialValues).toEqual({ name: 'Ada', address: { city: 'Paris' } });
+
+      act(() => {
+        result.current.setValue('address.city', 'Lyon');
+      });
+
+      expect(result.current.isDirty).toBe(true);
+      expect(result.current.dirty).toEqual({ address: { city: true } });
+
+      act(() => {
+        result.current.setValue('address.city', 'Paris');
+      });
+
+      expect(result.current.isDirty).toBe(false);
+      expect(result.current.dirty).toEqual({});
+    });
+
+    test('should make reset values the new initial values', () => {
+      const { result } = renderHook(() => useFormValidator({ name: '' }, {}));
+
+      act(() => {
+        result.current.resetForm({ name: 'Ada' });
+      });
+
+      expect(result.current.values).toEqual({ name: 'Ada' });
+      expect(result.current.initialValues).toEqual({ name: 'Ada' });
+      expect(result.current.isDirty).toBe(false);
+
+      act(() => {
+        result.current.setValue('name', 'Grace');
+      });
+      act(() => {
+        result.current.resetForm();
+      });
+
+      expect(result.current.values).toEqual({ name: 'Ada' });
+    });
+
+    test('should ignore new initial values unless enableReinitialize is set', () => {
+      const { result, rerender } = renderHook(
+        ({ initial }) => useFormValidator(initial, {}),
+        { initialProps: { initial: { name: '' } } }
+      );
+
+      rerender({ initial: { name: 'Ada' } });
+
+      expect(result.current.values).toEqual({ name: '' });
+      expect(result.current.initialValues).toEqual({ name: '' });
+    });
+
+    test('should reinitialise and discard edits when initial values change', async () => {
+      const { result, rerender } = renderHook(
+        ({ initial }) => useFormValidator(initial, { name: 'required' }, { enableReinitialize: true }),
+        { initialProps: { initial: { name: '', email: '' } } }
+      );
+
+      await act(async () => {
+        result.current.setValue('email', 'ada@example.com');
+        await result.current.handleBlur({ target: { name: 'name' } });
+      });
+
+      expect(result.current.errors).toEqual({ name: 'This field is required' });
+
+      // A new object with the same content is not a change
+      rerender({ initial: { name: '', email: '' } });
+      expect(result.current.values).toEqual({ name: '', email: 'ada@example.com' });
+
+      rerender({ initial: { name: 'Ada', email: 'ada@lovelace.org' } });
+
+      expect(result.current.values).toEqual({ name: 'Ada', email: 'ada@lovelace.org' });
+      expect(result.current.initialValues).toEqual({ name: 'Ada', email: 'ada@lovelace.org' });
+      expect(result.current.isDirty).toBe(false);
+      expect(result.current.touched).toEqual({});
+      expect(result.current.errors).toEqual({});
+    });
+
+    test('should keep user edits with keepDirtyOnReinitialize', async () => {
+      const { result, rerender } = renderHook(
+        ({ initial }) => useFormValidator(initial, { name: 'required', email: 'email' }, {
+          enableReinitialize: true,
+          keepDirtyOnReinitialize: true,
+        }),
+        { initialProps: { initial: { name: '', email: '', address: { city: '' } } } }
+      );
+
+      act(() => {
+        result.current.setValue('email', 'not-an-email');
+      });
+      await act(async () => {
+        await result.current.handleBlur({ target: { name: 'email' } });
+        await result.current.handleBlur({ target: { name: 'name' } });
+      });
+
+      expect(result.current.errors).toEqual({
+        name: 'This field is required',
+        email: 'Please enter a valid email address',
+      });
+
+      rerender({ initial: { name: 'Ada', email: 'ada@example.com', address: { city: 'London' } } });
+
+      expect(result.current.values).toEqual({
+        name: 'Ada',
+        email: 'not-an-email',
+        address: { city: 'London' },
+      });
+      expect(result.current.dirty).toEqual({ email: true });
+      expect(result.current.touched).toEqual({ email: true });
+      expect(result.current.errors).toEqual({ email: 'Please enter a valid email address' });
+    });
+  });
+
+  describe('input types', () => {
+    test('should handle checkboxes, checkbox groups and radios', () => {
+      const { result } = renderHook(() => useFormValidator({ terms: false, tags: [], size: 's' }));
+
+      act(() => {
+        result.current.handleChange({ target: { name: 'terms', type: 'checkbox', checked: true, value: 'on' } });
+        result.current.getFieldProps('tags', { type: 'checkbox', value: 'b' }).onChange({
+          target: { name: 'tags', type: 'checkbox', checked: true, value: 'b' },
+        });
+        result.current.handleChange({ target: { name: 'size', type: 'radio', checked: true, value: 'm' } });
+      });
+
+      expect(result.current.values).toEqual({ terms: true, tags: ['b'], size: 'm' });
+      expect(result.current.getFieldProps('terms', { type: 'checkbox' }).checked).toBe(true);
+      expect(result.current.getFieldProps('tags', { type: 'checkbox', value: 'a' }).checked).toBe(false);
+      expect(result.current.getFieldProps('tags', { type: 'checkbox', value: 'b' }).checked).toBe(true);
+      expect(result.current.getFieldProps('size', { type: 'radio', value: 'm' }).checked).toBe(true);
+    });
+
+    test('should handle multi-selects, files and numbers', () => {
+      const file = { name: 'cv.pdf', type: 'application/pdf', size: 100 };
+      const { result } = renderHook(() => useFormValidator({ tags: [], qty: 1 }));
+
+      act(() => {
+        result.current.handleChange({
+          target: { name: 'tags', type: 'select-multiple', options: [{ value: 'a', selected: true }, { value: 'b', selected: true }] },
+        });
+        result.current.handleChange({ target: { name: 'cv', type: 'file', files: [file] } });
+        result.current.handleChange({ target: { name: 'qty', type: 'number', value: '0' } });
+      });
+
+      expect(result.current.values).toEqual({ tags: ['a', 'b'], cv: [file], qty: 0 });
+      expect(result.current.getFieldProps('qty', { type: 'number' }).value).toBe(0);
+      expect(result.current.getFieldProps('tags', { multiple: true }).value).toEqual(['a', 'b']);
+      expect(result.current.getFieldProps('cv', { type: 'file' })).not.toHaveProperty('value');
+    });
+
+    test('should accept values from custom components', async () => {
+      const { result } = renderHook(() => useFormValidator({ rating: 0 }, { rating: { validator: 'max', params: [5] } }));
+      const { onChange, onBlur } = result.current.getFieldProps('rating');
+
+      await act(async () => {
+        onChange(4);
+        await onBlur();
+      });
+
+      expect(result.current.values).toEqual({ rating: 4 });
+      expect(result.current.touched).toEqual({ rating: true });
+      expect(result.current.errors).toEqual({});
+
+      await act(async () => {
+        onChange(6);
+      });
+
+      expect(result.current.errors).toEqual({ rating: 'Must be no more than 5' });
+
+      await act(async () => {
+        onChange(0);
+      });
+
+      expect(result.current.getFieldProps('rating').value).toBe(0);
+    });
+
+    test('should validate files', async () => {
+      const schema = { cv: ['required', { validator: 'fileType', params: [['application/pdf']] }] };
+      const { result } = renderHook(() => useFormValidator({ cv: [] }, schema));
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'cv', type: 'file', files: [{ name: 'cv.docx', type: 'application/msword' }] } });
+        await result.current.handleBlur({ target: { name: 'cv' } });
+      });
+
+      expect(result.current.errors).toEqual({ cv: 'File type must be one of application/pdf' });
+    });
+  });
+
+  describe('parse and format', () => {
+    const toCents = (value) => (typeof value === 'string' ? Math.round(Number(value.replace(/[$,]/g, '')) * 100) : value);
+    const toDollars = (cents) => (typeof cents === 'number' ? `$${(cents / 100).toFixed(2)}` : cents);
+
+    test('should store parsed values and display formatted ones', () => {
+      const schema = { price: { rules: [{ validator: 'min', params: [100] }], parse: toCents, format: toDollars } };
+      const { result } = renderHook(() => useFormValidator({ price: 250 }, schema));
+
+      expect(result.current.getFieldProps('price').value).toBe('$2.50');
+
+      act(() => {
+        result.current.handleChange({ target: { name: 'price', value: '$1,200.5' } });
+      });
+
+      expect(result.current.values).toEqual({ price: 120050 });
+      expect(result.current.getFieldProps('price').value).toBe('$1200.50');
+
+      act(() => {
+        result.current.setValue('price', '3');
+      });
+
+      expect(result.current.values).toEqual({ price: 300 });
+    });
+
+    test('should parse values before validating and submitting', async () => {
+      const onSubmit = jest.fn();
+      const schema = {
+        age: { rules: ['required', { validator: 'min', params: [18] }], parse: parsers.toNumber },
+      };
+      const { result } = renderHook(() => useFormValidator({ name: 'Ada ', age: '21.' }, schema, { parse: parsers.trim }));
+
+      act(() => {
+        result.current.handleChange({ target: { name: 'name', value: 'Ada Lovelace ' } });
+      });
+
+      // Trimming waits for validation, so typing spaces is not disrupted
+      expect(result.current.values.name).toBe('Ada Lovelace ');
+
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)({ preventDefault: () => {} });
+      });
+
+      expect(onSubmit).toHaveBeenCalledWith({ name: 'Ada Lovelace', age: 21 }, expect.any(Object));
+      expect(result.current.values).toEqual({ name: 'Ada Lovelace', age: 21 });
+    });
+  });
+
+  describe('draft persistence', () => {
+    const createMemoryStorage = (items = {}) => ({
+      items,
+      getItem: async (key) => (key in items ? items[key] : null),
+      setItem: async (key, value) => {
+        items[key] = value;
+      },
+      removeItem: async (key) => {
+        delete items[key];
+      },
+    });
+
+    const initial = { email: '', password: '', profile: { name: '' } };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should restore a saved draft on mount', async () => {
+      const storage = createMemoryStorage({
+        signup: JSON.stringify({ version: 1, values: { email: 'ada@example.com', profile: { name: 'Ada' } }, touched: { email: true } }),
+      });
+      const { result } = renderHook(() => useFormValidator(initial, {}, {
+        persist: { key: 'signup', storage, touched: true },
+      }));
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.values).toEqual({ email: 'ada@example.com', password: '', profile: { name: 'Ada' } });
+      expect(result.current.touched).toEqual({ email: true });
+      expect(result.current.isDirty).toBe(true);
+    });
+
+    test('should save debounced drafts without excluded fields', async () => {
+      const storage = createMemoryStorage();
+      const { result } = renderHook(() => useFormValidator(initial, {}, {
+        persist: { key: 'signup', storage, exclude: ['password'], debounce: 200 },
+      }));
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(0);
+      });
+      await act(async () => {
+        result.current.setValue('email', 'ada@example.com');
+        result.current.setValue('password', 'hunter2');
+        await jest.advanceTimersByTimeAsync(100);
+      });
+
+      expect(storage.items).toEqual({});
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(100);
+      });
+
+      expect(JSON.parse(storage.items.signup)).toEqual({
+        version: 1,
+        values: { email: 'ada@example.com', profile: { name: '' } },
+      });
+    });
+
+    test('should not overwrite edits made before the draft loaded', async () => {
+      const storage = createMemoryStorage({ signup: JSON.stringify({ version: 1, values: { email: 'old@example.com' } }) });
+      const { result } = renderHook(() => useFormValidator(initial, {}, { persist: { key: 'signup', storage } }));
+
+      act(() => {
+        result.current.setValue('email', 'new@example.com');
+      });
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(0);
+      });
+
+      expect(result.current.values.email).toBe('new@example.com');
+    });
+
+    test('should clear the draft after a successful submit or a reset', async () => {
+      const storage = createMemoryStorage();
+      const { result } = renderHook(() => useFormValidator(initial, {}, { persist: { key: 'signup', storage } }));
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(0);
+      });
+      await act(async () => {
+        result.current.setValue('email', 'ada@example.com');
+        await jest.advanceTimersByTimeAsync(500);
+      });
+
+      expect(storage.items).toHaveProperty('signup');
+
+      await act(async () => {
+        await result.current.handleSubmit(() => {})({ preventDefault: () => {} });
+      });
+
+      expect(storage.items).toEqual({});
+
+      await act(async () => {
+        result.current.setValue('email', 'grace@example.com');
+        await jest.advanceTimersByTimeAsync(500);
+      });
+      await act(async () => {
+        result.current.resetForm();
+        await jest.advanceTimersByTimeAsync(500);
+      });
+
+      expect(storage.items).toEqual({});
+    });
+
+    test('should keep the draft when submission fails', async () => {
+      const storage = createMemoryStorage();
+      const { result } = renderHook(() => useFormValidator(initial, {}, { persist: { key: 'signup', storage } }));
+
+      await act(async () => {
+        await jest.advanceTimersByTimeAsync(0);
+      });
+      await act(async () => {
+        result.current.setValue('email', 'ada@example.com');
+        await jest.advanceTimersByTimeAsync(500);
+      });
+      await act(async () => {
+        await result.current.handleSubmit(() => {
+          throw new Error('Network error');
+        })({ preventDefault: () => {} });
+      });
+
+      expect(storage.items).toHaveProperty('signup');
+      expect(result.current.submitError).toEqual(new Error('Network error'));
+    });
+  });
+
+  describe('submission lifecycle', () => {
+    const submitEvent = { preventDefault: () => {} };
+
+    test('should count submissions and record their outcome', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '' }, { email: 'required' }));
+
+      expect(result.current.submitCount).toBe(0);
+
+      await act(async () => {
+        await result.current.handleSubmit(() => {})(submitEvent);
+      });
+
+      expect(result.current.submitCount).toBe(1);
+      expect(result.current.submitSucceeded).toBe(false);
+
+      act(() => {
+        result.current.setValue('email', 'ada@example.com');
+      });
+      await act(async () => {
+        await result.current.handleSubmit(() => {})(submitEvent);
+      });
+
+      expect(result.current.submitCount).toBe(2);
+      expect(result.current.submitSucceeded).toBe(true);
+      expect(result.current.submitError).toBeNull();
+
+      act(() => {
+        result.current.resetForm();
+      });
+
+      expect(result.current.submitCount).toBe(0);
+      expect(result.current.submitSucceeded).toBe(false);
+    });
+
+    test('should store errors thrown by onSubmit', async () => {
+      const error = new Error('Service unavailable');
+      const { result } = renderHook(() => useFormValidator({ email: 'ada@example.com' }));
+
+      await act(async () => {
+        await result.current.handleSubmit(async () => {
+          throw error;
+        })(submitEvent);
+      });
+
+      expect(result.current.submitError).toBe(error);
+      expect(result.current.submitSucceeded).toBe(false);
+      expect(result.current.isSubmitting).toBe(false);
+    });
+
+    test('should call onInvalid with the errors', async () => {
+      const onSubmit = jest.fn();
+      const onInvalid = jest.fn();
+      const { result } = renderHook(() => useFormValidator({ email: '' }, { email: 'required' }));
+
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit, onInvalid)(submitEvent);
+      });
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(onInvalid).toHaveBeenCalledWith({ email: 'This field is required' });
+    });
+
+    test('should map API errors to fields and form-level errors', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: 'ada@example.com', items: [{ sku: 'A1' }] }));
+
+      await act(async () => {
+        await result.current.handleSubmit((values, { setFieldErrors }) => {
+          setFieldErrors({
+            type: 'https://example.com/problems/validation',
+            title: 'Invalid request',
+            status: 422,
+            errors: [
+              { pointer: '/email', message: 'Email is already registered', code: 'taken' },
+              { path: 'items[0].sku', message: 'Unknown SKU' },
+              { message: 'Please try again later' },
+            ],
+          });
+        })(submitEvent);
+      });
+
+      expect(result.current.errors).toEqual({
+        email: 'Email is already registered',
+        items: [{ sku: 'Unknown SKU' }],
+      });
+      expect(result.current.allErrors.email).toEqual([
+        { rule: 'server', code: 'taken', message: 'Email is already registered', meta: {} },
+      ]);
+      expect(result.current.rootError).toBe('Please try again later');
+      expect(result.current.isValid).toBe(false);
+      expect(result.current.submitSucceeded).toBe(false);
+
+      // Server errors are dropped on the next submission
+      await act(async () => {
+        await result.current.handleSubmit(() => {})(submitEvent);
+      });
+
+      expect(result.current.errors).toEqual({});
+      expect(result.current.rootErrors).toEqual([]);
+      expect(result.current.submitSucceeded).toBe(true);
+    });
+
+    test('should set and clear form-level errors', () => {
+      const { result } = renderHook(() => useFormValidator({}));
+
+      act(() => {
+        result.current.setRootError('Session expired');
+      });
+
+      expect(result.current.rootErrors).toEqual([
+        { rule: 'server', code: 'server', message: 'Session expired', meta: {} },
+      ]);
+
+      act(() => {
+        result.current.setRootError(null);
+      });
+
+      expect(result.current.rootError).toBe('');
+    });
+
+    test('should focus the first invalid input of the form', async () => {
+      const createInput = (name) => ({
+        getAttribute: () => name,
+        focus: jest.fn(),
+        scrollIntoView: jest.fn(),
+      });
+      const inputs = [createInput('name'), createInput('address.city'), createInput('email')];
+      const formElement = { querySelectorAll: () => inputs };
+      const schema = { name: [], address: { city: 'required' }, email: 'required' };
+      const { result } = renderHook(() => useFormValidator({ name: 'Ada', address: { city: '' }, email: '' }, schema));
+
+      await act(async () => {
+        await result.current.handleSubmit(() => {})({ preventDefault: () => {}, currentTarget: formElement });
+      });
+
+      expect(inputs[1].scrollIntoView).toHaveBeenCalledWith({ block: 'center' });
+      expect(inputs[1].focus).toHaveBeenCalledWith({ preventScroll: true });
+      expect(inputs[2].focus).not.toHaveBeenCalled();
+      expect(inputs[0].focus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('wizard steps', () => {
+    const steps = [
+      { name: 'required', email: ['required', 'email'] },
+      { address: { city: 'required' } },
+      { terms: 'required' },
+    ];
+    const initialValues = { name: '', email: '', address: { city: '' }, terms: '' };
+
+    test('should validate only the current step on next', async () => {
+      const { result } = renderHook(() => useFormValidator(initialValues, {}, { steps }));
+
+      expect(result.current.step).toBe(0);
+      expect(result.current.stepCount).toBe(3);
+      expect(result.current.isFirstStep).toBe(true);
+
+      let moved;
+      await act(async () => {
+        moved = await result.current.next();
+      });
+
+      expect(moved).toBe(false);
+      expect(result.current.step).toBe(0);
+      expect(result.current.stepErrors).toEqual({ name: 'This field is required', email: 'This field is required' });
+      expect(result.current.stepTouched).toEqual({ name: true, email: true });
+      expect(result.current.errors.address).toBeUndefined();
+      expect(result.current.touched.address).toBeUndefined();
+
+      act(() => {
+        result.current.setValue('name', 'Ada');
+        result.current.setValue('email', 'ada@example.com');
+      });
+      await act(async () => {
+        moved = await result.current.next();
+      });
+
+      expect(moved).toBe(true);
+      expect(result.current.step).toBe(1);
+      expect(result.current.isFirstStep).toBe(false);
+      expect(result.current.isStepValid).toBe(true);
+      expect(result.current.stepErrors).toEqual({});
+      expect(result.current.stepTouched).toEqual({});
+    });
+
+    test('should go back without validating', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { ...initialValues, name: 'Ada', email: 'ada@example.com' }, {}, { steps }
+      ));
+
+      await act(async () => {
+        await result.current.next();
+      });
+      expect(result.current.step).toBe(1);
+
+      act(() => {
+        result.current.prev();
+      });
+
+      expect(result.current.step).toBe(0);
+      expect(result.current.errors).toEqual({});
+
+      act(() => {
+        result.current.prev();
+      });
+      expect(result.current.step).toBe(0);
+    });
+
+    test('should validate every step on submit and show the first invalid step', async () => {
+      const onSubmit = jest.fn();
+      const submitEvent = { preventDefault: () => {} };
+      const { result } = renderHook(() => useFormValidator(
+        { ...initialValues, name: 'Ada', email: 'ada@example.com' }, {}, { steps }
+      ));
+
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)(submitEvent);
+      });
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.errors).toEqual({
+        address: { city: 'This field is required' },
+        terms: 'This field is required',
+      });
+      expect(result.current.step).toBe(1);
+      expect(result.current.stepErrors).toEqual({ address: { city: 'This field is required' } });
+
+      // The current step has an error, so the wizard stays on it
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)(submitEvent);
+      });
+      expect(result.current.step).toBe(1);
+
+      act(() => {
+        result.current.setValue('address.city', 'Paris');
+      });
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)(submitEvent);
+      });
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.step).toBe(2);
+
+      act(() => {
+        result.current.setValue('terms', 'accepted');
+      });
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)(submitEvent);
+      });
+
+      expect(onSubmit).toHaveBeenCalledWith(
+        { name: 'Ada', email: 'ada@example.com', address: { city: 'Paris' }, terms: 'accepted' },
+        expect.any(Object)
+      );
+    });
+
+    test('should treat a form without steps as a single step', async () => {
+      const { result } = renderHook(() => useFormValidator({ name: '' }, { name: 'required' }));
+
+      expect(result.current.stepCount).toBe(1);
+      expect(result.current.isFirstStep).toBe(true);
+      expect(result.current.isLastStep).toBe(true);
+
+      await act(async () => {
+        await result.current.next();
+      });
+
+      expect(result.current.stepErrors).toEqual({ name: 'This field is required' });
+      expect(result.current.step).toBe(0);
+    });
+
+    test('should return to the first step on reset', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { ...initialValues, name: 'Ada', email: 'ada@example.com' }, {}, { steps }
+      ));
+
+      await act(async () => {
+        await result.current.next();
+      });
+      act(() => {
+        result.current.resetForm();
+      });
+
+      expect(result.current.step).toBe(0);
+    });
+  });
+
+  describe('form-level validation', () => {
+    const submitEvent = { preventDefault: () => {} };
+    const validateContact = (values) => ({
+      ...(values.email || values.phone ? {} : { root: 'Add an email or a phone number' }),
+      ...(values.start && values.end && values.start >= values.end ? { end: 'Must be after the start date' } : {}),
+    });
+
+    test('should merge field and root errors on submit', async () => {
+      const onSubmit = jest.fn();
+      const { result } = renderHook(() => useFormValidator(
+        { email: '', phone: '', start: '2024-05-04', end: '2024-05-01' },
+        { end: 'required' },
+        { validate: validateContact }
+      ));
+
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)(submitEvent);
+      });
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.errors).toEqual({ end: 'Must be after the start date' });
+      expect(result.current.allErrors.end).toEqual([
+        { rule: 'form', code: 'form', message: 'Must be after the start date', meta: {} },
+      ]);
+      expect(result.current.rootError).toBe('Add an email or a phone number');
+      expect(result.current.isValid).toBe(false);
+
+      // Without `validateFormOnChange`, errors stay until the next run
+      act(() => {
+        result.current.setValue('phone', '+14155552671');
+        result.current.setValue('end', '2024-05-08');
+      });
+      expect(result.current.rootError).toBe('Add an email or a phone number');
+
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)(submitEvent);
+      });
+
+      expect(result.current.errors).toEqual({});
+      expect(result.current.rootErrors).toEqual([]);
+      expect(onSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should list form-level errors after the field errors of the same field', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { end: '' },
+        { end: 'required' },
+        { validate: () => ({ end: 'Pick an end date' }), abortEarly: false }
+      ));
+
+      let isValid;
+      await act(async () => {
+        isValid = await result.current.validateForm();
+      });
+
+      expect(isValid).toBe(false);
+      expect(result.current.allErrors.end.map((error) => error.message)).toEqual([
+        'This field is required',
+        'Pick an end date',
+      ]);
+    });
+
+    test('should run async form validation and report it as validating', async () => {
+      let resolve;
+      const validate = jest.fn((values, { signal }) => new Promise((done) => {
+        resolve = done;
+        expect(signal).toBeInstanceOf(AbortSignal);
+      }));
+      const { result } = renderHook(() => useFormValidator({ shares: [60, 30] }, {}, { validate }));
+
+      let validation;
+      act(() => {
+        validation = result.current.validateForm();
+      });
+
+      expect(result.current.isValidating).toBe(true);
+      expect(validate).toHaveBeenCalledWith({ shares: [60, 30] }, expect.any(Object));
+
+      await act(async () => {
+        resolve([{ path: 'shares', message: 'Shares must add up to 100%', code: 'total' }]);
+        expect(await validation).toBe(false);
+      });
+
+      expect(result.current.isValidating).toBe(false);
+      expect(result.current.errors.shares).toBe('Shares must add up to 100%');
+      expect(result.current.allErrors.shares[0].code).toBe('total');
+    });
+
+    test('should run on change with validateFormOnChange', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { email: 'ada@example.com', phone: '' }, {}, { validate: validateContact, validateFormOnChange: true }
+      ));
+
+      await act(async () => {
+        result.current.setValue('email', '');
+      });
+
+      expect(result.current.rootError).toBe('Add an email or a phone number');
+
+      await act(async () => {
+        result.current.setValue('phone', '+14155552671');
+      });
+
+      expect(result.current.rootError).toBe('');
+      expect(result.current.isValid).toBe(true);
+    });
+
+    test('should clear form-level errors on reset', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '' }, {}, { validate: validateContact }));
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+      expect(result.current.rootErrors).toHaveLength(1);
+
+      act(() => {
+        result.current.resetForm();
+      });
+
+      expect(result.current.rootErrors).toEqual([]);
+      expect(result.current.isValid).toBe(true);
+    });
+  });
+
+  describe('accessibility', () => {
+    const schema = {
+      name: 'required',
+      contacts: { '*': { email: ['required', 'email'] } },
+      size: 'required',
+    };
+    const values = { name: '', contacts: [{ email: 'ada@example.com' }, { email: 'nope' }, { email: '' }], size: '' };
+
+    test('should wire inputs, labels and error messages together', async () => {
+      const { result } = renderHook(() => useFormValidator(values, schema, { idPrefix: 'signup' }));
+
+      expect(result.current.getFieldProps('contacts[1].email')).toEqual(expect.objectContaining({
+        id: 'signup-contacts-1-email',
+        'aria-invalid': false,
+      }));
+      expect(result.current.getFieldProps('contacts[1].email')).not.toHaveProperty('aria-describedby');
+      expect(result.current.getLabelProps('contacts[1].email')).toEqual({
+        id: 'signup-contacts-1-email-label',
+        htmlFor: 'signup-contacts-1-email',
+      });
+      expect(result.current.getErrorProps('contacts[1].email')).toEqual({ id: 'signup-contacts-1-email-error' });
+
+      // Each option of a group has its own id
+      expect(result.current.getFieldProps('size', { type: 'radio', value: 'x large' }).id).toBe('signup-size-x-large');
+      expect(result.current.getLabelProps('size', { type: 'radio', value: 'x large' }).htmlFor).toBe('signup-size-x-large');
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      expect(result.current.getFieldProps('contacts[1].email')).toEqual(expect.objectContaining({
+        'aria-invalid': true,
+        'aria-describedby': 'signup-contacts-1-email-error',
+      }));
+      expect(result.current.getFieldProps('contacts[0].email')['aria-invalid']).toBe(false);
+    });
+
+    test('should generate unique ids without a prefix', () => {
+      const { result: first, rerender } = renderHook(() => useFormValidator(values, schema));
+      const { result: second } = renderHook(() => useFormValidator(values, schema));
+      const id = first.current.getFieldProps('name').id;
+
+      expect(id).toMatch(/^validux-\d+-name$/);
+      expect(id).not.toBe(second.current.getFieldProps('name').id);
+
+      rerender();
+      expect(first.current.getFieldProps('name').id).toBe(id);
+    });
+
+    test('should list every error for an error summary', async () => {
+      const { result } = renderHook(() => useFormValidator(values, schema, {
+        idPrefix: 'signup',
+        validate: () => ({ root: 'Check the highlighted fields' }),
+      }));
+
+      expect(result.current.getErrorSummary()).toEqual([]);
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      const summary = result.current.getErrorSummary();
+      expect(summary.map(({ name, message, href }) => ({ name, message, href }))).toEqual([
+        { name: 'root', message: 'Check the highlighted fields', href: undefined },
+        { name: 'name', message: 'This field is required', href: '#signup-name' },
+        { name: 'contacts.1.email', message: 'Please enter a valid email address', href: '#signup-contacts-1-email' },
+        { name: 'contacts.2.email', message: 'This field is required', href: '#signup-contacts-2-email' },
+        { name: 'size', message: 'This field is required', href: '#signup-size' },
+      ]);
+      expect(result.current.getErrorSummary()).toBe(summary);
+    });
+
+    test('should focus the field of a summary link', async () => {
+      const createInput = (name) => ({ getAttribute: () => name, focus: jest.fn(), scrollIntoView: jest.fn() });
+      const inputs = [createInput('name'), createInput('contacts.1.email')];
+      const preventDefault = jest.fn();
+      const { result } = renderHook(() => useFormValidator(values, schema));
+
+      await act(async () => {
+        await result.current.validateForm();
+      });
+
+      global.document = { querySelectorAll: () => inputs };
+      try {
+        result.current.getErrorSummary()
+          .find((item) => item.name === 'contacts.1.email')
+          .onClick({ preventDefault });
+      } finally {
+        delete global.document;
+      }
+
+      expect(preventDefault).toHaveBeenCalled();
+      expect(inputs[1].focus).toHaveBeenCalledWith({ preventScroll: true });
+      expect(inputs[0].focus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('undo history', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // Types one character every 100ms
+    const type = (result, name, text) => {
+      text.split('').forEach((char) => {
+        act(() => {
+          result.current.handleChange({ target: { name, value: `${result.current.values[name]}${char}` } });
+        });
+        jest.advanceTimersByTime(100);
+      });
+    };
+
+    test('should coalesce rapid typing into one step', () => {
+      const { result } = renderHook(() => useFormValidator({ name: '', city: '' }, {}, { history: true }));
+
+      expect(result.current.canUndo).toBe(false);
+
+      type(result, 'name', 'Ada');
+      jest.advanceTimersByTime(1000);
+      type(result, 'name', ' L');
+      type(result, 'city', 'Paris');
+
+      expect(result.current.values).toEqual({ name: 'Ada L', city: 'Paris' });
+      expect(result.current.canUndo).toBe(true);
+
+      act(() => {
+        result.current.undo();
+      });
+      expect(result.current.values).toEqual({ name: 'Ada L', city: '' });
+
+      act(() => {
+        result.current.undo();
+      });
+      expect(result.current.values).toEqual({ name: 'Ada', city: '' });
+      expect(result.current.canRedo).toBe(true);
+
+      act(() => {
+        result.current.undo();
+      });
+      expect(result.current.values).toEqual({ name: '', city: '' });
+      expect(result.current.canUndo).toBe(false);
+
+      act(() => {
+        result.current.redo();
+        result.current.redo();
+      });
+      expect(result.current.values).toEqual({ name: 'Ada L', city: '' });
+
+      // A new change clears the redo steps
+      act(() => {
+        result.current.setValue('city', 'Rome');
+      });
+      expect(result.current.canRedo).toBe(false);
+      act(() => {
+        result.current.redo();
+      });
+      expect(result.current.values).toEqual({ name: 'Ada L', city: 'Rome' });
+    });
+
+    test('should cap the number of steps', () => {
+      const { result } = renderHook(() => useFormValidator({ count: 0 }, {}, { history: { limit: 2, coalesce: 0 } }));
+
+      [1, 2, 3].forEach((count) => {
+        act(() => {
+          result.current.setValue('count', count);
+        });
+      });
+      act(() => {
+        result.current.undo();
+        result.current.undo();
+        result.current.undo();
+      });
+
+      expect(result.current.values).toEqual({ count: 1 });
+      expect(result.current.canUndo).toBe(false);
+    });
+
+    test('should re-validate restored fields', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { email: '' }, { email: ['required', 'email'] }, { history: true }
+      ));
+
+      await act(async () => {
+        result.current.setValue('email', 'ada@example.com');
+        result.current.handleBlur({ target: { name: 'email' } });
+      });
+      jest.advanceTimersByTime(1000);
+      await act(async () => {
+        result.current.setValue('email', 'nope');
+      });
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+
+      await act(async () => {
+        result.current.undo();
+      });
+      expect(result.current.values.email).toBe('ada@example.com');
+      expect(result.current.errors.email).toBeUndefined();
+
+      await act(async () => {
+        result.current.redo();
+      });
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+    });
+
+    test('should undo field array operations and drop errors of removed items', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { items: [] }, { items: { '*': { qty: 'required' } } }, { history: true }
+      ));
+
+      act(() => {
+        result.current.getFieldArray('items').append({ qty: '' });
+      });
+      await act(async () => {
+        await result.current.validateForm();
+      });
+      expect(result.current.errors.items).toEqual([{ qty: 'This field is required' }]);
+
+      await act(async () => {
+        result.current.undo();
+      });
+
+      expect(result.current.values).toEqual({ items: [] });
+      expect(result.current.errors).toEqual({});
+    });
+
+    test('should not record history unless enabled, and clear it on reset', () => {
+      const { result: plain } = renderHook(() => useFormValidator({ name: '' }));
+      act(() => {
+        plain.current.setValue('name', 'Ada');
+      });
+      expect(plain.current.canUndo).toBe(false);
+
+      const { result } = renderHook(() => useFormValidator({ name: '' }, {}, { history: true }));
+      act(() => {
+        result.current.setValue('name', 'Ada');
+      });
+      act(() => {
+        result.current.resetForm();
+      });
+      expect(result.current.canUndo).toBe(false);
+    });
+  });
+
+  describe('validation modes', () => {
+    const schema = {
+      email: ['required', 'email'],
+      password: [{ validator: 'minLength', params: [8] }],
+    };
+
+    const change = async (result, name, value) => {
+      await act(async () => {
+        result.current.handleChange({ target: { name, value } });
+      });
+    };
+
+    const blur = async (result, name) => {
+      await act(async () => {
+        result.current.handleBlur({ target: { name } });
+      });
+    };
+
+    const submit = async (result) => {
+      await act(async () => {
+        await result.current.handleSubmit(() => {})();
+      });
+    };
+
+    test('should only validate on submit, then re-validate on change', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '', password: '' }, schema, { mode: 'onSubmit' }));
+
+      await change(result, 'email', 'ada');
+      await blur(result, 'email');
+      expect(result.current.errors).toEqual({});
+
+      await submit(result);
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+
+      await change(result, 'email', 'ada@example.com');
+      expect(result.current.errors.email).toBeUndefined();
+      await change(result, 'email', '');
+      expect(result.current.errors.email).toBe('This field is required');
+    });
+
+    test('should validate on blur but not on change in onBlur mode', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '', password: '' }, schema, { mode: 'onBlur' }));
+
+      await blur(result, 'email');
+      expect(result.current.errors.email).toBe('This field is required');
+
+      await change(result, 'email', 'ada@example.com');
+      expect(result.current.errors.email).toBe('This field is required');
+      await blur(result, 'email');
+      expect(result.current.errors.email).toBeUndefined();
+    });
+
+    test('should validate untouched fields on change but not on blur in onChange mode', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '', password: '' }, schema, { mode: 'onChange' }));
+
+      await change(result, 'email', 'ada');
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+
+      await blur(result, 'password');
+      expect(result.current.touched.password).toBe(true);
+      expect(result.current.errors.password).toBeUndefined();
+    });
+
+    test('should validate on first blur and on every change after it in onTouched mode', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '', password: '' }, schema, { mode: 'onTouched' }));
+
+      await change(result, 'email', 'ada');
+      expect(result.current.errors.email).toBeUndefined();
+
+      await blur(result, 'email');
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+      await change(result, 'email', 'ada@example.com');
+      expect(result.current.errors.email).toBeUndefined();
+    });
+
+    test('should validate on change and blur in all mode, also after submitting', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { email: '', password: '' }, schema, { mode: 'all', reValidateMode: 'onSubmit' }
+      ));
+
+      await blur(result, 'email');
+      expect(result.current.errors.email).toBe('This field is required');
+
+      await submit(result);
+      await change(result, 'password', 'short');
+      expect(result.current.errors.password).toBe('Must be at least 8 characters');
+    });
+
+    test('should switch to reValidateMode after the first submit attempt', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { email: '', password: '' }, schema, { mode: 'onChange', reValidateMode: 'onBlur' }
+      ));
+
+      await change(result, 'email', 'ada');
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+
+      await submit(result);
+      await change(result, 'email', 'ada@example.com');
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+      await blur(result, 'email');
+      expect(result.current.errors.email).toBeUndefined();
+
+      act(() => {
+        result.current.resetForm();
+      });
+      await change(result, 'email', 'ada');
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+    });
+
+    test('should let field configs override the modes of the form', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '', password: '' }, {
+        email: ['required', 'email'],
+        password: { rules: [{ validator: 'minLength', params: [8] }], mode: 'onChange', reValidateMode: 'onChange' },
+      }, { mode: 'onBlur', reValidateMode: 'onBlur' }));
+
+      await change(result, 'email', 'ada');
+      await change(result, 'password', 'short');
+      expect(result.current.errors).toEqual({ password: 'Must be at least 8 characters' });
+
+      await submit(result);
+      await change(result, 'email', 'ada@example.com');
+      await change(result, 'password', 'long enough');
+      expect(result.current.errors).toEqual({ email: 'Please enter a valid email address' });
+    });
+
+    test('should re-validate dependent fields only when their mode validates changes', async () => {
+      const passwordSchema = {
+        password: 'required',
+        confirmPassword: { rules: { validator: 'matches', params: ['password'] }, mode: 'onSubmit' },
+      };
+      const { result } = renderHook(() => useFormValidator(
+        { password: 'secret', confirmPassword: 'secret' }, passwordSchema, { mode: 'onTouched' }
+      ));
+
+      await blur(result, 'confirmPassword');
+      await change(result, 'password', 'changed');
+      expect(result.current.errors.confirmPassword).toBeUndefined();
+
+      await submit(result);
+      expect(result.current.errors.confirmPassword).toBe('Fields do not match');
+      await change(result, 'password', 'secret');
+      expect(result.current.errors.confirmPassword).toBeUndefined();
+    });
+
+    test('should keep the behaviour of the validateOn options without a mode', async () => {
+      const { result } = renderHook(() => useFormValidator(
+        { email: '', password: '' }, schema, { validateOnBlur: false }
+      ));
+
+      await change(result, 'email', 'ada');
+      await blur(result, 'email');
+      expect(result.current.errors).toEqual({});
+
+      await change(result, 'email', 'ada@');
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+    });
+  });
+
+  describe('uncontrolled inputs', () => {
+    const createInput = (props = {}) => {
+      const listeners = {};
+      return {
+        type: 'text',
+        value: '',
+        checked: false,
+        isConnected: true,
+        ...props,
+        addEventListener: (type, listener) => {
+          listeners[type] = listener;
+        },
+        removeEventListener: (type, listener) => {
+          if (listeners[type] === listener) delete listeners[type];
+        },
+        dispatch: (type) => {
+          if (listeners[type]) listeners[type]();
+        },
+        hasListeners: () => Object.keys(listeners).length > 0,
+      };
+    };
+
+    const type = async (input, value) => {
+      input.value = value;
+      await act(async () => {
+        input.dispatch('input');
+      });
+    };
+
+    const blur = async (input) => {
+      await act(async () => {
+        input.dispatch('change');
+        input.dispatch('blur');
+      });
+    };
+
+    test('should keep typed values in the DOM until blur', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: 'ada' }));
+      const input = createInput();
+      const props = result.current.register('email', ['required', 'email']);
+
+      expect(props.name).toBe('email');
+      props.ref(input);
+      expect(input.value).toBe('ada');
+
+      await type(input, 'ada@');
+      expect(result.current.values.email).toBe('ada');
+      expect(result.current.getValues()).toEqual({ email: 'ada@' });
+      expect(result.current.getValues('email')).toBe('ada@');
+      expect(result.current.errors).toEqual({});
+
+      await blur(input);
+      expect(result.current.values.email).toBe('ada@');
+      expect(result.current.touched.email).toBe(true);
+      expect(result.current.errors.email).toBe('Please enter a valid email address');
+
+      await type(input, 'ada@example.com');
+      expect(result.current.errors.email).toBeUndefined();
+      expect(result.current.values.email).toBe('ada@');
+    });
+
+    test('should validate inline rules alongside the schema and submit the DOM values', async () => {
+      const onSubmit = jest.fn();
+      const { result } = renderHook(() => useFormValidator({ name: '', age: '' }, { name: 'required' }));
+      const name = createInput();
+      const age = createInput();
+
+      result.current.register('name').ref(name);
+      result.current.register('age', { rules: ['required', { validator: 'min', params: [18] }], parse: parsers.toNumber }).ref(age);
+
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)();
+      });
+      expect(result.current.errors).toEqual({ name: 'This field is required', age: 'This field is required' });
+
+      name.value = 'Ada';
+      age.value = ' 36 ';
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)();
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ name: 'Ada', age: 36 }, expect.any(Object));
+      expect(result.current.values).toEqual({ name: 'Ada', age: 36 });
+    });
+
+    test('should keep the schema while inline rules are unchanged', () => {
+      const { result } = renderHook(() => useFormValidator({ email: '' }));
+      const { store } = result.current.control;
+
+      result.current.register('email', ['required', 'email']);
+      const errorState = result.current.control.getErrorState();
+      result.current.register('email', ['required', 'email']);
+
+      expect(result.current.control.getErrorState()).toBe(errorState);
+      expect(store.getState().values).toEqual({ email: '' });
+    });
+
+    test('should write stored values to the inputs', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: 'ada@example.com' }, {}, { history: { coalesce: 0 } }));
+      const input = createInput();
+      result.current.register('email').ref(input);
+
+      act(() => {
+        result.current.setValue('email', 'grace@example.com');
+      });
+      expect(input.value).toBe('grace@example.com');
+
+      await type(input, 'alan@example.com');
+      await blur(input);
+      act(() => {
+        result.current.undo();
+      });
+      expect(input.value).toBe('grace@example.com');
+
+      act(() => {
+        result.current.resetForm();
+      });
+      expect(input.value).toBe('ada@example.com');
+    });
+
+    test('should read radio and checkbox groups and skip removed inputs', async () => {
+      const { result } = renderHook(() => useFormValidator({ size: 'm', toppings: [] }));
+      const radios = ['s', 'm'].map((value) => createInput({ type: 'radio', value }));
+      const checkboxes = ['ham', 'olives'].map((value) => createInput({ type: 'checkbox', value }));
+
+      radios.forEach(result.current.register('size').ref);
+      checkboxes.forEach(result.current.register('toppings').ref);
+      expect(radios.map((radio) => radio.checked)).toEqual([false, true]);
+
+      radios[0].checked = true;
+      radios[1].checked = false;
+      checkboxes[1].checked = true;
+      await act(async () => {
+        radios[0].dispatch('change');
+        checkboxes[1].dispatch('change');
+      });
+      expect(result.current.values).toEqual({ size: 's', toppings: ['olives'] });
+
+      checkboxes[1].isConnected = false;
+      expect(result.current.getValues('toppings')).toEqual([]);
+      expect(checkboxes[1].hasListeners()).toBe(false);
+    });
+
+    test('should detach the listeners of unmounted inputs', async () => {
+      const { result } = renderHook(() => useFormValidator({ email: '', name: '' }));
+      const email = createInput();
+      const name = createInput();
+      const { ref } = result.current.register('email');
+
+      ref(email);
+      const cleanup = result.current.register('name').ref(name);
+      expect(email.hasListeners()).toBe(true);
+
+      ref(null);
+      email.isConnected = false;
+      await act(async () => {
+        await Promise.resolve();
+      });
+      expect(email.hasListeners()).toBe(false);
+
+      cleanup();
+      expect(name.hasListeners()).toBe(false);
+      name.value = 'Ada';
+      await blur(name);
+      expect(result.current.values).toEqual({ email: '', name: '' });
+      expect(result.current.touched).toEqual({});
     });
   });
 });
\ No newline at end of file
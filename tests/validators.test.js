@@ -1,5 +1,5 @@
 // tests/validators.test.js
-import { builtInValidators, createValidator } from '../src/validators';
+import { builtInValidators, createValidator, scorePassword, phone, iban } from '../src/validators';
 
 describe('validators', () => {
   describe('required', () => {
@@ -75,6 +75,15 @@ describe('validators', () => {
       expect(builtInValidators.min('10', 10)).toBe('');
       expect(builtInValidators.min('15', 10)).toBe('');
     });
+
+    test('should validate zero and negative numbers', () => {
+      expect(builtInValidators.min(0, 1)).toEqual(expect.objectContaining({ code: 'min', meta: { min: 1 } }));
+      expect(builtInValidators.min(-5, -3)).toBeTruthy();
+      expect(builtInValidators.min(0, 0)).toBe('');
+      expect(builtInValidators.min(-2, -3)).toBe('');
+      expect(builtInValidators.min(null, 1)).toBe('');
+      expect(builtInValidators.min(undefined, 1)).toBe('');
+    });
   });
 
   describe('max', () => {
@@ -85,6 +94,24 @@ describe('validators', () => {
       expect(builtInValidators.max('10', 10)).toBe('');
       expect(builtInValidators.max('5', 10)).toBe('');
     });
+
+    test('should validate zero and negative numbers', () => {
+      expect(builtInValidators.max(0, -1)).toEqual(expect.objectContaining({ code: 'max', meta: { max: -1 } }));
+      expect(builtInValidators.max(-2, -3)).toBeTruthy();
+      expect(builtInValidators.max(0, 0)).toBe('');
+      expect(builtInValidators.max(-5, -3)).toBe('');
+      expect(builtInValidators.max(null, 1)).toBe('');
+    });
+  });
+
+  describe('matches', () => {
+    test('should compare against another field in the context values', () => {
+      const context = { values: { password: 'secret' } };
+
+      expect(builtInValidators.matches('', 'password', context)).toBe('');
+      expect(builtInValidators.matches('other', 'password', context)).toBeTruthy();
+      expect(builtInValidators.matches('secret', 'password', context)).toBe('');
+    });
   });
 
   describe('url', () => {
@@ -107,6 +134,211 @@ describe('validators', () => {
     });
   });
 
+  describe('files', () => {
+    const photo = { name: 'photo.PNG', type: 'image/png', size: 3 * 1024 * 1024 };
+    const report = { name: 'report.pdf', type: 'application/pdf', size: 200 * 1024 };
+
+    test('should validate file sizes', () => {
+      expect(builtInValidators.fileSize([report], 1024 * 1024)).toBe('');
+      expect(builtInValidators.fileSize([report, photo], 2 * 1024 * 1024)).toEqual({
+        code: 'fileSize',
+        message: 'Each file must be no larger than 2 MB',
+        meta: { max: 2 * 1024 * 1024, size: '2 MB' },
+      });
+      expect(builtInValidators.fileSize(photo, 1536)).toEqual(expect.objectContaining({
+        meta: { max: 1536, size: '1.5 KB' },
+      }));
+      expect(builtInValidators.fileSize([], 1)).toBe('');
+    });
+
+    test('should validate file types', () => {
+      expect(builtInValidators.fileType([photo], ['image/*'])).toBe('');
+      expect(builtInValidators.fileType([photo, report], 'image/png, .pdf')).toBe('');
+      expect(builtInValidators.fileType([report], ['image/png', 'image/jpeg'])).toEqual({
+        code: 'fileType',
+        message: 'File type must be one of image/png, image/jpeg',
+        meta: { types: 'image/png, image/jpeg' },
+      });
+      expect(builtInValidators.fileType(null, ['image/*'])).toBe('');
+    });
+
+    test('should validate the number of files', () => {
+      const fileList = { 0: photo, 1: report, length: 2, item: (index) => [photo, report][index] };
+
+      expect(builtInValidators.maxFiles([photo], 1)).toBe('');
+      expect(builtInValidators.maxFiles(fileList, 1)).toEqual({
+        code: 'maxFiles', message: 'Select no more than 1 file', meta: { max: 1 },
+      });
+    });
+  });
+
+  describe('numbers and choices', () => {
+    test('should validate integers', () => {
+      expect(builtInValidators.integer('')).toBe('');
+      expect(builtInValidators.integer('1.5')).toEqual({ code: 'integer', message: 'Must be a whole number', meta: {} });
+      expect(builtInValidators.integer('abc')).toBeTruthy();
+
+      expect(builtInValidators.integer('42')).toBe('');
+      expect(builtInValidators.integer(-3)).toBe('');
+      expect(builtInValidators.integer(0)).toBe('');
+    });
+
+    test('should validate allowed and forbidden values', () => {
+      expect(builtInValidators.oneOf('red', ['red', 'green'])).toBe('');
+      expect(builtInValidators.oneOf(['red', 'green'], ['red', 'green'])).toBe('');
+      expect(builtInValidators.oneOf('blue', ['red', 'green'])).toEqual({
+        code: 'oneOf', message: 'Must be one of red, green', meta: { values: 'red, green' },
+      });
+      expect(builtInValidators.oneOf('', ['red'])).toBe('');
+
+      expect(builtInValidators.notOneOf('admin', ['admin', 'root'])).toEqual(expect.objectContaining({
+        code: 'notOneOf', message: 'This value is not allowed',
+      }));
+      expect(builtInValidators.notOneOf(['ada', 'root'], ['admin', 'root'])).toBeTruthy();
+      expect(builtInValidators.notOneOf('ada', ['admin', 'root'])).toBe('');
+    });
+
+    test('should validate maximum item counts', () => {
+      expect(builtInValidators.maxItems([1, 2], 2)).toBe('');
+      expect(builtInValidators.maxItems([1, 2, 3], 2)).toEqual({
+        code: 'maxItems', message: 'Must have no more than 2 items', meta: { max: 2 },
+      });
+      expect(builtInValidators.maxItems([1, 2, 3], { values: {}, path: 'tags' })).toBe('');
+    });
+
+    test('should validate exact item counts', () => {
+      expect(builtInValidators.itemCount([1, 2], 2)).toBe('');
+      expect(builtInValidators.itemCount([1], 2)).toEqual({
+        code: 'itemCount', message: 'Must have exactly 2 items', meta: { count: 2 },
+      });
+      expect(builtInValidators.itemCount(undefined, 2)).toBe('');
+    });
+  });
+
+  describe('identifiers', () => {
+    test('should validate E.164 phone numbers', () => {
+      expect(builtInValidators.phone('+14155552671')).toBe('');
+      expect(builtInValidators.phone('+44 (20) 7946-0958')).toBe('');
+      expect(builtInValidators.phone('4155552671')).toEqual(expect.objectContaining({ code: 'phone' }));
+      expect(builtInValidators.phone('+0123456')).toBeTruthy();
+      expect(builtInValidators.phone('+1234567890123456')).toBeTruthy();
+    });
+
+    test('should validate card numbers with the Luhn checksum', () => {
+      expect(builtInValidators.creditCard('4111 1111 1111 1111')).toBe('');
+      expect(builtInValidators.creditCard('5500-0000-0000-0004')).toBe('');
+      expect(builtInValidators.creditCard('4111 1111 1111 1112')).toEqual(expect.objectContaining({ code: 'creditCard' }));
+      expect(builtInValidators.creditCard('4111')).toBeTruthy();
+    });
+
+    test('should validate IBANs with the mod-97 checksum', () => {
+      expect(builtInValidators.iban('GB82 WEST 1234 5698 7654 32')).toBe('');
+      expect(builtInValidators.iban('de89370400440532013000')).toBe('');
+      expect(builtInValidators.iban('GB82 WEST 1234 5698 7654 33')).toEqual(expect.objectContaining({ code: 'iban' }));
+      expect(builtInValidators.iban('GB82')).toBeTruthy();
+    });
+
+    test('should validate postal codes by country', () => {
+      expect(builtInValidators.postalCode('94103', 'US')).toBe('');
+      expect(builtInValidators.postalCode('94103-1234', 'US')).toBe('');
+      expect(builtInValidators.postalCode('SW1A 1AA', 'gb')).toBe('');
+      expect(builtInValidators.postalCode('K1A 0B1', 'CA')).toBe('');
+      expect(builtInValidators.postalCode('1012 AB', 'NL')).toBe('');
+      expect(builtInValidators.postalCode('SW1A 1AA', 'US')).toEqual({
+        code: 'postalCode', message: 'Please enter a valid postal code', meta: { country: 'US' },
+      });
+      expect(builtInValidators.postalCode('1234', 'DE')).toBeTruthy();
+
+      // Countries without a specific format
+      expect(builtInValidators.postalCode('00100', 'FI')).toBe('');
+      expect(builtInValidators.postalCode('#1', 'FI')).toBeTruthy();
+    });
+
+    test('should validate UUIDs', () => {
+      expect(builtInValidators.uuid('123e4567-e89b-42d3-a456-426614174000')).toBe('');
+      expect(builtInValidators.uuid('123e4567-e89b-42d3-a456-426614174000', 4)).toBe('');
+      expect(builtInValidators.uuid('123e4567-e89b-12d3-a456-426614174000', 4)).toEqual(expect.objectContaining({ code: 'uuid' }));
+      expect(builtInValidators.uuid('123e4567e89b12d3a456426614174000')).toBeTruthy();
+    });
+
+    test('should validate IP addresses', () => {
+      expect(builtInValidators.ipv4('192.168.0.1')).toBe('');
+      expect(builtInValidators.ipv4('256.1.1.1')).toEqual(expect.objectContaining({ code: 'ipv4' }));
+      expect(builtInValidators.ipv4('01.1.1.1')).toBeTruthy();
+      expect(builtInValidators.ipv4('1.1.1')).toBeTruthy();
+
+      ['::', '::1', '2001:db8::8a2e:370:7334', '2001:db8:0:0:0:0:2:1', '::ffff:192.168.0.1', '1:2:3:4:5:6:1.2.3.4']
+        .forEach((address) => expect(builtInValidators.ipv6(address)).toBe(''));
+      ['1::2::3', ':::', '1:2:3:4:5:6:7:8:9', '1:2:3:4:5:6:7', '12345::1', '1.2.3.4::', '2001:db8::g']
+        .forEach((address) => expect(builtInValidators.ipv6(address)).toEqual(expect.objectContaining({ code: 'ipv6' })));
+    });
+
+    test('should validate hex colours and slugs', () => {
+      ['#fff', '#FFFA', '#ff8800', '#ff880080'].forEach((color) => expect(builtInValidators.hexColor(color)).toBe(''));
+      ['#ggg', '#ff88001', '#ff8800ff00'].forEach((color) => expect(builtInValidators.hexColor(color)).toBeTruthy());
+      expect(builtInValidators.hexColor('fff')).toEqual(expect.objectContaining({ code: 'hexColor' }));
+
+      expect(builtInValidators.slug('my-first-post-2')).toBe('');
+      expect(builtInValidators.slug('My-Post')).toEqual(expect.objectContaining({ code: 'slug' }));
+      expect(builtInValidators.slug('double--hyphen')).toBeTruthy();
+      expect(builtInValidators.slug('-leading')).toBeTruthy();
+    });
+  });
+
+  describe('passwordStrength', () => {
+    test('should score passwords from 0 to 4', () => {
+      expect(scorePassword('')).toBe(0);
+      expect(scorePassword('aaaaaaaaaaaa')).toBe(0);
+      expect(scorePassword('password')).toBe(1);
+      expect(scorePassword('Password1')).toBe(3);
+      expect(scorePassword('Correct-Horse-42')).toBe(4);
+    });
+
+    test('should require a minimum score', () => {
+      expect(builtInValidators.passwordStrength('Password1')).toBe('');
+      expect(builtInValidators.passwordStrength('password')).toEqual({
+        code: 'passwordStrength', message: 'Password is too weak', meta: { score: 1, min: 3 },
+      });
+      expect(builtInValidators.passwordStrength('Password1', 4)).toBeTruthy();
+      expect(builtInValidators.passwordStrength('')).toBe('');
+    });
+  });
+
+  describe('date ranges', () => {
+    test('should validate minimum and maximum dates', () => {
+      expect(builtInValidators.minDate('2024-03-01', '2024-01-01')).toBe('');
+      expect(builtInValidators.minDate('2023-12-31', new Date('2024-01-01'))).toEqual({
+        code: 'minDate', message: 'Must be on or after 2024-01-01', meta: { date: '2024-01-01' },
+      });
+      expect(builtInValidators.maxDate(new Date('2024-01-01'), '2024-01-01')).toBe('');
+      expect(builtInValidators.maxDate('2024-01-02', '2024-01-01')).toEqual(expect.objectContaining({
+        message: 'Must be on or before 2024-01-01',
+      }));
+      expect(builtInValidators.minDate('', '2024-01-01')).toBe('');
+    });
+
+    test('should compare dates with another field', () => {
+      const context = { values: { stay: { checkIn: '2024-05-01', checkOut: '2024-05-04' } } };
+
+      expect(builtInValidators.after('2024-05-04', 'stay.checkIn', context)).toBe('');
+      expect(builtInValidators.after('2024-05-01', 'stay.checkIn', context)).toEqual({
+        code: 'after', message: 'Must be after stay.checkIn', meta: { other: 'stay.checkIn' },
+      });
+      expect(builtInValidators.before('2024-05-01', 'stay.checkOut', context)).toBe('');
+      expect(builtInValidators.before('2024-05-05', 'stay.checkOut', context)).toBeTruthy();
+
+      // Nothing to compare with yet
+      expect(builtInValidators.after('2024-05-01', 'stay.missing', context)).toBe('');
+    });
+  });
+
+  describe('named exports', () => {
+    test('should export each validator on its own', () => {
+      expect(phone).toBe(builtInValidators.phone);
+      expect(iban('GB82 WEST 1234 5698 7654 32')).toBe('');
+    });
+  });
+
   describe('compose', () => {
     test('should compose multiple validators', () => {
       const isEvenAndPositive = builtInValidators.compose(
@@ -118,6 +350,56 @@ describe('validators', () => {
       expect(isEvenAndPositive('3')).toBeTruthy();
       expect(isEvenAndPositive('2')).toBe('');
     });
+
+    test('should treat true as valid and return other results', () => {
+      const composed = builtInValidators.compose(
+        () => true,
+        (value) => value !== 'bad'
+      );
+
+      expect(composed('good')).toBe('');
+      expect(composed('bad')).toBe(false);
+    });
+
+    test('should await async validators in order', async () => {
+      const second = jest.fn(() => 'bad');
+      const composed = builtInValidators.compose(async () => '', second, () => 'unreached');
+
+      await expect(composed('value', { name: 'field' })).resolves.toBe('bad');
+      expect(second).toHaveBeenCalledWith('value', { name: 'field' });
+      await expect(builtInValidators.compose(async () => 'Taken', second)('value')).resolves.toBe('Taken');
+      expect(second).toHaveBeenCalledTimes(1);
+      expect(builtInValidators.compose(() => '', () => 'sync')('value')).toBe('sync');
+    });
+  });
+
+  describe('error codes', () => {
+    test('should report built-in failures with a code and meta', () => {
+      expect(builtInValidators.required('')).toEqual({
+        code: 'required', message: 'This field is required', meta: {},
+      });
+      expect(builtInValidators.minLength('ab', 3)).toEqual({
+        code: 'minLength', message: 'Must be at least 3 characters', meta: { min: 3 },
+      });
+      expect(builtInValidators.max('15', 10)).toEqual({
+        code: 'max', message: 'Must be no more than 10', meta: { max: 10 },
+      });
+      expect(builtInValidators.pattern('abc', /^\d+$/, 'Digits only')).toBe('Digits only');
+    });
+
+    test('should skip checks whose parameter is missing', () => {
+      const context = { values: {}, path: 'field' };
+      const file = { name: 'photo.png', type: 'image/png', size: 1024 };
+
+      expect(builtInValidators.min('5', context)).toBe('');
+      expect(builtInValidators.max('15', context)).toBe('');
+      expect(builtInValidators.oneOf('x', context)).toBe('');
+      expect(builtInValidators.notOneOf('x', context)).toBe('');
+      expect(builtInValidators.itemCount([1], context)).toBe('');
+      expect(builtInValidators.fileSize([file], context)).toBe('');
+      expect(builtInValidators.fileType([file], context)).toBe('');
+      expect(builtInValidators.maxFiles([file, file], context)).toBe('');
+    });
   });
 
   describe('createValidator', () => {
@@ -0,0 +1,448 @@
+// types/core.d.ts
+// Declarations of `validux/core`: the schema, rule and result types shared
+// with the React entry, and the framework-agnostic validation functions.
+
+/**
+ * Values validated as a whole rather than through their properties
+ */
+export type LeafValue = Date | Blob | RegExp | ((...args: any[]) => any);
+
+type IsAny<T> = 0 extends 1 & T ? true : false;
+
+/**
+ * Prevents a parameter from taking part in the inference of a type
+ * parameter, so it is checked against the type inferred elsewhere
+ */
+export type NoInferFrom<T> = [T][T extends any ? 0 : never];
+
+type Join<K extends string, P> = P extends string ? `${K}.${P}` : never;
+
+/**
+ * Counts down the nesting of paths and nested schemas, so that recursive
+ * value types stay finite and compilers stay within their instantiation
+ * limits. Fields nested deeper are typed as `any`.
+ */
+type Depth = [never, 0, 1, 2, 3, 4, 5, 6];
+
+type MaxDepth = 6;
+
+type PathsOf<T, I extends string, D extends number = MaxDepth> = [D] extends [never]
+  ? string
+  : T extends LeafValue
+    ? never
+    : T extends ReadonlyArray<infer U>
+      ? ItemPaths<I, U, I, D>
+      : T extends object
+        ? { [K in keyof T & string]-?: K | SubPaths<K, NonNullable<T[K]>, I, Depth[D]> }[keyof T & string]
+        : never;
+
+type SubPaths<K extends string, V, I extends string, D extends number> = IsAny<V> extends true
+  ? `${K}.${string}` | `${K}[${string}]${string}`
+  : V extends LeafValue
+    ? never
+    : V extends ReadonlyArray<infer U>
+      ? ItemPaths<`${K}.${I}` | `${K}[${I}]`, U, I, D>
+      : V extends object
+        ? Join<K, PathsOf<V, I, D>>
+        : never;
+
+type ItemPaths<P extends string, U, I extends string, D extends number> = [D] extends [never]
+  ? P | SubPaths<P, any, I, D>
+  : P | SubPaths<P, NonNullable<U>, I, Depth[D]>;
+
+/**
+ * Paths of the fields of `T`, in dot (`contacts.0.email`) or bracket
+ * (`contacts[0].email`) notation
+ */
+export type FieldPath<T> = IsAny<T> extends true ? string : PathsOf<T, `${number}`>;
+
+/**
+ * Keys of a schema for `T`: field paths, where array items may also be
+ * matched by the `*` wildcard (`contacts.*.email`)
+ */
+export type SchemaPath<T> = IsAny<T> extends true ? string : PathsOf<T, `${number}` | '*'>;
+
+type NormalizePath<P extends string> = P extends `${infer A}[${infer I}]${infer B}`
+  ? NormalizePath<`${A}.${I}${B}`>
+  : P;
+
+type Child<T, K extends string> = IsAny<T> extends true
+  ? any
+  : T extends ReadonlyArray<infer U>
+    ? K extends `${number}` | '*' ? U : undefined
+    : K extends keyof T ? T[K] : undefined;
+
+type Get<T, P extends string> = P extends `${infer K}.${infer R}`
+  ? Get<NonNullable<Child<NonNullable<T>, K>>, R>
+  : Child<NonNullable<T>, P>;
+
+/**
+ * Type of the value at a field path of `T`
+ */
+export type FieldValue<T, P> = IsAny<T> extends true
+  ? any
+  : P extends string ? Get<T, NormalizePath<P>> : never;
+
+/**
+ * Item type of an array field
+ */
+export type ArrayItem<V> = NonNullable<V> extends ReadonlyArray<infer U> ? U : any;
+
+/**
+ * Per-field state shaped like the values: objects map their properties,
+ * arrays hold their items and may carry a state of their own (e.g. the
+ * error of an array-level rule), and other values carry `S`
+ */
+export type FieldTree<V, S> = IsAny<V> extends true
+  ? any
+  : V extends LeafValue
+    ? S
+    : V extends ReadonlyArray<infer U>
+      ? S | Array<FieldTree<U, S> | undefined>
+      : V extends object
+        ? { [K in keyof V]?: FieldTree<V[K], S> }
+        : S;
+
+/**
+ * First error message of each field, nested like the values
+ */
+export type FormErrors<T> = FieldTree<T, string>;
+
+/**
+ * Every error of each field, nested like the values
+ */
+export type FormAllErrors<T> = FieldTree<T, Array<FieldError>>;
+
+/**
+ * Touched or dirty flags of each field, nested like the values
+ */
+export type FormTouched<T> = FieldTree<T, boolean>;
+
+export interface ValidationError {
+  /** Machine-readable error code, e.g. the validator name */
+  code: string;
+  /** Error message */
+  message?: string;
+  /** Additional data about the error */
+  meta?: Record<string, unknown>;
+}
+
+/**
+ * A validator result: `''`, `null`, `undefined` or `true` when valid; an
+ * error message, a {@link ValidationError} or `false` when invalid
+ */
+export type ValidatorResult = string | null | undefined | boolean | ValidationError | void;
+
+export interface FieldError {
+  /** Name of the failing validator, or `custom` for functions */
+  rule: string;
+  /** Machine-readable error code */
+  code: string;
+  /** Error message */
+  message: string;
+  /** Additional data about the error */
+  meta: Record<string, unknown>;
+}
+
+export interface RuleContext<T = any> {
+  /** Name of the field being validated */
+  name: string;
+  /** All form values */
+  values: T;
+  /** Aborted when a newer validation of the field supersedes this one */
+  signal: AbortSignal;
+}
+
+/**
+ * A named validator, called as `validator(value, ...params, context)`
+ */
+export type ValidatorFunction = (value: any, ...args: any[]) => ValidatorResult | Promise<ValidatorResult>;
+
+/**
+ * A rule function, called as `rule(value, values, context)`
+ */
+export type RuleFunction<V = any, T = any> = (
+  value: V,
+  values: T,
+  context: RuleContext<T>,
+) => ValidatorResult | Promise<ValidatorResult>;
+
+/**
+ * Catalogue entry: a template with `{placeholder}` variables, or a function
+ * of those variables
+ */
+export type MessageTemplate = string | ((variables: Record<string, any>) => string);
+
+/**
+ * Message bundles keyed by locale, then error code
+ */
+export type MessageBundles = Record<string, Record<string, MessageTemplate>>;
+
+/**
+ * Custom error message of a rule: a template, a function of the value and
+ * params, or a map of locales
+ */
+export type RuleMessage = string | ((value: any, ...params: any[]) => string) | Record<string, string>;
+
+/**
+ * Params of the built-in validators, keyed by name. Validators comparing
+ * with another field take its path.
+ */
+export interface BuiltInValidatorParams<T = any> {
+  required: [];
+  email: [];
+  minLength: [length?: number];
+  maxLength: [length?: number];
+  pattern: [regex: RegExp | string, message?: string];
+  number: [];
+  min: [min: number];
+  max: [max: number];
+  matches: [field: FieldPath<T>];
+  url: [];
+  date: [];
+  minItems: [count?: number];
+  maxItems: [count: number];
+  itemCount: [count: number];
+  fileSize: [maxBytes: number];
+  fileType: [types: string | ReadonlyArray<string>];
+  maxFiles: [count: number];
+  integer: [];
+  oneOf: [allowed: ReadonlyArray<unknown>];
+  notOneOf: [forbidden: ReadonlyArray<unknown>];
+  phone: [];
+  creditCard: [];
+  iban: [];
+  postalCode: [country?: string];
+  uuid: [version?: number];
+  ipv4: [];
+  ipv6: [];
+  hexColor: [];
+  slug: [];
+  passwordStrength: [minScore?: number];
+  minDate: [limit: Date | string | number];
+  maxDate: [limit: Date | string | number];
+  before: [field: FieldPath<T>];
+  after: [field: FieldPath<T>];
+  compose: ValidatorFunction[];
+}
+
+export type BuiltInValidatorName = keyof BuiltInValidatorParams;
+
+interface RuleOptions<T> {
+  /** Custom error message replacing the validator's own */
+  message?: RuleMessage;
+  /** Error code reported when the rule fails */
+  code?: string;
+  /** Fields whose changes re-validate this field */
+  dependsOn?: FieldPath<T> | ReadonlyArray<FieldPath<T>>;
+}
+
+type ParamsOption<P> = [] extends P ? { params?: P } : { params: P };
+
+type BuiltInRule<T> = {
+  [N in BuiltInValidatorName]: RuleOptions<T> & { validator: N } & ParamsOption<BuiltInValidatorParams<T>[N]>;
+}[BuiltInValidatorName];
+
+/**
+ * A rule object: a built-in validator with its typed `params`, a custom
+ * validator of the `customValidators` option, or a validator function
+ */
+export type ValidationRule<V = any, T = any, C extends string = never> =
+  | BuiltInRule<T>
+  | (RuleOptions<T> & { validator: C; params?: ReadonlyArray<unknown> })
+  | (RuleOptions<T> & { validator: (value: V, ...args: any[]) => ValidatorResult | Promise<ValidatorResult>; params?: ReadonlyArray<unknown> });
+
+type FieldCondition<T> = {
+  /** Field tested by the condition */
+  field: FieldPath<T>;
+  /** Value or predicate the field is tested against */
+  is: unknown;
+};
+
+/**
+ * Rules that only apply when a condition holds
+ */
+export type ConditionalRule<V = any, T = any, C extends string = never, D extends number = MaxDepth> = (
+  | { when: ((values: T, context: RuleContext<T>) => boolean) | FieldCondition<T> }
+  | FieldCondition<T>
+) & {
+  /** Rules (or a nested schema) applied when the condition holds */
+  then?: SchemaEntry<V, T, C, D>;
+  /** Rules (or a nested schema) applied when it does not */
+  otherwise?: SchemaEntry<V, T, C, D>;
+  /** Fields read by a `when` function */
+  dependsOn?: FieldPath<T> | ReadonlyArray<FieldPath<T>>;
+};
+
+export type Rule<V = any, T = any, C extends string = never, D extends number = MaxDepth> =
+  | BuiltInValidatorName
+  | C
+  | RuleFunction<V, T>
+  | ValidationRule<V, T, C>
+  | ConditionalRule<V, T, C, D>;
+
+export type Rules<V = any, T = any, C extends string = never, D extends number = MaxDepth> =
+  | Rule<V, T, C, D>
+  | ReadonlyArray<Rule<V, T, C, D>>;
+
+/**
+ * When fields are validated: only on submit, on blur, on every change, on
+ * the first blur and every change after it, or on blur and every change
+ */
+export type ValidationMode = 'onSubmit' | 'onBlur' | 'onChange' | 'onTouched' | 'all';
+
+/**
+ * When fields are re-validated after the first submission
+ */
+export type ReValidateMode = 'onChange' | 'onBlur' | 'onSubmit';
+
+export interface ParseContext<T = any> {
+  /** Field path */
+  name: string;
+  /** Form values */
+  values: T;
+  /** Whether the user is typing or the values are about to be validated */
+  phase: 'change' | 'validate';
+}
+
+/**
+ * Converts input values to the stored value
+ */
+export type ParseFunction<T = any> = (value: any, context: ParseContext<T>) => any;
+
+/**
+ * Converts the stored value to the displayed value
+ */
+export type FormatFunction<T = any> = (value: any, context: { name: string; values: T }) => any;
+
+export interface FieldConfig<V = any, T = any, C extends string = never, D extends number = MaxDepth> {
+  /** Validation rules for the field */
+  rules: Rules<V, T, C, D>;
+  /** Overrides the `abortEarly` option for this field */
+  abortEarly?: boolean;
+  /** Field name used in messages as `{label}`, or a map of locales */
+  label?: string | Record<string, string>;
+  /** Converts input values to the stored value */
+  parse?: ParseFunction<T>;
+  /** Converts the stored value to the displayed value */
+  format?: FormatFunction<T>;
+  /** Overrides the `mode` option for this field */
+  mode?: ValidationMode;
+  /** Overrides the `reValidateMode` option for this field */
+  reValidateMode?: ReValidateMode;
+}
+
+interface AnySchema<T, C extends string> {
+  [path: string]: SchemaEntry<any, T, C> | undefined;
+}
+
+type NestedSchema<V, T, C extends string, D extends number> = [D] extends [never]
+  ? AnySchema<T, C>
+  : IsAny<V> extends true
+  ? AnySchema<T, C>
+  : NonNullable<V> extends LeafValue
+    ? never
+    : NonNullable<V> extends ReadonlyArray<infer U>
+      ? { [K in `${number}` | '*']?: SchemaEntry<U, T, C, Depth[D]> }
+      : NonNullable<V> extends object
+        ? SchemaOf<NonNullable<V>, T, C, Depth[D]>
+        : never;
+
+/**
+ * Schema entry of a field with value `V`: its rules, a field config, or a
+ * nested schema for an object or array field
+ */
+export type SchemaEntry<V = any, T = any, C extends string = never, D extends number = MaxDepth> =
+  | Rules<V, T, C, D>
+  | FieldConfig<V, T, C, D>
+  | NestedSchema<V, T, C, D>;
+
+type SchemaOf<V, T, C extends string, D extends number> = {
+  [P in SchemaPath<V>]?: SchemaEntry<FieldValue<V, P>, T, C, D>;
+};
+
+/**
+ * Validation schema for values of type `T`. Keys are fields of `T`, or
+ * paths such as `address.city`, `contacts[2].phone` or `contacts.*.email`.
+ * `C` lists the names of the custom validators the rules may use.
+ */
+export type ValidationSchema<T = any, C extends string = never> = SchemaOf<T, T, C, MaxDepth>;
+
+export interface ValidateOptions<T = any, C extends string = never> {
+  /** Custom validators, available by name in the rules */
+  customValidators?: Record<C, ValidatorFunction>;
+  /** Stop validating a field at its first failing rule */
+  abortEarly?: boolean;
+  /** Locale of the error messages */
+  locale?: string;
+  /** Message bundles keyed by locale, then error code */
+  messages?: MessageBundles;
+  /** Converts values of fields without their own `parse` */
+  parse?: ParseFunction<T>;
+  /** Signal passed to every rule */
+  signal?: AbortSignal;
+}
+
+export interface ValidationResult<T = any> {
+  /** Whether the values passed every rule */
+  valid: boolean;
+  /** Values after `parse` */
+  values: T;
+  /** First error message of each field, nested like the values */
+  errors: FormErrors<T>;
+  /** Every error of each field */
+  allErrors: FormAllErrors<T>;
+}
+
+export { builtInValidators, createValidator } from './validators';
+
+/**
+ * Validates values against a schema, with the same rules and messages as
+ * `useFormValidator`
+ */
+export declare function validate<T extends object, C extends string = never>(
+  values: T,
+  schema: NoInferFrom<ValidationSchema<T, C>>,
+  options?: ValidateOptions<T, C>,
+): Promise<ValidationResult<T>>;
+
+/**
+ * Validates a single field of `values` against a schema and resolves to
+ * its list of errors
+ */
+export declare function validateField<T extends object, C extends string = never>(
+  name: NoInferFrom<FieldPath<T>>,
+  values: T,
+  schema: NoInferFrom<ValidationSchema<T, C>>,
+  options?: ValidateOptions<T, C>,
+): Promise<FieldError[]>;
+
+/**
+ * Built-in message catalogue, keyed by locale and error code
+ */
+export declare const defaultMessages: MessageBundles;
+
+/**
+ * Replaces `{name}` placeholders with the matching variables
+ */
+export declare function formatMessage(template: MessageTemplate, variables?: Record<string, unknown>): string;
+
+/**
+ * Resolves the message of an error in a locale
+ */
+export declare function localizeError(
+  error: { code: string; message?: string; meta?: Record<string, unknown>; template?: RuleMessage },
+  options?: { locale?: string; messages?: MessageBundles; field?: string; label?: string | Record<string, string> },
+): string;
+
+/**
+ * Built-in `parse` functions for field configs
+ */
+export declare const parsers: {
+  /** Removes surrounding whitespace */
+  trim: ParseFunction;
+  /** Converts numeric text to a number */
+  toNumber: ParseFunction;
+  /** Converts date text to a `Date` when validating */
+  toDate: ParseFunction;
+};
\ No newline at end of file
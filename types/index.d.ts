@@ -0,0 +1,457 @@
+// types/index.d.ts
+import type { ReactElement, ReactNode } from 'react';
+import type {
+  ArrayItem,
+  FieldPath,
+  FieldValue,
+  FormAllErrors,
+  FormErrors,
+  FormTouched,
+  FormatFunction,
+  FieldError,
+  MessageBundles,
+  NoInferFrom,
+  ParseFunction,
+  ReValidateMode,
+  SchemaEntry,
+  ValidationMode,
+  ValidationSchema,
+  ValidatorFunction,
+} from './core';
+
+export type {
+  ArrayItem,
+  BuiltInValidatorName,
+  BuiltInValidatorParams,
+  ConditionalRule,
+  FieldConfig,
+  FieldError,
+  FieldPath,
+  FieldTree,
+  FieldValue,
+  FormAllErrors,
+  FormErrors,
+  FormTouched,
+  FormatFunction,
+  MessageBundles,
+  MessageTemplate,
+  ParseContext,
+  ParseFunction,
+  ReValidateMode,
+  Rule,
+  RuleContext,
+  RuleFunction,
+  RuleMessage,
+  Rules,
+  SchemaEntry,
+  SchemaPath,
+  ValidateOptions,
+  ValidationError,
+  ValidationMode,
+  ValidationResult,
+  ValidationRule,
+  ValidationSchema,
+  ValidatorFunction,
+  ValidatorResult,
+} from './core';
+
+export {
+  builtInValidators,
+  createValidator,
+  defaultMessages,
+  formatMessage,
+  localizeError,
+  parsers,
+  validate,
+  validateField,
+} from './core';
+export { scorePassword } from './validators';
+
+/**
+ * Form-level validation. Returns errors keyed by field path, possibly
+ * nested, with form-level errors under `root`; or a list of
+ * `{ path, message, code }`.
+ */
+export type FormValidateFunction<T = any> = (
+  values: T,
+  context: { signal: AbortSignal },
+) => FormValidateResult | Promise<FormValidateResult>;
+
+export type FormValidateResult =
+  | Record<string, unknown>
+  | ReadonlyArray<{ path?: string; message: string; code?: string }>
+  | null
+  | undefined
+  | void;
+
+export interface HistoryOptions {
+  /** Maximum number of undo steps */
+  limit?: number;
+  /** Changes of the same field less than this many milliseconds apart share one step */
+  coalesce?: number;
+}
+
+export interface StorageAdapter {
+  /** Read a draft */
+  getItem: (key: string) => string | null | Promise<string | null>;
+  /** Save a draft */
+  setItem: (key: string, value: string) => void | Promise<void>;
+  /** Remove a draft */
+  removeItem: (key: string) => void | Promise<void>;
+}
+
+export interface PersistOptions<T = any> {
+  /** Storage key of the draft */
+  key: string;
+  /** Storage of the draft */
+  storage?: 'local' | 'session' | StorageAdapter;
+  /** Version of the draft format */
+  version?: number;
+  /** Upgrade drafts saved with another version, or return `null` to discard them */
+  migrate?: (
+    draft: { values: Partial<T>; touched?: FormTouched<T> },
+    fromVersion: number,
+  ) => { values: Partial<T>; touched?: FormTouched<T> } | null | Promise<{ values: Partial<T>; touched?: FormTouched<T> } | null>;
+  /** Fields that are never saved, e.g. passwords */
+  exclude?: ReadonlyArray<FieldPath<T>>;
+  /** Also save the touched fields */
+  touched?: boolean;
+  /** Milliseconds to wait after a change before saving */
+  debounce?: number;
+}
+
+export interface FormValidatorOptions<T = any, C extends string = never> {
+  /** Whether to validate on change */
+  validateOnChange?: boolean;
+  /** Whether to validate on blur */
+  validateOnBlur?: boolean;
+  /** Whether to validate on submit */
+  validateOnSubmit?: boolean;
+  /** When fields are validated before the first submission, replacing `validateOnChange` and `validateOnBlur` */
+  mode?: ValidationMode;
+  /** When fields are re-validated after the first submission */
+  reValidateMode?: ReValidateMode;
+  /** Custom validators, available by name in the schema */
+  customValidators?: Record<C, ValidatorFunction>;
+  /** Milliseconds to wait after a change before validating the field */
+  debounce?: number;
+  /** Stop validating a field at its first failing rule */
+  abortEarly?: boolean;
+  /** Locale of the error messages */
+  locale?: string;
+  /** Message bundles keyed by locale, then error code */
+  messages?: MessageBundles;
+  /** Reset the form when `initialValues` change */
+  enableReinitialize?: boolean;
+  /** Keep the fields edited by the user when reinitialising */
+  keepDirtyOnReinitialize?: boolean;
+  /** Converts input values of fields without their own `parse` */
+  parse?: ParseFunction<T>;
+  /** Converts stored values of fields without their own `format` */
+  format?: FormatFunction<T>;
+  /** Save drafts of the values to a storage */
+  persist?: PersistOptions<T>;
+  /** Focus the first invalid input when a submission fails */
+  focusOnError?: boolean;
+  /** Schemas of the steps of a wizard */
+  steps?: NoInferFrom<ReadonlyArray<ValidationSchema<T, C>>>;
+  /** Form-level validation of all values */
+  validate?: FormValidateFunction<T>;
+  /** Also run `validate` after every change */
+  validateFormOnChange?: boolean;
+  /** Prefix of the generated input, label and error message ids */
+  idPrefix?: string;
+  /** Record an undo history of the values */
+  history?: boolean | HistoryOptions;
+}
+
+export interface FieldPropsOptions {
+  /** Input type, e.g. `checkbox`, `radio`, `file` or `number` */
+  type?: string;
+  /** Value of a radio button or of a checkbox in a group */
+  value?: string;
+  /** Whether a select or file input accepts several values */
+  multiple?: boolean;
+}
+
+/**
+ * Props for an input, to spread onto it
+ */
+export interface FieldProps {
+  name: string;
+  value?: any;
+  checked?: boolean;
+  type?: string;
+  multiple?: boolean;
+  /** Accepts a change event or, for custom components, the new value */
+  onChange: (eventOrValue: any) => void;
+  onBlur: (event?: any) => void;
+  id: string;
+  'aria-invalid': boolean;
+  'aria-describedby'?: string;
+}
+
+/**
+ * Props of an uncontrolled input, returned by `register`
+ */
+export interface RegisterProps {
+  name: string;
+  /** Attaches the input, or each input of a radio or checkbox group, and returns its cleanup */
+  ref: (element: HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement | null) => (() => void) | undefined;
+}
+
+/**
+ * Change event of an input, select or textarea, or an object shaped like one
+ */
+export interface FieldChangeEvent {
+  target: {
+    name: string;
+    value?: any;
+    type?: string;
+    checked?: boolean;
+    files?: ArrayLike<Blob> | null;
+    options?: ArrayLike<{ selected: boolean; value: string }>;
+  };
+}
+
+export interface ErrorSummaryItem {
+  /** Field path, or `root` for form-level errors */
+  name: string;
+  /** First error message */
+  message: string;
+  /** Link to the input of the field */
+  href?: string;
+  /** Focuses the input of the field */
+  onClick?: (event?: { preventDefault?(): void }) => void;
+}
+
+export interface FieldArrayItem<I = any> {
+  /** Stable key for rendering */
+  key: string;
+  /** Path prefix of the item, e.g. `items[0]` */
+  name: string;
+  /** Index of the item */
+  index: number;
+  /** Value of the item */
+  value: I;
+}
+
+export interface FieldArray<I = any> {
+  /** Items of the array */
+  fields: Array<FieldArrayItem<I>>;
+  /** Error of a failing array-level rule */
+  error: string;
+  /** Add an item at the end */
+  append: (item: I) => void;
+  /** Add an item at the start */
+  prepend: (item: I) => void;
+  /** Add an item at an index */
+  insert: (index: number, item: I) => void;
+  /** Remove the item at an index */
+  remove: (index: number) => void;
+  /** Move an item to another index */
+  move: (from: number, to: number) => void;
+  /** Swap two items */
+  swap: (indexA: number, indexB: number) => void;
+  /** Replace all items */
+  replace: (items: I[]) => void;
+}
+
+export interface SubmitHelpers<T = any> {
+  /** Replace the errors of the fields */
+  setErrors: (errors: FormErrors<T>) => void;
+  /** Set errors returned by an API */
+  setFieldErrors: (payload: object | ReadonlyArray<unknown>) => void;
+  /** Set or clear the form-level error */
+  setRootError: (message: string | null) => void;
+  /** Reset the form */
+  resetForm: (newValues?: T) => void;
+}
+
+/**
+ * The form controller behind the hook, used by `useField` and `useFormState`
+ */
+export interface FormControl<T = any> {
+  readonly store: {
+    getState: () => { values: T } & Record<string, unknown>;
+    subscribe: (listener: () => void) => () => void;
+  };
+}
+
+export interface FormValidatorResult<T = any, C extends string = never> {
+  /** Form values */
+  values: T;
+  /** Values the form was initialised or last reset with */
+  initialValues: T;
+  /** First error message of each field */
+  errors: FormErrors<T>;
+  /** Every error of each field */
+  allErrors: FormAllErrors<T>;
+  /** Touched fields */
+  touched: FormTouched<T>;
+  /** Whether the form is submitting */
+  isSubmitting: boolean;
+  /** Number of submission attempts */
+  submitCount: number;
+  /** Whether the last submission succeeded */
+  submitSucceeded: boolean;
+  /** Error thrown by `onSubmit` in the last submission, or `null` */
+  submitError: unknown;
+  /** First form-level error message */
+  rootError: string;
+  /** Every form-level error */
+  rootErrors: FieldError[];
+  /** Whether the form is valid */
+  isValid: boolean;
+  /** Whether any validation is pending */
+  isValidating: boolean;
+  /** Fields with a pending validation */
+  validatingFields: { [P in FieldPath<T>]?: boolean };
+  /** Whether any value differs from the initial values */
+  isDirty: boolean;
+  /** Fields whose value differs from the initial values */
+  dirty: FormTouched<T>;
+  /** Index of the current wizard step */
+  step: number;
+  /** Number of wizard steps */
+  stepCount: number;
+  /** Whether the current step is the first one */
+  isFirstStep: boolean;
+  /** Whether the current step is the last one */
+  isLastStep: boolean;
+  /** Errors of the fields of the current step */
+  stepErrors: FormErrors<T>;
+  /** Touched state of the fields of the current step */
+  stepTouched: FormTouched<T>;
+  /** Whether the fields of the current step are valid */
+  isStepValid: boolean;
+  /** Whether there is a change to undo */
+  canUndo: boolean;
+  /** Whether there is a change to redo */
+  canRedo: boolean;
+  /** Change handler */
+  handleChange: (event: FieldChangeEvent) => void;
+  /** Blur handler */
+  handleBlur: (event: { target: { name: string } }) => void;
+  /** Submit handler */
+  handleSubmit: (
+    onSubmit?: (values: T, helpers: SubmitHelpers<T>) => void | Promise<void>,
+    onInvalid?: (errors: FormErrors<T>) => void | Promise<void>,
+  ) => (event?: { preventDefault?(): void; currentTarget?: unknown }) => Promise<void>;
+  /** Set a field value */
+  setValue: <P extends FieldPath<T>>(name: P, value: FieldValue<T, P>) => void;
+  /** Get the values, including those typed in registered inputs, or the value of a field */
+  getValues: {
+    (): T;
+    <P extends FieldPath<T>>(name: P): FieldValue<T, P>;
+  };
+  /** Register an uncontrolled input, optionally with the rules of its field */
+  register: <P extends FieldPath<T>>(name: P, rules?: SchemaEntry<FieldValue<T, P>, T, C>) => RegisterProps;
+  /** Set errors returned by an API */
+  setFieldErrors: (payload: object | ReadonlyArray<unknown>) => void;
+  /** Set or clear the form-level error */
+  setRootError: (message: string | null) => void;
+  /** Reset the form, optionally with new initial values */
+  resetForm: (newValues?: T) => void;
+  /** Validate the form */
+  validateForm: () => Promise<boolean>;
+  /** Undo the last change of the values */
+  undo: () => void;
+  /** Redo the last undone change */
+  redo: () => void;
+  /** Validate the current step and move to the next one */
+  next: () => Promise<boolean>;
+  /** Move to the previous step */
+  prev: () => void;
+  /** Get props for a field */
+  getFieldProps: (name: FieldPath<T>, options?: FieldPropsOptions) => FieldProps;
+  /** Get props for the error message of a field */
+  getErrorProps: (name: FieldPath<T>) => { id: string };
+  /** Get props for the label of a field */
+  getLabelProps: (name: FieldPath<T>, options?: FieldPropsOptions) => { id: string; htmlFor: string };
+  /** List every current error for an error summary */
+  getErrorSummary: () => ErrorSummaryItem[];
+  /** Get the items and helpers of an array field */
+  getFieldArray: <P extends FieldPath<T>>(name: P) => FieldArray<ArrayItem<FieldValue<T, P>>>;
+  /** The underlying form controller, used by `useField` and `useFormState` */
+  control: FormControl<T>;
+}
+
+export interface FieldState<V = any> {
+  /** Props for the input */
+  inputProps: FieldProps;
+  /** Props for the label */
+  labelProps: { id: string; htmlFor: string };
+  /** Props for the error message */
+  errorProps: { id: string };
+  /** First error message of the field */
+  error: string;
+  /** Whether the field was touched */
+  touched: boolean;
+  /** Whether the value differs from the initial value */
+  dirty: boolean;
+  /** Set the value of the field */
+  setValue: (value: V) => void;
+}
+
+export interface FormState {
+  /** Whether the form is submitting */
+  isSubmitting: boolean;
+  /** Whether the form is valid */
+  isValid: boolean;
+  /** Whether any validation is pending */
+  isValidating: boolean;
+  /** Whether any value differs from the initial values */
+  isDirty: boolean;
+  /** Number of submission attempts */
+  submitCount: number;
+  /** Whether the last submission succeeded */
+  submitSucceeded: boolean;
+}
+
+/**
+ * Makes a form available to `useFormContext`, `useField` and `useFormState`
+ * in nested components
+ */
+export declare const FormProvider: (props: { form: FormValidatorResult<any>; children?: ReactNode }) => ReactElement;
+
+/**
+ * Returns the form of the nearest `FormProvider`
+ */
+export declare function useFormContext<T extends object = Record<string, any>>(): FormValidatorResult<T>;
+
+/**
+ * Subscribes to a single field of the surrounding form
+ */
+export declare function useField<T extends object = Record<string, any>, P extends FieldPath<T> = FieldPath<T>>(
+  name: P,
+  options?: FieldPropsOptions,
+): FieldState<FieldValue<T, P>>;
+
+/**
+ * Returns the form-level state of the surrounding form
+ */
+export declare function useFormState(): FormState;
+
+/**
+ * Reads the value at a path such as `address.city` or `contacts[0].email`
+ */
+export declare function getIn(obj: unknown, name: string, fallback?: unknown): any;
+
+/**
+ * Returns a copy of `obj` with the value at a path replaced
+ */
+export declare function setIn<O>(obj: O, name: string, value: unknown): O;
+
+/**
+ * Form validation hook. The type of the values is inferred from
+ * `initialValues`, and the schema, field names and results are checked
+ * against it. `C` is inferred from the names of the `customValidators`.
+ */
+declare function useFormValidator<T extends object = Record<string, any>, C extends string = never>(
+  initialValues?: T,
+  validationSchema?: NoInferFrom<ValidationSchema<T, C>>,
+  options?: FormValidatorOptions<T, C>,
+): FormValidatorResult<T, C>;
+
+export default useFormValidator;
\ No newline at end of file
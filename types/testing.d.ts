@@ -0,0 +1,100 @@
+// types/testing.d.ts
+import type { FormValidatorResult, SubmitHelpers } from './index';
+import type {
+  FieldPath,
+  FieldValue,
+  FormErrors,
+  NoInferFrom,
+  ValidateOptions,
+  ValidationResult,
+  ValidationSchema,
+} from './core';
+
+/**
+ * A form returned by `useFormValidator` or `useFormContext`
+ */
+type AnyForm<T> = Pick<FormValidatorResult<T>, 'control'>;
+
+export interface SubmitResult<T = any> {
+  /** Whether `onSubmit` ran, i.e. the form was valid */
+  submitted: boolean;
+  /** The submitted values, or the current ones when the form was invalid */
+  values: T;
+  /** Errors after the submission, including those set by `onSubmit` */
+  errors: FormErrors<T>;
+}
+
+export interface SchemaCase<T = any> {
+  /** Label of the case in failure messages */
+  name?: string;
+  /** Values to validate */
+  values: T;
+  /** Expected first error message of each field, nested like the values */
+  errors?: FormErrors<T>;
+  /** Expected validity */
+  valid?: boolean;
+}
+
+/**
+ * Resolves once no field or form-level validation of a form is pending
+ */
+export declare function waitForValidation(form: AnyForm<any>): Promise<void>;
+
+/**
+ * Changes the value of a field as its input would, inside `act`, and
+ * resolves once the validations it started have settled
+ */
+export declare function fillField<T, P extends FieldPath<T>>(
+  form: AnyForm<T>,
+  name: P,
+  value: FieldValue<T, P>,
+): Promise<void>;
+export declare function fillField<T>(
+  form: AnyForm<T>,
+  name: FieldPath<T>,
+  value: boolean | string,
+  options: { type: 'checkbox' },
+): Promise<void>;
+export declare function fillField<T>(
+  form: AnyForm<T>,
+  name: FieldPath<T>,
+  value: string[],
+  options: { type: 'select-multiple' },
+): Promise<void>;
+export declare function fillField<T>(
+  form: AnyForm<T>,
+  name: FieldPath<T>,
+  value: File | File[],
+  options: { type: 'file' },
+): Promise<void>;
+export declare function fillField<T>(
+  form: AnyForm<T>,
+  name: FieldPath<T>,
+  value: string,
+  options: { type: string },
+): Promise<void>;
+
+/**
+ * Blurs the input of a field inside `act` and resolves once its validation
+ * has settled
+ */
+export declare function blurField<T>(form: AnyForm<T>, name: FieldPath<T>): Promise<void>;
+
+/**
+ * Submits a form inside `act`, running `onSubmit` when it is valid
+ */
+export declare function submitForm<T>(
+  form: AnyForm<T>,
+  onSubmit?: (values: T, helpers: SubmitHelpers<T>) => void | Promise<void>,
+): Promise<SubmitResult<T>>;
+
+/**
+ * Validates a table of cases against a schema without rendering, and
+ * throws an error listing every failing case. The values type is given as
+ * a type argument, e.g. `validateSchema<SignupValues>(schema, cases)`.
+ */
+export declare function validateSchema<T extends object = Record<string, any>, C extends string = never>(
+  schema: NoInferFrom<ValidationSchema<T, C>>,
+  cases: ReadonlyArray<SchemaCase<NoInferFrom<Partial<T>>>>,
+  options?: ValidateOptions<T, C>,
+): Promise<Array<ValidationResult<T>>>;
\ No newline at end of file
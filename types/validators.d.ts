@@ -0,0 +1,79 @@
+// types/validators.d.ts
+import type {
+  BuiltInValidatorName,
+  RuleContext,
+  ValidationError,
+  ValidatorFunction,
+  ValidatorResult,
+} from './core';
+
+/**
+ * Result of a built-in validator: `''` when valid, an error otherwise
+ */
+type BuiltInResult = '' | ValidationError;
+
+/**
+ * Context of the validators comparing with another field
+ */
+type FieldContext = Partial<RuleContext>;
+
+/**
+ * Scores the strength of a password from 0 (weakest) to 4
+ */
+export declare function scorePassword(value: unknown): number;
+
+export declare function required(value: unknown): BuiltInResult;
+export declare function email(value: unknown): BuiltInResult;
+export declare function minLength(value: unknown, length?: number): BuiltInResult;
+export declare function maxLength(value: unknown, length?: number): BuiltInResult;
+export declare function pattern(value: unknown, regex: RegExp | string, message?: string): string | ValidationError;
+export declare function number(value: unknown): BuiltInResult;
+export declare function min(value: unknown, min: number): BuiltInResult;
+export declare function max(value: unknown, max: number): BuiltInResult;
+export declare function matches(value: unknown, fieldToMatch: string, context?: FieldContext): BuiltInResult;
+export declare function url(value: unknown): BuiltInResult;
+export declare function date(value: unknown): BuiltInResult;
+export declare function minItems(value: unknown, count?: number): BuiltInResult;
+export declare function maxItems(value: unknown, count: number): BuiltInResult;
+export declare function itemCount(value: unknown, count: number): BuiltInResult;
+export declare function fileSize(value: unknown, maxBytes: number): BuiltInResult;
+export declare function fileType(value: unknown, types: string | ReadonlyArray<string>): BuiltInResult;
+export declare function maxFiles(value: unknown, count: number): BuiltInResult;
+export declare function integer(value: unknown): BuiltInResult;
+export declare function oneOf(value: unknown, allowed: ReadonlyArray<unknown>): BuiltInResult;
+export declare function notOneOf(value: unknown, forbidden: ReadonlyArray<unknown>): BuiltInResult;
+export declare function phone(value: unknown): BuiltInResult;
+export declare function creditCard(value: unknown): BuiltInResult;
+export declare function iban(value: unknown): BuiltInResult;
+export declare function postalCode(value: unknown, country?: string): BuiltInResult;
+export declare function uuid(value: unknown, version?: number): BuiltInResult;
+export declare function ipv4(value: unknown): BuiltInResult;
+export declare function ipv6(value: unknown): BuiltInResult;
+export declare function hexColor(value: unknown): BuiltInResult;
+export declare function slug(value: unknown): BuiltInResult;
+export declare function passwordStrength(value: unknown, minScore?: number): BuiltInResult;
+export declare function minDate(value: unknown, limit: Date | string | number): BuiltInResult;
+export declare function maxDate(value: unknown, limit: Date | string | number): BuiltInResult;
+export declare function before(value: unknown, otherField: string, context?: FieldContext): BuiltInResult;
+export declare function after(value: unknown, otherField: string, context?: FieldContext): BuiltInResult;
+
+/**
+ * Creates a validator that combines multiple validators, awaiting async ones
+ */
+export declare function compose(
+  ...validators: ValidatorFunction[]
+): (value: unknown, ...args: any[]) => ValidatorResult | Promise<ValidatorResult>;
+
+/**
+ * Built-in validation functions, available by name in schemas
+ */
+export declare const builtInValidators: Record<BuiltInValidatorName, ValidatorFunction>;
+
+/**
+ * Helper to create a custom validator from a predicate. The message may be
+ * a string or a function receiving the same arguments as the predicate.
+ */
+export declare function createValidator<A extends unknown[]>(
+  validatorFn: (value: any, ...args: A) => unknown,
+  defaultMessage?: string | ((value: any, ...args: A) => string),
+): (value: any, ...args: A) => string;
\ No newline at end of file